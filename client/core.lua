@@ -1,67 +1,281 @@
 --[[
     API Exports:
-        exports['ayc-mugshot']:GetMugshot(ped, options)       -- Async (yields)
-        exports['ayc-mugshot']:GetMugshotCb(ped, options, cb) -- Callback-based
+        exports['ayc-mugshot']:GetMugshot(ped, options)       -- Async (yields); base64, error, hash, phash
+        exports['ayc-mugshot']:GetMugshotCb(ped, options, cb) -- Callback-based; cb(base64, error, hash, phash)
+        exports['ayc-mugshot']:GetMugshots(peds, options)     -- Batch, async; { { base64, error, hash, phash }, ... }
+        exports['ayc-mugshot']:GetMugshotSequence(ped, options) -- Multi-angle sheet/animation, async; base64, error, hash, frames, phash
+        exports['ayc-mugshot']:CompareMugshots(a, b)          -- Perceptual similarity of two hashes/images (yields); result, error
+        exports['ayc-mugshot']:CancelMugshot(jobId)           -- Cancel the captures of a job; true when one was running
         exports['ayc-mugshot']:GetPedShot(ped)                -- Raw native headshot
-        exports['ayc-mugshot']:ClearCache()                   -- Clear all cached entries
+        exports['ayc-mugshot']:ClearCache()                   -- Clear all cached entries (memory + persistent)
+        exports['ayc-mugshot']:GetCacheStats()                -- Memory and persistent cache statistics (yields)
+        exports['ayc-mugshot']:ReleaseMugshot(url)            -- Release your reference to a 'blob' output URL
+        exports['ayc-mugshot']:OpenPreview(ped, options)      -- Preview/retake panel (yields); base64 or nil, error
+        exports['ayc-mugshot']:GetMetrics()                   -- Aggregated stage timings, cache and fallback rates
+        exports['ayc-mugshot']:ResetMetrics()                 -- Start aggregating from zero
 
     options = {
         transparent   = bool,           -- Transparent background (default: false)
         removeProps   = bool,           -- Remove hats, glasses, etc. (default: false)
         removeMask    = bool,           -- Remove face mask (default: false)
         upscale       = bool,           -- Enable upscaling (default: false)
-        upscaleFactor = number,         -- 2 or 4 (default: 2)
+        upscaleFactor = number,         -- 1.0 - 8.0, need not be an integer (default: 2)
+        upscaleMethod = string,         -- 'nearest' | 'bilinear' | 'lanczos3' | 'mitchell' | 'epx' (default: Config.Upscale.Method)
+        sharpen       = string,         -- 'luminance' | 'unsharp' | 'none' (default: Config.Upscale.Sharpen)
+        format        = string,         -- 'png' | 'webp' | 'jpeg' (default: Config.Output.Format)
+        quality       = number,         -- 0.0 - 1.0, webp/jpeg only (default: Config.Output.Quality)
+        matte         = string,         -- CSS colour that jpeg output is flattened onto (default: Config.Output.Matte)
+        output        = string,         -- 'dataurl' | 'blob' (default: Config.Output.Mode)
+        width         = number,         -- Target width in px, up to Config.Upload.MaxDimension (default: native size)
+        height        = number,         -- Target height in px (default: native size)
+        fit           = string,         -- 'contain' (aspect-fit) | 'cover' (aspect-fill) (default: Config.Framing.Fit)
+        autoCrop      = bool,           -- Crop to the subject when transparent (default: Config.Framing.AutoCrop)
+        padding       = number,         -- autoCrop margin, fraction of subject size (default: Config.Framing.Padding)
+        background    = string|table,   -- Colour string or { type = 'color'|'gradient'|'image', ... } (transparent only)
+        shadow        = bool|table,     -- Drop shadow, true = Config.Compositing.Shadow (transparent only)
+        outline       = bool|table,     -- Outline stroke, true = Config.Compositing.Outline (transparent only)
+        overlays      = table,          -- List of { type = 'text'|'placard'|'image', ... } drawn on the final image
+        refine        = bool|table,     -- Soft alpha matting on the cut-out edges (default: Config.Matting.Enabled)
+        adjust        = bool|table,     -- Colour correction, true = Config.Adjust, table overrides fields (default: Config.Adjust.Enabled)
+        processOn     = string,         -- 'client' | 'server': where transparency and upscaling run (default: Config.ServerProcessing.Default)
+                                        --   'server' is colour key only, PNG data URL, no width/height/layers/overlays
+        metadata      = bool,           -- Write capture metadata into the image (default: Config.Metadata.Enabled)
+        identifier    = string,         -- Identifier in the metadata (default: the ped's player name)
+        serverId      = number,         -- Server id in the metadata (default: the ped's player server id)
+        jobId         = string,         -- Job the capture belongs to, for CancelMugshot (default: generated)
+        priority      = number,         -- Queue order, higher first (default: Config.Queue.DefaultPriority)
+        deadline      = number,         -- ms from the call before the job is cancelled, 0 = none (default: Config.Queue.Deadline)
+
+        -- GetMugshotSequence only
+        angles        = string|table,   -- Preset name or list of heading offsets in degrees (default: Config.Sequence.Angles)
+        layout        = string,         -- 'sheet' | 'sprite' | 'gif' | 'webp' (default: Config.Sequence.Layout)
+        frameDelay    = number,         -- ms per animation frame (default: Config.Sequence.FrameDelay)
+        columns       = number,         -- Sheet columns, 0 = one row (default: Config.Sequence.Columns)
+        gap           = number,         -- px between 'sheet' cells (default: Config.Sequence.Gap)
+        loop          = number,         -- Animation repeats, 0 = forever (default: Config.Sequence.Loop)
     }
 ]]
 
 -- ============================================================
 -- STATE
 -- ============================================================
-local Cache       = {}      -- { [cacheKey] = { base64, timestamp } }
+local Cache       = {}      -- { [cacheKey] = { base64, hash, phash, timestamp } }
 local QueueCount  = 0
-local QueueWait   = {}
+local QueueWait   = {}      -- { job, p }, highest priority first, arrival order within a priority
+local Jobs        = {}      -- { [jobId] = { id, priority, deadline, cancelled, refs, nui, server } }
+
+local OutputFormats   = { png = true, webp = true, jpeg = true }
+local SequenceLayouts = { sheet = true, sprite = true, gif = true, webp = true }
 
 -- ============================================================
 -- UTILITIES
 -- ============================================================
 
+--- Serialize a value with sorted keys so equal tables give equal strings
+--- @param value any
+--- @return string
+local function stableKey(value)
+    if type(value) ~= 'table' then
+        return tostring(value)
+    end
+    local keys = {}
+    for k in pairs(value) do keys[#keys + 1] = tostring(k) end
+    table.sort(keys)
+    local parts = {}
+    for _, k in ipairs(keys) do
+        parts[#parts + 1] = k .. '=' .. stableKey(value[k])
+    end
+    return '{' .. table.concat(parts, ',') .. '}'
+end
+
+-- ============================================================
+-- APPEARANCE FINGERPRINT
+-- ============================================================
+
+local FACE_FEATURES = 20
+local HEAD_OVERLAYS = 13
+local PROP_SLOTS    = { 0, 1, 2, 6, 7 }
+
+--- Read head blend data. The native fills a struct through a pointer,
+--- so a zeroed buffer is passed and unpacked (ints/floats padded to 8 bytes).
+--- @param ped number
+--- @return string
+local function headBlendKey(ped)
+    local blob = string.rep('\0\0\0\0\0\0\0\0', 6 + 3 + 1)
+    if not Citizen.InvokeNative(0x2746BD9D88C5C5D0, ped, blob, true) then
+        return '-'
+    end
+    local shape1, shape2, shape3, skin1, skin2, skin3, shapeMix, skinMix, thirdMix =
+        string.unpack('<i4xxxxi4xxxxi4xxxxi4xxxxi4xxxxi4xxxxfxxxxfxxxxfxxxx', blob)
+    return ('%d,%d,%d,%d,%d,%d,%.3f,%.3f,%.3f'):format(
+        shape1, shape2, shape3, skin1, skin2, skin3, shapeMix, skinMix, thirdMix)
+end
+
+--- Fingerprint everything that changes how a ped's head looks: model,
+--- components, props, head blend, face features, overlays, hair and eye colour
+--- @param ped number
+--- @return string  16 hex chars
+local function appearanceHash(ped)
+    local parts = { tostring(GetEntityModel(ped)) }
+
+    for component = 0, 11 do
+        parts[#parts + 1] = ('c%d:%d,%d,%d'):format(component,
+            GetPedDrawableVariation(ped, component),
+            GetPedTextureVariation(ped, component),
+            GetPedPaletteVariation(ped, component))
+    end
+
+    for _, slot in ipairs(PROP_SLOTS) do
+        parts[#parts + 1] = ('p%d:%d,%d'):format(slot,
+            GetPedPropIndex(ped, slot),
+            GetPedPropTextureIndex(ped, slot))
+    end
+
+    parts[#parts + 1] = 'b:' .. headBlendKey(ped)
+
+    for feature = 0, FACE_FEATURES - 1 do
+        parts[#parts + 1] = ('%.3f'):format(GetPedFaceFeature(ped, feature))
+    end
+
+    for overlay = 0, HEAD_OVERLAYS - 1 do
+        local ok, value, colourType, first, second, opacity = GetPedHeadOverlayData(ped, overlay)
+        parts[#parts + 1] = ok
+            and ('o%d:%d,%d,%d,%d,%.2f'):format(overlay, value, colourType, first, second, opacity)
+            or  ('o%d:-'):format(overlay)
+    end
+
+    parts[#parts + 1] = ('h:%d,%d'):format(GetPedHairColor(ped), GetPedHairHighlightColor(ped))
+    parts[#parts + 1] = ('e:%d'):format(GetPedEyeColor(ped))
+
+    -- Two 32-bit joaat hashes (forward and reversed) to keep collisions out of the cache
+    local fingerprint = table.concat(parts, '|')
+    return ('%08x%08x'):format(GetHashKey(fingerprint) & 0xFFFFFFFF, GetHashKey(fingerprint:reverse()) & 0xFFFFFFFF)
+end
+
 --- Build a unique cache key based on ped appearance and options
 --- @param ped     number
 --- @param options table
---- @return string
+--- @return string key
+--- @return string appearance  Appearance part of the key
+--- @return string optsKey     Options part of the key
 local function makeCacheKey(ped, options)
-    local model    = GetEntityModel(ped)
-    local drawable = GetPedDrawableVariation(ped, 0)
-    local flags    = string.format('%s_%s_%s_%s_%s',
+    local flags    = string.format('%s_%s_%s_%s_%s_%s_%s',
         tostring(options.transparent or false),
         tostring(options.removeProps or false),
         tostring(options.removeMask  or false),
         tostring(options.upscale     or false),
-        tostring(options.upscaleFactor or 2)
+        tostring(options.upscaleFactor or 2),
+        tostring(options.upscaleMethod),
+        tostring(options.sharpen)
+    )
+    local encoding = ('%s_%s_%s_%s_%s_%s'):format(
+        options.format or 'png',
+        tostring(options.quality),
+        options.output or 'dataurl',
+        options.format == 'jpeg' and tostring(options.matte) or '-',
+        options.processOn or 'client',
+        options.metadata and ('%s@%s'):format(tostring(options.identifier), tostring(options.serverId)) or '-'
     )
-    return ('%d_%d_%s'):format(model, drawable, flags)
+    local framing = ('%s_%s_%s_%s_%s'):format(
+        tostring(options.width or 0),
+        tostring(options.height or 0),
+        options.fit or 'contain',
+        tostring(options.autoCrop or false),
+        tostring(options.padding or 0)
+    )
+    local layers = ('%s_%s_%s_%s_%s_%s'):format(
+        stableKey(options.refine),
+        stableKey(options.adjust),
+        stableKey(options.background),
+        stableKey(options.shadow),
+        stableKey(options.outline),
+        stableKey(options.overlays)
+    )
+    local appearance = appearanceHash(ped)
+    local optsKey    = ('%s_%s_%s_%s'):format(flags, encoding, framing, layers)
+    return appearance .. '_' .. optsKey, appearance, optsKey
+end
+
+--- Parse a pixel size option, capped at Config.Upload.MaxDimension
+--- @param value any
+--- @return number|nil
+local function toSize(value)
+    value = tonumber(value)
+    -- NaN and infinity are not sizes
+    if not value or value ~= value or value == math.huge or value < 1 then return nil end
+    return math.floor(math.min(value, Config.Upload.MaxDimension))
+end
+
+--- Merge a per-capture layer option over its Config defaults.
+--- Config keys are PascalCase, NUI keys are camelCase.
+--- @param value    boolean|table|nil
+--- @param defaults table|nil
+--- @return table|nil
+local function layerOption(value, defaults)
+    if not value then return nil end
+    local merged = {}
+    for k, v in pairs(defaults or {}) do
+        merged[k:sub(1, 1):lower() .. k:sub(2)] = v
+    end
+    if type(value) == 'table' then
+        for k, v in pairs(value) do merged[k] = v end
+    end
+    return merged
 end
 
---- Get entry from cache if valid
+--- Add a reference to the NUI object URL behind a 'blob' output value.
+--- Each caller handed the URL and the cache hold one reference each; the
+--- URL is revoked when the last one is released.
+--- @param value string|nil
+local function retainBlob(value)
+    if type(value) == 'string' and value:sub(1, 5) == 'blob:' then
+        SendNUIMessage({ action = 'retain', urls = { value } })
+    end
+end
+
+--- Drop one reference to the NUI object URL behind a 'blob' output value
+--- @param value string|nil
+local function releaseBlob(value)
+    if type(value) == 'string' and value:sub(1, 5) == 'blob:' then
+        SendNUIMessage({ action = 'release', urls = { value } })
+    end
+end
+
+--- Get entry from cache if valid. A 'blob' URL comes with a reference of
+--- its own, for the caller to release.
 --- @param key string
 --- @return string|nil base64
+--- @return string|nil hash   Content hash of the image
+--- @return string|nil phash  Perceptual hash of the image
 local function getFromCache(key)
     if not Config.Cache.Enabled then return nil end
     local entry = Cache[key]
     if not entry then return nil end
     if (GetGameTimer() - entry.timestamp) > Config.Cache.TTL then
         Cache[key] = nil
+        releaseBlob(entry.base64)
         return nil
     end
-    return entry.base64
+    retainBlob(entry.base64)
+    return entry.base64, entry.hash, entry.phash
 end
 
---- Save entry to cache (with eviction if full)
+--- Save entry to cache (with eviction if full). The cache takes its own
+--- reference to a 'blob' URL; the caller keeps theirs.
 --- @param key    string
 --- @param base64 string
-local function setCache(key, base64)
+--- @param hash   string|nil  Content hash of the image
+--- @param phash  string|nil  Perceptual hash of the image
+local function setCache(key, base64, hash, phash)
     if not Config.Cache.Enabled then return end
 
+    -- Retained before anything is released, so a URL shared with the old entry survives
+    retainBlob(base64)
+    if Cache[key] then
+        releaseBlob(Cache[key].base64)
+        Cache[key] = nil
+    end
+
     local count = 0
     local oldest_key, oldest_time
     for k, v in pairs(Cache) do
@@ -72,28 +286,42 @@ local function setCache(key, base64)
         end
     end
     if count >= Config.Cache.MaxSize and oldest_key then
+        releaseBlob(Cache[oldest_key].base64)
         Cache[oldest_key] = nil
     end
 
-    Cache[key] = { base64 = base64, timestamp = GetGameTimer() }
+    Cache[key] = { base64 = base64, hash = hash, phash = phash, timestamp = GetGameTimer() }
 end
 
---- Acquire a slot in the processing queue
-local function acquireQueue()
-    while QueueCount >= Config.Queue.MaxConcurrent do
-        local p = promise.new()
-        table.insert(QueueWait, p)
-        Citizen.Await(p)
+--- Acquire a slot in the processing queue. Waiting jobs are served by
+--- priority, higher first, then in the order they arrived.
+--- @param job table  beginJob()
+--- @return boolean acquired  false when the job was cancelled while waiting
+local function acquireQueue(job)
+    while QueueCount >= Config.Queue.MaxConcurrent and not job.cancelled do
+        local waiter = { job = job, p = promise.new() }
+        local at = #QueueWait + 1
+        for i, other in ipairs(QueueWait) do
+            if other.job.priority < job.priority then
+                at = i
+                break
+            end
+        end
+        table.insert(QueueWait, at, waiter)
+        Citizen.Await(waiter.p)
     end
+    if job.cancelled then return false end
+
     QueueCount = QueueCount + 1
+    return true
 end
 
 --- Release a slot in the processing queue
 local function releaseQueue()
     QueueCount = QueueCount - 1
     if #QueueWait > 0 then
-        local p = table.remove(QueueWait, 1)
-        p:resolve(true)
+        local waiter = table.remove(QueueWait, 1)
+        waiter.p:resolve(true)
     end
 end
 
@@ -151,6 +379,192 @@ function GetPedShot(ped)
     return txd, handle, nil
 end
 
+-- ============================================================
+-- CHUNKED TRANSFER
+-- ============================================================
+-- Images bigger than Config.Transfer.ChunkSize travel as numbered chunks
+-- with a CRC32 each, both from NUI to Lua (nui/js/transfer.js) and from
+-- Lua to the server (server/transfer.js). Receivers ask again for missing
+-- or corrupt chunks; the server also checks the reassembled image against
+-- its content hash before any handler sees it.
+
+local CrcTable = {}
+for n = 0, 255 do
+    local c = n
+    for _ = 1, 8 do
+        c = (c & 1 == 1) and (0xEDB88320 ~ (c >> 1)) or (c >> 1)
+    end
+    CrcTable[n] = c
+end
+
+--- CRC32 of a string, same value as the JS side
+--- @param s string
+--- @return number
+local function crc32(s)
+    local c = 0xFFFFFFFF
+    for i = 1, #s, 4096 do
+        local bytes = { s:byte(i, math.min(i + 4095, #s)) }
+        for j = 1, #bytes do
+            c = CrcTable[(c ~ bytes[j]) & 0xFF] ~ (c >> 8)
+        end
+    end
+    return c ~ 0xFFFFFFFF
+end
+
+local Incoming    = {}   -- [tid] = { size, count, chunks, received, touched } from NUI
+local Outgoing    = {}   -- [tid] = { chunks, crcs, resends, acked } to the server
+local outgoingTid = 0
+
+--- Start collecting a value NUI announced with a transfer header.
+--- Must run inside the NUI callback, before its chunks are posted.
+--- @param header table|nil  { tid, size, count }
+local function openTransfer(header)
+    if type(header) ~= 'table' or not header.tid then return end
+    Incoming[header.tid] = {
+        size     = tonumber(header.size) or 0,
+        count    = tonumber(header.count) or 0,
+        chunks   = {},
+        received = 0,
+        touched  = GetGameTimer(),
+    }
+end
+
+RegisterNUICallback('transferChunk', function(data, cb)
+    cb('ok')
+    local entry = Incoming[data.tid]
+    local index = tonumber(data.index)
+    if not entry or not index or index < 1 or index > entry.count or entry.chunks[index] then return end
+
+    -- A corrupt chunk stays missing and is requested again
+    if type(data.data) ~= 'string' or crc32(data.data) ~= data.crc then return end
+
+    entry.chunks[index] = data.data
+    entry.received      = entry.received + 1
+    entry.touched       = GetGameTimer()
+end)
+
+--- The base64 of a NUI message, waiting for its chunks when it did not fit inline (yields)
+--- @param data table  Message with base64 or transfer
+--- @return string|nil base64
+--- @return string|nil error
+local function receiveValue(data)
+    local header = data.transfer
+    if type(header) ~= 'table' then return data.base64, nil end
+
+    local entry = Incoming[header.tid]
+    if not entry then return nil, 'Unknown transfer' end
+
+    local resends = 0
+    while entry.received < entry.count do
+        if GetGameTimer() - entry.touched > Config.Transfer.Timeout then
+            if resends >= Config.Transfer.MaxResends then
+                Incoming[header.tid] = nil
+                SendNUIMessage({ action = 'transferDone', tid = header.tid })
+                return nil, ('Transfer incomplete (%d/%d chunks)'):format(entry.received, entry.count)
+            end
+
+            local missing = {}
+            for i = 1, entry.count do
+                if not entry.chunks[i] then missing[#missing + 1] = i end
+            end
+            resends       = resends + 1
+            entry.touched = GetGameTimer()
+            SendNUIMessage({ action = 'transferResend', tid = header.tid, missing = missing })
+        end
+        Citizen.Wait(50)
+    end
+
+    Incoming[header.tid] = nil
+    SendNUIMessage({ action = 'transferDone', tid = header.tid })
+
+    local value = table.concat(entry.chunks)
+    if #value ~= entry.size then
+        return nil, 'Transfer size mismatch'
+    end
+    return value, nil
+end
+
+--- Send chunks of an outgoing transfer, then ask the server what is missing
+--- @param tid     number
+--- @param indices number[]
+local function sendChunks(tid, indices)
+    local entry = Outgoing[tid]
+    for _, index in ipairs(indices) do
+        TriggerLatentServerEvent('ayc-mugshot:server:transferChunk', Config.Transfer.Bandwidth, {
+            tid = tid, index = index, data = entry.chunks[index], crc = entry.crcs[index],
+        })
+    end
+    TriggerLatentServerEvent('ayc-mugshot:server:transferEnd', Config.Transfer.Bandwidth, { tid = tid })
+end
+
+--- Send an event with an image payload (data.base64) to the server. Small
+--- payloads go inline; big ones are chunked and resumed until the server
+--- acknowledges them, and need data.hash (SHA-256 of the image). Does not yield.
+--- @param event string  Server event; must be listed in server/transfer.js
+--- @param data  table
+local function sendToServer(event, data)
+    local payload = data.base64
+    if type(payload) ~= 'string' or #payload <= Config.Transfer.ChunkSize then
+        TriggerLatentServerEvent(event, Config.Transfer.Bandwidth, data)
+        return
+    end
+
+    Citizen.CreateThread(function()
+        local meta = {}
+        for k, v in pairs(data) do
+            if k ~= 'base64' then meta[k] = v end
+        end
+
+        local size, chunks, crcs = Config.Transfer.ChunkSize, {}, {}
+        for i = 1, #payload, size do
+            local chunk = payload:sub(i, i + size - 1)
+            chunks[#chunks + 1] = chunk
+            crcs[#crcs + 1]     = crc32(chunk)
+            Citizen.Wait(0)     -- spread the checksums over frames
+        end
+
+        outgoingTid = outgoingTid + 1
+        local tid = outgoingTid
+        local entry = { chunks = chunks, crcs = crcs, resends = 0, acked = false }
+        Outgoing[tid] = entry
+
+        -- The server refuses transfers without the SHA-256 of the image (data.hash)
+        TriggerLatentServerEvent('ayc-mugshot:server:transferBegin', Config.Transfer.Bandwidth, {
+            tid = tid, event = event, size = #payload, count = #chunks, hash = data.hash, meta = meta,
+        })
+        local all = {}
+        for i = 1, #chunks do all[i] = i end
+        sendChunks(tid, all)
+
+        -- No answer to transferEnd (lost, or the server restarted): ask again
+        for _ = 1, Config.Transfer.MaxResends do
+            local deadline = GetGameTimer() + Config.Transfer.Timeout
+            while not entry.acked and GetGameTimer() < deadline do
+                Citizen.Wait(100)
+            end
+            if entry.acked then break end
+            TriggerLatentServerEvent('ayc-mugshot:server:transferEnd', Config.Transfer.Bandwidth, { tid = tid })
+        end
+        Outgoing[tid] = nil
+    end)
+end
+
+--- Server's answer to transferEnd: done, failed, or a list of chunks to send again
+RegisterNetEvent('ayc-mugshot:client:transferAck', function(data)
+    local entry = type(data) == 'table' and Outgoing[data.tid]
+    if not entry then return end
+
+    if data.error or not data.missing or #data.missing == 0 or entry.resends >= Config.Transfer.MaxResends then
+        entry.acked = true
+        if Config.Debug and (data.error or (data.missing and #data.missing > 0)) then
+            print(('[TRANSFER] Upload %d failed: %s'):format(data.tid, data.error or 'chunks still missing'))
+        end
+        return
+    end
+    entry.resends = entry.resends + 1
+    sendChunks(data.tid, data.missing)
+end)
+
 -- ============================================================
 -- NUI COMMUNICATION
 -- ============================================================
@@ -158,42 +572,151 @@ end
 local nuiCallbacks  = {}
 local nuiCallbackId = 0
 
---- Send texture to NUI for processing (transparency, upscale, etc.)
---- @param txd     string   TXD texture name
---- @param options table    Full options table
---- @return string|nil base64
---- @return string|nil error
-local function processViaNUI(txd, options)
-    local p  = promise.new()
-    nuiCallbackId = nuiCallbackId + 1
-    local id = nuiCallbackId
+--- Metadata fields for the NUI (or server) encoder; the encoder adds the
+--- timestamp, segmentation backend and content hash
+--- @param options table  Normalized options table
+--- @return table|nil  nil when options.metadata is off
+local function captureMetadata(options)
+    if not options.metadata then return nil end
 
-    nuiCallbacks[id] = p
+    return {
+        identifier = options.identifier,
+        serverId   = options.serverId,
+        options    = {
+            transparent   = options.transparent,
+            removeProps   = options.removeProps,
+            removeMask    = options.removeMask,
+            upscale       = options.upscale,
+            upscaleFactor = options.upscaleFactor,
+            upscaleMethod = options.upscaleMethod,
+            sharpen       = options.sharpen,
+            format        = options.format,
+            quality       = options.quality,
+            width         = options.width,
+            height        = options.height,
+            fit           = options.fit,
+            autoCrop      = options.autoCrop,
+            padding       = options.padding,
+            refine        = options.refine ~= nil,
+            adjust        = options.adjust ~= nil,
+            processOn     = options.processOn,
+        },
+    }
+end
 
-    SendNUIMessage({
-        action        = 'capture',
-        id            = id,
-        txd           = txd,
+--- Build the NUI message for a capture; the caller adds action, id and txd(s)
+--- @param options table  Normalized options table
+--- @return table
+local function captureMessage(options)
+    local upscaleConf = {}
+    for k, v in pairs(Config.Upscale) do upscaleConf[k] = v end
+    upscaleConf.Method  = options.upscaleMethod
+    upscaleConf.Sharpen = options.sharpen
+
+    return {
         transparent   = options.transparent or false,
         upscale       = options.upscale or false,
         upscaleFactor = options.upscaleFactor or 2,
+        encode        = {
+            format  = options.format,
+            quality = options.quality,
+            matte   = options.matte,
+            output  = options.output,
+        },
+        frame         = {
+            width    = options.width,
+            height   = options.height,
+            fit      = options.fit,
+            autoCrop = options.autoCrop,
+            padding  = options.padding,
+            maxSize  = Config.Upload.MaxDimension,
+        },
+        refine        = options.refine,
+        adjust        = options.adjust,
+        layers        = {
+            background = options.background,
+            shadow     = options.shadow,
+            outline    = options.outline,
+        },
+        overlays      = options.overlays,
+        metadata      = captureMetadata(options),
         config        = {
             transparency = Config.Transparency,
             ai           = Config.AI,
-            upscaleConf  = Config.Upscale,
+            validation   = Config.Validation,
+            metrics      = Config.Metrics,
+            upscaleConf  = upscaleConf,
         },
-    })
+    }
+end
+
+--- Register a pending NUI callback with a safety timeout
+--- @param timeout number      ms
+--- @param job     table|nil   Capture job the NUI work belongs to, aborted with it
+--- @return number id
+--- @return table  promise
+local function newNUICallback(timeout, job)
+    local p  = promise.new()
+    nuiCallbackId = nuiCallbackId + 1
+    local id = nuiCallbackId
+
+    nuiCallbacks[id] = p
+    if job then job.nui[id] = true end
 
     -- Safety timeout for NUI response
-    SetTimeout(Config.Timeout + 5000, function()
+    SetTimeout(timeout, function()
         if nuiCallbacks[id] then
             nuiCallbacks[id]:resolve({ error = 'NUI processing timed out' })
             nuiCallbacks[id] = nil
         end
     end)
 
+    return id, p
+end
+
+--- Send texture to NUI for processing (transparency, upscale, etc.)
+--- @param txd     string      TXD texture name
+--- @param options table       Full options table
+--- @param store   table|nil   Persistent cache entry { key, hash, options } for the result
+--- @return table result  { base64, error, backend, hash, phash, reason, metrics }
+---                       backend: segmentation that ran ('color', 'none', or an AI backend)
+---                       hash/phash: content and perceptual hash of the encoded image
+---                       reason: validation reason code when the frame was rejected
+---                       metrics: { stages = { [stage] = ms }, bytes, total }
+local function processViaNUI(txd, options, store)
+    local id, p = newNUICallback(Config.Timeout + 5000, Jobs[options.jobId])
+
+    local message = captureMessage(options)
+    message.action = 'capture'
+    message.id     = id
+    message.txd    = txd
+    message.cache  = store
+    SendNUIMessage(message)
+
+    return Citizen.Await(p)
+end
+
+--- Send several textures to NUI in one message, all with the same options
+--- @param txds    string[]
+--- @param options table
+--- @param stores  table[]    Persistent cache entry per txd (may be empty)
+--- @return table[]|nil results  { base64, error, backend, hash, phash, reason, metrics } per txd, same order
+--- @return string|nil  error    Set when the whole batch failed
+local function processBatchViaNUI(txds, options, stores)
+    local id, p = newNUICallback(Config.Timeout + 5000 * #txds, Jobs[options.jobId])
+
+    local message = captureMessage(options)
+    message.action = 'captureBatch'
+    message.id     = id
+    message.txds   = txds
+    message.caches = stores
+    SendNUIMessage(message)
+
     local result = Citizen.Await(p)
-    return result.base64, result.error
+    if not result.results then
+        return nil, result.error or 'Batch processing failed'
+    end
+    return result.results, nil
 end
 
 --- Receive result from NUI
@@ -203,108 +726,669 @@ RegisterNUICallback('captureResult', function(data, cb)
     if id and nuiCallbacks[id] then
         local p = nuiCallbacks[id]
         nuiCallbacks[id] = nil
-        p:resolve({
-            base64 = data.base64,
-            error  = data.error,
-        })
+        openTransfer(data.transfer)
+
+        Citizen.CreateThread(function()
+            local base64, err = receiveValue(data)
+            p:resolve({
+                base64  = base64,
+                error   = data.error or err,
+                backend = data.backend,
+                hash    = data.hash,
+                phash   = data.phash,
+                reason  = data.reason,
+                metrics = data.metrics,
+                frames  = data.frames,
+            })
+            if Config.Metrics.Progress then
+                TriggerEvent('ayc-mugshot:client:progress', { id = id, stage = 'finished', metrics = data.metrics })
+            end
+        end)
+    end
+end)
+
+--- Receive batch results from NUI
+RegisterNUICallback('captureBatchResult', function(data, cb)
+    cb('ok')
+    local id = data.id
+    if id and nuiCallbacks[id] then
+        local p = nuiCallbacks[id]
+        nuiCallbacks[id] = nil
+        local results = data.results or {}
+        for _, result in ipairs(results) do openTransfer(result.transfer) end
+
+        Citizen.CreateThread(function()
+            for _, result in ipairs(results) do
+                local base64, err = receiveValue(result)
+                result.base64   = base64
+                result.error    = result.error or err
+                result.transfer = nil
+            end
+            p:resolve({ results = results })
+            if Config.Metrics.Progress then
+                for index, result in ipairs(results) do
+                    TriggerEvent('ayc-mugshot:client:progress', {
+                        id = id, index = index - 1, stage = 'finished', metrics = result.metrics,
+                    })
+                end
+            end
+        end)
     end
 end)
 
+--- Stage progress from NUI (only sent when Config.Metrics.Progress is on)
+RegisterNUICallback('captureProgress', function(data, cb)
+    cb('ok')
+    TriggerEvent('ayc-mugshot:client:progress', { id = data.id, index = data.index, stage = data.stage })
+end)
+
 -- ============================================================
--- MAIN CAPTURE FUNCTION
+-- SERVER-SIDE PROCESSING (processOn = 'server')
 -- ============================================================
+-- NUI only encodes the raw headshot; the server keys out the background,
+-- refines, crops, adjusts and upscales it (server/process.js).
 
---- Main mugshot capture function
---- @param ped     number       Target ped
---- @param options table|nil    { transparent, removeProps, removeMask, upscale, upscaleFactor }
---- @return string|nil base64
---- @return string|nil error
-local function CaptureMugshot(ped, options)
-    options = options or {}
+local serverRequests  = {}
+local serverRequestId = 0
+local lastServerJob   = nil   -- GetGameTimer() of the last upload, for Config.ServerProcessing.Cooldown
 
-    -- Normalize options with defaults
-    options.transparent   = options.transparent   == true
-    options.removeProps   = options.removeProps   == true
-    options.removeMask    = options.removeMask    == true
-    options.upscale       = options.upscale       == true
-    options.upscaleFactor = (options.upscaleFactor == 4) and 4 or 2
+--- Shoot-and-upload: raw PNG from NUI, processed on the server
+--- @param txd     string
+--- @param options table  Normalized options
+--- @return table result  Same shape as processViaNUI
+local function processViaServer(txd, options)
+    local raw = {}
+    for k, v in pairs(options) do raw[k] = v end
+    raw.transparent = false
+    raw.upscale     = false
+    raw.refine      = nil
+    raw.adjust      = nil
+    raw.autoCrop    = false
+    raw.metadata    = false   -- written by the server into the processed image
 
-    if not DoesEntityExist(ped) then
-        return nil, 'Ped does not exist'
+    local shot = processViaNUI(txd, raw, nil)
+    if not shot.base64 or shot.base64 == '' then return shot end
+
+    -- The server refuses jobs inside its cooldown; wait it out (with some slack for latency)
+    if lastServerJob then
+        local wait = Config.ServerProcessing.Cooldown + 100 - (GetGameTimer() - lastServerJob)
+        if wait > 0 then Citizen.Wait(wait) end
     end
+    lastServerJob = GetGameTimer()
 
-    -- Check cache
-    local cacheKey = makeCacheKey(ped, options)
-    local cached   = getFromCache(cacheKey)
-    if cached then
-        if Config.Debug then
-            print('[CACHE] Hit')
+    local p = promise.new()
+    serverRequestId = serverRequestId + 1
+    local id = serverRequestId
+    serverRequests[id] = p
+    if Jobs[options.jobId] then Jobs[options.jobId].server[id] = true end
+
+    SetTimeout(Config.ServerProcessing.Timeout, function()
+        if serverRequests[id] then
+            serverRequests[id]:resolve({ error = 'Server processing timed out' })
+            serverRequests[id] = nil
         end
-        return cached, nil
+    end)
+
+    local sent = GetGameTimer()
+    sendToServer('ayc-mugshot:server:processMugshot', {
+        id      = id,
+        base64  = shot.base64,
+        hash    = shot.hash,
+        options = {
+            transparent   = options.transparent,
+            refine        = options.refine,
+            adjust        = options.adjust,
+            autoCrop      = options.autoCrop,
+            padding       = options.padding,
+            upscale       = options.upscale,
+            upscaleFactor = options.upscaleFactor,
+            upscaleMethod = options.upscaleMethod,
+            sharpen       = options.sharpen,
+        },
+        metadata = captureMetadata(options),
+    })
+
+    local result = Citizen.Await(p)
+
+    -- Client stages as they are, server stages prefixed; 'upload' is the round
+    -- trip minus the time the server spent processing
+    local stages, serverTotal = {}, 0
+    local shotMetrics = type(shot.metrics) == 'table' and shot.metrics or {}
+    for stage, ms in pairs(shotMetrics.stages or {}) do stages[stage] = ms end
+    for stage, ms in pairs(result.timings or {}) do
+        stages['server:' .. stage] = ms
+        serverTotal = serverTotal + ms
     end
+    local roundTrip = GetGameTimer() - sent
+    stages.upload = math.max(0, roundTrip - serverTotal)
 
-    -- Acquire queue slot
-    acquireQueue()
+    return {
+        base64  = result.base64,
+        error   = result.error,
+        backend = options.transparent and 'color' or nil,
+        hash    = result.hash,
+        phash   = result.phash,
+        reason  = result.reason,
+        metrics = { stages = stages, bytes = result.bytes, total = (shotMetrics.total or 0) + roundTrip },
+    }
+end
 
-    local base64, err
-    local retries = Config.Queue.RetryCount
+--- Processed image (or error) back from the server
+RegisterNetEvent('ayc-mugshot:client:processResult', function(data)
+    local p = type(data) == 'table' and serverRequests[data.id]
+    if p then
+        serverRequests[data.id] = nil
+        p:resolve(data)
+    end
+end)
 
-    for attempt = 1, retries + 1 do
-        if Config.Debug then
-            print(('[CAPTURE] Attempt %d/%d'):format(attempt, retries + 1))
-        end
+-- ============================================================
+-- JOBS
+-- ============================================================
+-- Every capture call runs as a job with an id, a priority (queue order) and
+-- an optional deadline. Calls passing the same jobId share one job, so one
+-- CancelMugshot stops all of them. A cancelled job leaves the queue, its
+-- NUI work is aborted (the worker stops at the next stage) and its pending
+-- callbacks resolve at once; the capture then stops at its next step and
+-- returns the reason as its error.
 
-        -- ======================================
-        -- Determine target ped (original or clone)
-        -- ======================================
-        local needClone = options.removeProps or options.removeMask
-        local targetPed = ped
-        local clonePed  = nil
+local jobCounter = 0
 
-        if needClone then
-            clonePed, err = CloneManager.Create(ped, {
-                removeProps = options.removeProps,
-                removeMask  = options.removeMask,
-            })
-            if not clonePed then
-                if attempt <= retries then
-                    Citizen.Wait(Config.Queue.RetryDelay)
-                    goto continue
-                end
-                releaseQueue()
-                return nil, ('Clone failed: %s'):format(err or 'unknown')
-            end
-            targetPed = clonePed
+--- Cancel a job
+--- @param job    table
+--- @param reason string  Error the job's captures return
+local function abortJob(job, reason)
+    if job.cancelled then return end
+    job.cancelled = reason
 
-            -- Wait for clone changes to fully apply
-            Citizen.Wait(200)
+    for i = #QueueWait, 1, -1 do
+        if QueueWait[i].job == job then
+            table.remove(QueueWait, i).p:resolve(false)
         end
+    end
 
-        -- ======================================
-        -- Capture native headshot
-        -- ======================================
-        local txd, handle
-        txd, handle, err = GetPedShot(targetPed)
+    local ids = {}
+    for id in pairs(job.nui) do
+        if nuiCallbacks[id] then
+            ids[#ids + 1] = id
+            nuiCallbacks[id]:resolve({ error = reason })
+            nuiCallbacks[id] = nil
+        end
+    end
+    if #ids > 0 then
+        SendNUIMessage({ action = 'abort', ids = ids })
+    end
 
-        if not txd then
-            if clonePed then
-                CloneManager.Destroy(clonePed)
-            end
-            if attempt <= retries then
-                Citizen.Wait(Config.Queue.RetryDelay)
-                goto continue
-            end
-            releaseQueue()
-            return nil, ('Headshot failed: %s'):format(err or 'unknown')
+    for id in pairs(job.server) do
+        if serverRequests[id] then
+            serverRequests[id]:resolve({ error = reason })
+            serverRequests[id] = nil
         end
+    end
+end
 
-        -- Small delay for texture to fully load
-        Citizen.Wait(Config.HeadshotDelay)
+--- Start the job for a capture call, or join the running one with the same jobId
+--- @param options table  Normalized options; jobId is filled in when missing
+--- @return table job
+local function beginJob(options)
+    if not options.jobId then
+        jobCounter = jobCounter + 1
+        options.jobId = ('job-%d'):format(jobCounter)
+    end
 
-        -- ======================================
-        -- Process via NUI (transparency + upscale)
-        -- ======================================
-        base64, err = processViaNUI(txd, options)
+    local job = Jobs[options.jobId]
+    if job then
+        job.refs = job.refs + 1
+        return job
+    end
+
+    job = { id = options.jobId, priority = options.priority, refs = 1, nui = {}, server = {} }
+    Jobs[job.id] = job
+
+    if options.deadline > 0 then
+        job.deadline = GetGameTimer() + options.deadline
+        SetTimeout(options.deadline, function()
+            if Jobs[job.id] == job then
+                abortJob(job, 'Capture deadline exceeded')
+            end
+        end)
+    end
+    return job
+end
+
+--- Leave a job; it is forgotten when its last call ends
+--- @param job table
+local function endJob(job)
+    job.refs = job.refs - 1
+    if job.refs <= 0 and Jobs[job.id] == job then
+        Jobs[job.id] = nil
+    end
+end
+
+-- ============================================================
+-- PERSISTENT CACHE (NUI IndexedDB)
+-- ============================================================
+
+--- Look keys up in the persistent NUI cache
+--- @param keys   string[]
+--- @param output string   'dataurl' | 'blob'
+--- @return table values   { base64, hash } or false per key, same order
+local function getFromStore(keys, output)
+    local values = {}
+    if not (Config.Cache.Enabled and Config.Cache.Persistent and Config.Cache.Persistent.Enabled) or #keys == 0 then
+        for i = 1, #keys do values[i] = false end
+        return values
+    end
+
+    local id, p = newNUICallback(2000)
+    SendNUIMessage({ action = 'cacheGet', id = id, keys = keys, output = output })
+
+    local result = Citizen.Await(p)
+    for i = 1, #keys do
+        local value = result.values and result.values[i]
+        if type(value) == 'table' and value.transfer then
+            value.base64   = receiveValue(value)
+            value.transfer = nil
+        end
+        values[i] = (type(value) == 'table' and type(value.base64) == 'string' and value.base64 ~= '') and value or false
+    end
+    return values
+end
+
+--- Describe where NUI should persist a finished capture
+--- @return table|nil  { key, hash, options }
+local function storeEntry(cacheKey, appearance, optsKey)
+    if not (Config.Cache.Enabled and Config.Cache.Persistent and Config.Cache.Persistent.Enabled) then
+        return nil
+    end
+    return { key = cacheKey, hash = appearance, options = optsKey }
+end
+
+--- Receive cacheGet / cacheStats answers from NUI
+RegisterNUICallback('cacheResult', function(data, cb)
+    cb('ok')
+    local id = data.id
+    if id and nuiCallbacks[id] then
+        local p = nuiCallbacks[id]
+        nuiCallbacks[id] = nil
+        for _, value in pairs(data.values or {}) do
+            if type(value) == 'table' then openTransfer(value.transfer) end
+        end
+        p:resolve({ values = data.values, stats = data.stats })
+    end
+end)
+
+-- ============================================================
+-- METRICS
+-- ============================================================
+
+local Metrics
+
+--- Start aggregating from zero
+local function resetMetrics()
+    Metrics = {
+        since      = GetGameTimer(),
+        captures   = 0,     -- NUI pipeline runs, retries included
+        failures   = 0,
+        cacheHits  = 0,
+        storeHits  = 0,
+        rejected   = {},    -- [reason]  = count
+        backends   = {},    -- [backend] = count, transparent captures only
+        aiRequests = 0,     -- Transparent captures with Config.AI enabled
+        fallbacks  = 0,     -- ...of which ended up colour keyed
+        bytes      = 0,
+        stages     = {},    -- [stage] = { count, total, max } in ms
+        combos     = {},    -- [option combination] = { count, total, max } in ms
+    }
+end
+resetMetrics()
+
+--- @param bucket table
+--- @param name   string
+--- @param ms     number
+local function addTiming(bucket, name, ms)
+    local entry = bucket[name]
+    if not entry then
+        entry = { count = 0, total = 0, max = 0 }
+        bucket[name] = entry
+    end
+    entry.count = entry.count + 1
+    entry.total = entry.total + ms
+    if ms > entry.max then entry.max = ms end
+end
+
+--- Label for the options that decide how much work a capture is,
+--- e.g. 'webp+transparent+refine+upscale x2'
+--- @param options table  Normalized options
+--- @return string
+local function comboKey(options)
+    local parts = { options.format }
+    if options.processOn == 'server' then parts[#parts + 1] = 'server' end
+    if options.transparent then parts[#parts + 1] = 'transparent' end
+    if options.refine then parts[#parts + 1] = 'refine' end
+    if options.removeProps or options.removeMask then parts[#parts + 1] = 'clone' end
+    if options.adjust then parts[#parts + 1] = 'adjust' end
+    if options.upscale then parts[#parts + 1] = ('upscale x%s'):format(options.upscaleFactor) end
+    if options.width or options.height then parts[#parts + 1] = 'resize' end
+    if options.background or options.shadow or options.outline then parts[#parts + 1] = 'layers' end
+    if options.overlays and #options.overlays > 0 then parts[#parts + 1] = 'overlays' end
+    if type(options.sequence) == 'table' then
+        parts[#parts + 1] = ('%s x%d'):format(options.sequence.layout, #options.angles)
+    end
+    return table.concat(parts, '+')
+end
+
+--- Count a capture answered from the memory ('cacheHits') or persistent ('storeHits') cache
+--- @param field string
+local function recordHit(field)
+    if Config.Metrics.Enabled then
+        Metrics[field] = Metrics[field] + 1
+    end
+end
+
+--- Fold one NUI pipeline run into the aggregate
+--- @param options table  Normalized options
+--- @param result  table  { base64, backend, reason, metrics }
+local function recordMetrics(options, result)
+    if not Config.Metrics.Enabled then return end
+
+    local ok = result.base64 ~= nil and result.base64 ~= ''
+    Metrics.captures = Metrics.captures + 1
+    if not ok then Metrics.failures = Metrics.failures + 1 end
+
+    if result.reason then
+        Metrics.rejected[result.reason] = (Metrics.rejected[result.reason] or 0) + 1
+    end
+
+    if options.transparent and result.backend then
+        Metrics.backends[result.backend] = (Metrics.backends[result.backend] or 0) + 1
+        if Config.AI.Enabled then
+            Metrics.aiRequests = Metrics.aiRequests + 1
+            if result.backend == 'color' then Metrics.fallbacks = Metrics.fallbacks + 1 end
+        end
+    end
+
+    local m = result.metrics
+    if type(m) ~= 'table' then return end
+
+    for stage, ms in pairs(m.stages or {}) do
+        addTiming(Metrics.stages, stage, ms)
+    end
+    if ok then
+        addTiming(Metrics.combos, comboKey(options), m.total or 0)
+        Metrics.bytes = Metrics.bytes + (m.bytes or 0)
+    end
+end
+
+-- ============================================================
+-- MAIN CAPTURE FUNCTION
+-- ============================================================
+
+--- Fill in defaults and clamp every capture option, on a copy: the
+--- caller's table is never changed, so reusing it cannot carry over a
+--- job id or other filled-in fields. Safe to run twice.
+--- @param options table|nil
+--- @return table options
+local function normalizeOptions(options)
+    local given = options or {}
+    options = {}
+    for k, v in pairs(given) do options[k] = v end
+
+    -- Normalize options with defaults
+    options.transparent   = options.transparent   == true
+    options.removeProps   = options.removeProps   == true
+    options.removeMask    = options.removeMask    == true
+    options.upscale       = options.upscale       == true
+    options.upscaleFactor = math.max(1.0, math.min(8.0, tonumber(options.upscaleFactor) or 2))
+    options.upscaleMethod = type(options.upscaleMethod) == 'string' and options.upscaleMethod or Config.Upscale.Method
+    options.sharpen       = type(options.sharpen) == 'string' and options.sharpen or Config.Upscale.Sharpen
+
+    local format = type(options.format) == 'string' and options.format:lower() or Config.Output.Format
+    if format == 'jpg' then format = 'jpeg' end
+    options.format  = OutputFormats[format] and format or 'png'
+    options.quality = math.max(0.0, math.min(1.0, tonumber(options.quality) or Config.Output.Quality))
+    options.matte   = type(options.matte) == 'string' and options.matte or Config.Output.Matte
+    options.output  = ((options.output or Config.Output.Mode) == 'blob') and 'blob' or 'dataurl'
+
+    options.width    = toSize(options.width)
+    options.height   = toSize(options.height)
+    options.fit      = ((options.fit or Config.Framing.Fit) == 'cover') and 'cover' or 'contain'
+    if options.autoCrop == nil then options.autoCrop = Config.Framing.AutoCrop end
+    options.autoCrop = options.autoCrop == true
+    options.padding  = math.max(0.0, tonumber(options.padding) or Config.Framing.Padding)
+
+    local background = options.background
+    if background == nil then background = Config.Compositing.Background end
+    if type(background) == 'string' then background = { type = 'color', color = background } end
+    options.background = layerOption(background)
+    options.shadow     = layerOption(options.shadow,  Config.Compositing.Shadow)
+    options.outline    = layerOption(options.outline, Config.Compositing.Outline)
+
+    if options.refine == nil then options.refine = Config.Matting.Enabled end
+    options.refine = layerOption(options.refine, Config.Matting)
+    if options.refine then options.refine.enabled = nil end
+
+    if options.adjust == nil then options.adjust = Config.Adjust.Enabled end
+    options.adjust = layerOption(options.adjust, Config.Adjust)
+    if options.adjust then options.adjust.enabled = nil end
+
+    local overlays = {}
+    if type(options.overlays) == 'table' then
+        for _, overlay in ipairs(options.overlays) do
+            if type(overlay) == 'table' then
+                local defaults = (overlay.type == 'placard') and Config.Overlays.Placard or Config.Overlays.Text
+                overlays[#overlays + 1] = layerOption(overlay, defaults)
+            end
+        end
+    end
+    options.overlays = overlays
+
+    -- The server pipeline has no canvas: PNG data URLs at native (or cropped
+    -- and upscaled) size, without layers or overlays
+    local processOn = options.processOn or Config.ServerProcessing.Default
+    options.processOn = (processOn == 'server' and Config.ServerProcessing.Enabled) and 'server' or 'client'
+    if options.processOn == 'server' then
+        options.format     = 'png'
+        options.output     = 'dataurl'
+        options.width      = nil
+        options.height     = nil
+        options.background = nil
+        options.shadow     = nil
+        options.outline    = nil
+        options.overlays   = {}
+    end
+
+    if options.metadata == nil then options.metadata = Config.Metadata.Enabled end
+    options.metadata   = options.metadata == true
+    options.identifier = type(options.identifier) == 'string' and options.identifier or nil
+    options.serverId   = tonumber(options.serverId)
+
+    -- Job control; not part of the cache key
+    options.jobId    = options.jobId ~= nil and tostring(options.jobId) or nil
+    options.priority = tonumber(options.priority) or Config.Queue.DefaultPriority
+    options.deadline = math.max(0, tonumber(options.deadline) or Config.Queue.Deadline)
+
+    return options
+end
+
+--- Fill in who a capture shows, for the image metadata: the ped's player
+--- name and server id when the ped is a player, unless passed in. Works on
+--- a copy, so a batch or a reused options table does not carry one ped's
+--- identity over to the next.
+--- @param ped     number
+--- @param options table  Normalized options table
+--- @return table options
+local function identifySubject(ped, options)
+    if not options.metadata then return options end
+
+    local subject = {}
+    for k, v in pairs(options) do subject[k] = v end
+
+    local player = NetworkGetPlayerIndexFromPed(ped)
+    if player and player ~= -1 and NetworkIsPlayerActive(player) then
+        subject.identifier = options.identifier or GetPlayerName(player)
+        subject.serverId   = options.serverId or GetPlayerServerId(player)
+    end
+    return subject
+end
+
+--- Fire the segmentation hook for a transparent capture
+--- @param options table
+--- @param backend string|nil
+local function reportBackend(options, backend)
+    if options.transparent and backend then
+        TriggerEvent('ayc-mugshot:client:segmentation', {
+            backend   = backend,
+            requested = Config.AI.Enabled and Config.AI.Backend or 'color',
+            fallback  = Config.AI.Enabled and backend == 'color',
+        })
+    end
+end
+
+--- Main mugshot capture function
+--- @param ped     number       Target ped
+--- @param options table|nil    { transparent, removeProps, removeMask, upscale, upscaleFactor }
+--- @return string|nil base64
+--- @return string|nil error
+--- @return string|nil hash     Content hash of the image (equal images, equal hash)
+--- @return string|nil phash    Perceptual hash, for CompareMugshots
+local function CaptureMugshot(ped, options)
+    options = normalizeOptions(options)
+
+    if not DoesEntityExist(ped) then
+        return nil, 'Ped does not exist'
+    end
+    options = identifySubject(ped, options)
+
+    -- Check cache
+    local cacheKey, appearance, optsKey = makeCacheKey(ped, options)
+    local cached, cachedHash, cachedPhash = getFromCache(cacheKey)
+    if cached then
+        if Config.Debug then
+            print('[CACHE] Hit')
+        end
+        recordHit('cacheHits')
+        return cached, nil, cachedHash, cachedPhash
+    end
+
+    -- From here on the capture can be cancelled
+    local job = beginJob(options)
+
+    -- Check the persistent NUI cache before cloning and shooting
+    local stored = getFromStore({ cacheKey }, options.output)[1]
+    if stored and job.cancelled then
+        releaseBlob(stored.base64)
+    elseif stored then
+        if Config.Debug then
+            print('[CACHE] Persistent hit')
+        end
+        recordHit('storeHits')
+        setCache(cacheKey, stored.base64, stored.hash, stored.phash)
+        endJob(job)
+        return stored.base64, nil, stored.hash, stored.phash
+    end
+
+    -- Acquire queue slot
+    if not acquireQueue(job) then
+        endJob(job)
+        return nil, job.cancelled
+    end
+
+    local base64, err, hash, phash
+    local retries = Config.Queue.RetryCount
+
+    for attempt = 1, retries + 1 do
+        if job.cancelled then break end
+
+        if Config.Debug then
+            print(('[CAPTURE] Attempt %d/%d'):format(attempt, retries + 1))
+        end
+
+        -- ======================================
+        -- Determine target ped (original or clone)
+        -- ======================================
+        local needClone = options.removeProps or options.removeMask
+        local targetPed = ped
+        local clonePed  = nil
+
+        if needClone then
+            clonePed, err = CloneManager.Create(ped, {
+                removeProps = options.removeProps,
+                removeMask  = options.removeMask,
+            })
+            if not clonePed then
+                if attempt <= retries then
+                    Citizen.Wait(Config.Queue.RetryDelay)
+                    goto continue
+                end
+                releaseQueue()
+                endJob(job)
+                return nil, ('Clone failed: %s'):format(err or 'unknown')
+            end
+            targetPed = clonePed
+
+            -- Wait for clone changes to fully apply
+            Citizen.Wait(200)
+            if job.cancelled then
+                CloneManager.Destroy(clonePed)
+                break
+            end
+        end
+
+        -- ======================================
+        -- Capture native headshot
+        -- ======================================
+        local txd, handle
+        txd, handle, err = GetPedShot(targetPed)
+
+        if not txd then
+            if clonePed then
+                CloneManager.Destroy(clonePed)
+            end
+            if attempt <= retries then
+                Citizen.Wait(Config.Queue.RetryDelay)
+                goto continue
+            end
+            releaseQueue()
+            endJob(job)
+            return nil, ('Headshot failed: %s'):format(err or 'unknown')
+        end
+
+        -- Small delay for texture to fully load
+        Citizen.Wait(Config.HeadshotDelay)
+        if job.cancelled then
+            UnregisterPedheadshot(handle)
+            if clonePed then CloneManager.Destroy(clonePed) end
+            break
+        end
+
+        -- ======================================
+        -- Process via NUI or the server (transparency + upscale)
+        -- ======================================
+        local result
+        if options.processOn == 'server' then
+            result = processViaServer(txd, options)
+        else
+            result = processViaNUI(txd, options, storeEntry(cacheKey, appearance, optsKey))
+        end
+        base64, err, hash, phash = result.base64, result.error, result.hash, result.phash
+
+        -- Cancelled while processing: whatever came back is discarded
+        if job.cancelled then
+            releaseBlob(base64)
+            UnregisterPedheadshot(handle)
+            if clonePed then CloneManager.Destroy(clonePed) end
+            break
+        end
+        recordMetrics(options, result)
+
+        -- Rejected frame (black, blank, subject wiped out): never cached, retried below
+        if result.reason and Config.Debug then
+            print(('[CAPTURE] Frame rejected: %s'):format(result.reason))
+        end
+
+        -- Hook: report which segmentation backend actually ran
+        reportBackend(options, result.backend)
 
         -- Release headshot handle
         if handle then
@@ -318,9 +1402,10 @@ local function CaptureMugshot(ped, options)
 
         if base64 and base64 ~= '' then
             -- Success
-            setCache(cacheKey, base64)
+            setCache(cacheKey, base64, hash, phash)
             releaseQueue()
-            return base64, nil
+            endJob(job)
+            return base64, nil, hash, phash
         end
 
         -- Retry
@@ -332,9 +1417,573 @@ local function CaptureMugshot(ped, options)
     end
 
     releaseQueue()
+    endJob(job)
+    if job.cancelled then return nil, job.cancelled end
     return nil, err or 'All capture attempts failed'
 end
 
+--- Capture many peds with the same options. Headshots are registered in
+--- chunks of Config.Queue.BatchSize (the game only holds a few at once) and
+--- each chunk is processed by NUI in a single round trip. Items that fail
+--- in the batch fall back to CaptureMugshot and its retries.
+--- @param peds    number[]
+--- @param options table|nil
+--- @return table[] results  { base64, error, hash, phash } per ped, same order
+local function CaptureMugshots(peds, options)
+    options = normalizeOptions(options)
+    local job = beginJob(options)
+
+    -- Server-processed captures upload one by one; there is no batch round trip.
+    -- Neither is there one with metadata, which names a different ped per image.
+    if options.processOn == 'server' or options.metadata then
+        local results = {}
+        for i, ped in ipairs(peds) do
+            local base64, err, hash, phash = CaptureMugshot(ped, options)
+            results[i] = { base64 = base64, error = err, hash = hash, phash = phash }
+        end
+        endJob(job)
+        return results
+    end
+
+    local results   = {}
+    local pending   = {}
+    local chunkSize = math.max(1, Config.Queue.BatchSize or 8)
+
+    for i, ped in ipairs(peds) do
+        if not DoesEntityExist(ped) then
+            results[i] = { error = 'Ped does not exist' }
+        else
+            local cacheKey, appearance, optsKey = makeCacheKey(ped, options)
+            local cached, cachedHash, cachedPhash = getFromCache(cacheKey)
+            if cached then
+                recordHit('cacheHits')
+                results[i] = { base64 = cached, hash = cachedHash, phash = cachedPhash }
+            else
+                pending[#pending + 1] = {
+                    index = i, ped = ped, cacheKey = cacheKey,
+                    store = storeEntry(cacheKey, appearance, optsKey),
+                }
+            end
+        end
+    end
+
+    -- One persistent cache lookup for everything the memory cache missed
+    local keys = {}
+    for n, item in ipairs(pending) do keys[n] = item.cacheKey end
+
+    local stored, misses = getFromStore(keys, options.output), {}
+    for n, item in ipairs(pending) do
+        if stored[n] then
+            recordHit('storeHits')
+            setCache(item.cacheKey, stored[n].base64, stored[n].hash, stored[n].phash)
+            results[item.index] = { base64 = stored[n].base64, hash = stored[n].hash, phash = stored[n].phash }
+        else
+            misses[#misses + 1] = item
+        end
+    end
+    local fromStore = #pending - #misses
+    pending = misses
+
+    local failed = {}
+
+    for first = 1, #pending, chunkSize do
+        if not acquireQueue(job) then break end
+
+        local last = math.min(first + chunkSize - 1, #pending)
+
+        -- Clone every ped of the chunk first so they share one settle delay
+        if options.removeProps or options.removeMask then
+            for n = first, last do
+                pending[n].clonePed = CloneManager.Create(pending[n].ped, {
+                    removeProps = options.removeProps,
+                    removeMask  = options.removeMask,
+                })
+            end
+            Citizen.Wait(200)
+        end
+
+        -- Register one headshot per ped
+        local chunk, txds, stores = {}, {}, {}
+        for n = first, last do
+            local item      = pending[n]
+            local targetPed = item.ped
+
+            if options.removeProps or options.removeMask then
+                targetPed = item.clonePed
+            end
+
+            if targetPed then
+                item.txd, item.handle = GetPedShot(targetPed)
+            end
+
+            if item.txd then
+                chunk[#chunk + 1]   = item
+                txds[#txds + 1]     = item.txd
+                stores[#stores + 1] = item.store or false
+            else
+                if item.clonePed then CloneManager.Destroy(item.clonePed) end
+                failed[#failed + 1] = item
+            end
+        end
+
+        if #chunk > 0 then
+            Citizen.Wait(Config.HeadshotDelay)
+
+            local processed = not job.cancelled and processBatchViaNUI(txds, options, stores) or {}
+
+            for n, item in ipairs(chunk) do
+                local result = processed[n] or {}
+
+                if not job.cancelled then
+                    reportBackend(options, result.backend)
+                    recordMetrics(options, result)
+                end
+                UnregisterPedheadshot(item.handle)
+                if item.clonePed then CloneManager.Destroy(item.clonePed) end
+
+                if job.cancelled then
+                    -- Answered below with the job's error
+                    releaseBlob(result.base64)
+                elseif result.base64 and result.base64 ~= '' then
+                    setCache(item.cacheKey, result.base64, result.hash, result.phash)
+                    results[item.index] = { base64 = result.base64, hash = result.hash, phash = result.phash }
+                else
+                    failed[#failed + 1] = item
+                end
+            end
+        end
+
+        releaseQueue()
+        if job.cancelled then break end
+    end
+
+    for _, item in ipairs(failed) do
+        local base64, err, hash, phash = CaptureMugshot(item.ped, options)
+        results[item.index] = { base64 = base64, error = err, hash = hash, phash = phash }
+    end
+
+    -- Cancelled: every ped still without an answer gets the reason
+    if job.cancelled then
+        for _, item in ipairs(pending) do
+            results[item.index] = results[item.index] or { error = job.cancelled }
+        end
+    end
+    endJob(job)
+
+    if Config.Debug then
+        print(('[BATCH] %d peds, %d from cache, %d from persistent cache, %d retried singly'):format(
+            #peds, #peds - #pending - fromStore, fromStore, #failed))
+    end
+
+    return results
+end
+
+-- ============================================================
+-- MULTI-ANGLE CAPTURE
+-- ============================================================
+
+--- Resolve the sequence options on top of normalizeOptions. Safe to run twice.
+--- @param options table  Normalized options
+--- @return table options  With `angles` (number list) and `sequence` ({ layout, frameDelay, columns, gap, loop })
+local function normalizeSequence(options)
+    local angles = options.angles
+    if angles == nil then angles = Config.Sequence.Angles end
+    if type(angles) == 'string' then angles = Config.Sequence.Presets[angles] end
+
+    -- The game only holds a few headshots at once
+    local list = {}
+    if type(angles) == 'table' then
+        for _, angle in ipairs(angles) do
+            if #list >= Config.Sequence.MaxFrames then break end
+            list[#list + 1] = tonumber(angle)
+        end
+    end
+    options.angles = list
+
+    local seq = type(options.sequence) == 'table' and options.sequence or options
+    options.sequence = {
+        layout     = SequenceLayouts[seq.layout] and seq.layout or Config.Sequence.Layout,
+        frameDelay = math.max(20, math.min(10000, tonumber(seq.frameDelay) or Config.Sequence.FrameDelay)),
+        columns    = math.max(0, math.floor(tonumber(seq.columns) or Config.Sequence.Columns)),
+        gap        = math.max(0, math.floor(tonumber(seq.gap) or Config.Sequence.Gap)),
+        loop       = math.max(0, math.floor(tonumber(seq.loop) or Config.Sequence.Loop)),
+    }
+
+    return options
+end
+
+--- Send the headshots of one sequence to NUI for assembly
+--- @param txds    string[]  One TXD per angle
+--- @param options table     Normalized sequence options
+--- @return table result  { base64, error, backend, hash, phash, reason, metrics, frames }
+local function processSequenceViaNUI(txds, options)
+    local id, p = newNUICallback(Config.Timeout + 5000 * #txds, Jobs[options.jobId])
+
+    local message = captureMessage(options)
+    message.action   = 'captureSequence'
+    message.id       = id
+    message.txds     = txds
+    message.angles   = options.angles
+    message.sequence = options.sequence
+    SendNUIMessage(message)
+
+    return Citizen.Await(p)
+end
+
+--- One attempt: clone the ped, shoot it at every angle and let NUI assemble the frames
+--- @param ped     number
+--- @param options table
+--- @param job     table  beginJob(); checked between angles
+--- @return table result  { base64, error, backend, hash, reason, metrics, frames }
+local function shootSequence(ped, options, job)
+    local clonePed, err = CloneManager.Create(ped, {
+        removeProps = options.removeProps,
+        removeMask  = options.removeMask,
+    })
+    if not clonePed then
+        return { error = ('Clone failed: %s'):format(err or 'unknown') }
+    end
+
+    local heading = GetEntityHeading(ped)
+    local txds, handles = {}, {}
+    local result
+
+    for i, angle in ipairs(options.angles) do
+        SetEntityHeading(clonePed, (heading + angle) % 360.0)
+        Citizen.Wait(Config.Sequence.SettleDelay)
+        if job.cancelled then
+            result = { error = job.cancelled }
+            break
+        end
+
+        local txd, handle, shotErr = GetPedShot(clonePed)
+        if not txd then
+            result = { error = ('Headshot failed: %s'):format(shotErr or 'unknown') }
+            break
+        end
+        txds[i], handles[i] = txd, handle
+    end
+
+    if not result then
+        Citizen.Wait(Config.HeadshotDelay)
+        if not job.cancelled then
+            result = processSequenceViaNUI(txds, options)
+        end
+        if job.cancelled then
+            result = { error = job.cancelled }
+        else
+            reportBackend(options, result.backend)
+            recordMetrics(options, result)
+        end
+    end
+
+    for _, handle in ipairs(handles) do
+        UnregisterPedheadshot(handle)
+    end
+    CloneManager.Destroy(clonePed)
+
+    return result
+end
+
+--- Capture a ped from several headings and assemble the frames into a
+--- contact sheet, sprite sheet or animation. Always works on a clone, so
+--- the ped itself never turns. Results are not cached.
+--- @param ped     number
+--- @param options table|nil
+--- @return string|nil base64
+--- @return string|nil error
+--- @return string|nil hash
+--- @return table|nil  frames  'sprite' only: { { angle, x, y, width, height }, ... }
+--- @return string|nil phash   Perceptual hash of the first frame
+local function CaptureSequence(ped, options)
+    options = normalizeSequence(normalizeOptions(options))
+
+    if not DoesEntityExist(ped) then
+        return nil, 'Ped does not exist'
+    end
+    options = identifySubject(ped, options)
+    if #options.angles == 0 then
+        return nil, 'No angles to capture'
+    end
+
+    local job = beginJob(options)
+    if not acquireQueue(job) then
+        endJob(job)
+        return nil, job.cancelled
+    end
+
+    local result  = {}
+    local retries = Config.Queue.RetryCount
+
+    for attempt = 1, retries + 1 do
+        result = shootSequence(ped, options, job)
+        if job.cancelled or (result.base64 and result.base64 ~= '') then break end
+
+        if Config.Debug then
+            print(('[SEQUENCE] Attempt %d/%d failed: %s'):format(
+                attempt, retries + 1, result.reason or result.error or 'unknown'))
+        end
+        if attempt <= retries then
+            Citizen.Wait(Config.Queue.RetryDelay)
+        end
+    end
+
+    releaseQueue()
+    endJob(job)
+
+    if job.cancelled then return nil, job.cancelled end
+    if result.base64 and result.base64 ~= '' then
+        return result.base64, nil, result.hash, result.frames, result.phash
+    end
+    return nil, result.error or 'All capture attempts failed'
+end
+
+-- ============================================================
+-- PERCEPTUAL COMPARE
+-- ============================================================
+
+local NibbleBits = { [0] = 0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4 }
+
+--- @param value any
+--- @return boolean
+local function isPerceptualHash(value)
+    return type(value) == 'string' and #value == 32 and value:match('^%x+$') ~= nil
+end
+
+--- Differing bits between two hex strings of equal length
+--- @param a string
+--- @param b string
+--- @return number
+local function hexDistance(a, b)
+    local bits = 0
+    for i = 1, #a do
+        bits = bits + NibbleBits[tonumber(a:sub(i, i), 16) ~ tonumber(b:sub(i, i), 16)]
+    end
+    return bits
+end
+
+--- Compare two mugshots by appearance
+--- @param a string  Perceptual hash (as returned with every capture) or image URL
+--- @param b string  Perceptual hash or image URL
+--- @return table|nil  result  { similarity (0-1), match, phash, dhash (differing bits of 64) }
+--- @return string|nil error
+local function CompareMugshots(a, b)
+    local result
+
+    -- Two hashes compare right here; images are hashed by NUI first
+    if isPerceptualHash(a) and isPerceptualHash(b) then
+        a, b = a:lower(), b:lower()
+        local p = hexDistance(a:sub(1, 16), b:sub(1, 16))
+        local d = hexDistance(a:sub(17), b:sub(17))
+        result = { similarity = 1 - (p + d) / 128, phash = p, dhash = d }
+    else
+        if type(a) ~= 'string' or type(b) ~= 'string' then
+            return nil, 'Expected two hashes or image URLs'
+        end
+
+        local id, p = newNUICallback(Config.Timeout)
+        SendNUIMessage({ action = 'compare', id = id, a = a, b = b })
+
+        local answer = Citizen.Await(p)
+        if not answer.result then
+            return nil, answer.error or 'Compare failed'
+        end
+        result = answer.result
+    end
+
+    result.match = result.similarity >= Config.Compare.Threshold
+    return result, nil
+end
+
+--- Receive compare answers from NUI
+RegisterNUICallback('compareResult', function(data, cb)
+    cb('ok')
+    local id = data.id
+    if id and nuiCallbacks[id] then
+        local p = nuiCallbacks[id]
+        nuiCallbacks[id] = nil
+        p:resolve({ result = data.result, error = data.error })
+    end
+end)
+
+-- ============================================================
+-- PREVIEW PANEL
+-- ============================================================
+
+local Preview = nil     -- { ped, options, identifier, requestId, promise } while the panel is open
+
+local saveRequests  = {}   -- [nonce] = promise waiting for a server request id
+local saveRequestId = 0
+
+--- Ask the server for the upload request id a save this client started
+--- (OpenPreview from another resource) must carry. Yields.
+--- @return string|nil requestId  nil when the server refused or did not answer in time
+local function requestSaveId()
+    saveRequestId = saveRequestId + 1
+    local nonce = saveRequestId
+    local p = promise.new()
+    saveRequests[nonce] = p
+
+    SetTimeout(Config.Timeout, function()
+        if saveRequests[nonce] then
+            saveRequests[nonce]:resolve(nil)
+            saveRequests[nonce] = nil
+        end
+    end)
+
+    TriggerServerEvent('ayc-mugshot:server:requestSave', nonce)
+    return Citizen.Await(p)
+end
+
+RegisterNetEvent('ayc-mugshot:client:saveRequest', function(nonce, requestId)
+    local p = saveRequests[nonce]
+    if p then
+        saveRequests[nonce] = nil
+        p:resolve(requestId)
+    end
+end)
+
+--- Shoot a source headshot for the open preview and hand it to NUI. The
+--- panel copies the pixels, so the handle and clone go away right after.
+--- @param removeProps boolean
+--- @param removeMask  boolean
+local function shootPreviewSource(removeProps, removeMask)
+    local session = Preview
+    if not session or not DoesEntityExist(session.ped) then return end
+
+    local targetPed, clonePed = session.ped, nil
+    if removeProps or removeMask then
+        clonePed = CloneManager.Create(session.ped, { removeProps = removeProps, removeMask = removeMask })
+        if not clonePed then return end
+        targetPed = clonePed
+        Citizen.Wait(200)
+    end
+
+    local txd, handle = GetPedShot(targetPed)
+    if txd then
+        Citizen.Wait(Config.HeadshotDelay)
+
+        local id, p = newNUICallback(Config.Timeout)
+        SendNUIMessage({
+            action  = 'previewSource',
+            id      = id,
+            txd     = txd,
+            variant = (removeProps and 'p' or '-') .. (removeMask and 'm' or '-'),
+        })
+        Citizen.Await(p)
+        UnregisterPedheadshot(handle)
+    end
+
+    if clonePed then
+        CloneManager.Destroy(clonePed)
+    end
+end
+
+--- Open the preview panel for a ped and wait for the operator.
+--- Accepting sends the image through the saveMugshot flow.
+--- @param ped        number
+--- @param options    table|nil   Same options as GetMugshot (output is forced to 'dataurl')
+--- @param identifier string|nil  Shown in the panel title (default: this player's name)
+--- @param requestId  string|nil  Server upload request the save answers (mugshot command);
+---                               without one, a request id is asked for when the operator accepts
+--- @return string|nil base64
+--- @return string|nil error
+local function OpenPreview(ped, options, identifier, requestId)
+    if Preview then
+        return nil, 'Preview already open'
+    end
+    if not DoesEntityExist(ped) then
+        return nil, 'Ped does not exist'
+    end
+
+    options = normalizeOptions(options)
+    options.output = 'dataurl'
+    options = identifySubject(ped, options)
+
+    Preview = {
+        ped        = ped,
+        options    = options,
+        identifier = identifier or GetPlayerName(PlayerId()),
+        requestId  = requestId,
+        promise    = promise.new(),
+    }
+
+    local adjustDefaults = layerOption(true, Config.Adjust)
+    adjustDefaults.enabled = nil
+
+    local message = captureMessage(options)
+    message.action         = 'previewOpen'
+    message.title          = ('Mugshot - %s'):format(Preview.identifier)
+    message.adjustDefaults = options.adjust or adjustDefaults
+    message.toggles        = {
+        transparent = options.transparent,
+        removeProps = options.removeProps,
+        removeMask  = options.removeMask,
+        upscale     = options.upscale,
+        adjust      = options.adjust ~= nil,
+    }
+    SendNUIMessage(message)
+    SetNuiFocus(true, true)
+
+    Citizen.CreateThread(function()
+        shootPreviewSource(options.removeProps, options.removeMask)
+    end)
+
+    local result = Citizen.Await(Preview.promise)
+    return result.base64, result.error
+end
+
+--- NUI asks for a headshot of a props/mask combination it has not seen yet
+RegisterNUICallback('previewRequestSource', function(data, cb)
+    cb('ok')
+    Citizen.CreateThread(function()
+        shootPreviewSource(data.removeProps == true, data.removeMask == true)
+    end)
+end)
+
+--- NUI copied a source texture
+RegisterNUICallback('previewLoaded', function(data, cb)
+    cb('ok')
+    local id = data.id
+    if id and nuiCallbacks[id] then
+        local p = nuiCallbacks[id]
+        nuiCallbacks[id] = nil
+        p:resolve({})
+    end
+end)
+
+--- Operator accepted or cancelled
+RegisterNUICallback('previewDone', function(data, cb)
+    cb('ok')
+    SetNuiFocus(false, false)
+
+    local session = Preview
+    Preview = nil
+    if not session then return end
+
+    if not data.accepted or not (data.base64 or data.transfer) then
+        session.promise:resolve({ error = 'Preview cancelled' })
+        return
+    end
+
+    openTransfer(data.transfer)
+    Citizen.CreateThread(function()
+        local base64, err = receiveValue(data)
+        if not base64 then
+            session.promise:resolve({ error = err })
+            return
+        end
+
+        sendToServer('ayc-mugshot:server:saveMugshot', {
+            base64     = base64,
+            hash       = data.hash,
+            phash      = data.phash,
+            requestId  = session.requestId or requestSaveId(),
+        })
+        session.promise:resolve({ base64 = base64 })
+    end)
+end)
+
 -- ============================================================
 -- EXPORTS
 -- ============================================================
@@ -344,14 +1993,57 @@ end
 --- @param options table|nil  { transparent, removeProps, removeMask, upscale, upscaleFactor }
 --- @return string|nil base64
 --- @return string|nil error
+--- @return string|nil hash
+--- @return string|nil phash
 exports('GetMugshot', function(ped, options)
     return CaptureMugshot(ped, options)
 end)
 
+--- Batch export - Async (yields the calling thread)
+--- @param peds    number[]
+--- @param options table|nil  Same options as GetMugshot, applied to every ped
+--- @return table[] results   { base64, error, hash, phash } per ped, same order as peds
+exports('GetMugshots', function(peds, options)
+    return CaptureMugshots(peds or {}, options)
+end)
+
+--- Multi-angle export - Async (yields the calling thread)
+--- @param ped     number
+--- @param options table|nil  GetMugshot options plus { angles, layout, frameDelay, columns, gap, loop }
+--- @return string|nil base64
+--- @return string|nil error
+--- @return string|nil hash
+--- @return table|nil  frames  'sprite' frame map
+--- @return string|nil phash   Perceptual hash of the first frame
+exports('GetMugshotSequence', function(ped, options)
+    return CaptureSequence(ped, options)
+end)
+
+--- Cancel a capture job (options.jobId): queued captures leave the queue,
+--- NUI processing stops at its next stage and the calls return the error
+--- 'Capture cancelled'
+--- @param jobId string
+--- @return boolean cancelled  false when no such job is running
+exports('CancelMugshot', function(jobId)
+    local job = Jobs[tostring(jobId)]
+    if not job or job.cancelled then return false end
+    abortJob(job, 'Capture cancelled')
+    return true
+end)
+
+--- Perceptual compare export (yields only when an image has to be hashed)
+--- @param a string  Perceptual hash or image URL (data URI, blob: URL, store URL)
+--- @param b string  Perceptual hash or image URL
+--- @return table|nil  result  { similarity, match, phash, dhash }
+--- @return string|nil error
+exports('CompareMugshots', function(a, b)
+    return CompareMugshots(a, b)
+end)
+
 --- Callback-based export (does not yield)
 --- @param ped      number
 --- @param options  table|nil
---- @param callback function(base64, error)
+--- @param callback function(base64, error, hash, phash)
 exports('GetMugshotCb', function(ped, options, callback)
     -- Backward compatibility: if options is a function, treat it as callback
     if type(options) == 'function' then
@@ -360,13 +2052,22 @@ exports('GetMugshotCb', function(ped, options, callback)
     end
 
     Citizen.CreateThread(function()
-        local base64, err = CaptureMugshot(ped, options)
+        local base64, err, hash, phash = CaptureMugshot(ped, options)
         if callback then
-            callback(base64, err)
+            callback(base64, err, hash, phash)
         end
     end)
 end)
 
+--- Preview/retake panel export (yields until the operator accepts or cancels)
+--- @param ped     number
+--- @param options table|nil
+--- @return string|nil base64
+--- @return string|nil error
+exports('OpenPreview', function(ped, options)
+    return OpenPreview(ped, options)
+end)
+
 --- Raw native headshot export (no clone, no NUI processing)
 --- @param ped number
 --- @return string|nil txd
@@ -377,12 +2078,97 @@ end)
 
 --- Clear all cached entries
 exports('ClearCache', function()
+    local urls = {}
+    for _, entry in pairs(Cache) do
+        if entry.base64:sub(1, 5) == 'blob:' then
+            urls[#urls + 1] = entry.base64
+        end
+    end
+    if #urls > 0 then
+        SendNUIMessage({ action = 'release', urls = urls })
+    end
+    SendNUIMessage({ action = 'cacheClear' })
+
     Cache = {}
     if Config.Debug then
         print('[CACHE] Cleared')
     end
 end)
 
+--- Memory and persistent cache statistics (yields for the NUI answer)
+--- @return table { memory = { entries, maxSize }, persistent = { entries, bytes, maxBytes, hits, misses, puts, evictions } | nil }
+exports('GetCacheStats', function()
+    local count = 0
+    for _ in pairs(Cache) do count = count + 1 end
+
+    local id, p = newNUICallback(2000)
+    SendNUIMessage({ action = 'cacheStats', id = id })
+    local result = Citizen.Await(p)
+
+    return {
+        memory     = { entries = count, maxSize = Config.Cache.MaxSize },
+        persistent = result.stats,
+    }
+end)
+
+--- Aggregated capture metrics since start or the last ResetMetrics
+--- @return table { uptime, captures, failures, cacheHits, storeHits, cacheHitRate, rejected, backends,
+---                 aiRequests, fallbacks, fallbackRate, avgBytes, stages, combos, slowest }
+---                 stages/combos map a name to { count, total, max, avg } in ms;
+---                 slowest lists the combos by average time, slowest first
+exports('GetMetrics', function()
+    local function summarize(bucket)
+        local out = {}
+        for name, entry in pairs(bucket) do
+            out[name] = { count = entry.count, total = entry.total, max = entry.max, avg = entry.total / entry.count }
+        end
+        return out
+    end
+
+    local function copy(t)
+        local out = {}
+        for k, v in pairs(t) do out[k] = v end
+        return out
+    end
+
+    local combos  = summarize(Metrics.combos)
+    local slowest = {}
+    for name, entry in pairs(combos) do
+        slowest[#slowest + 1] = { combo = name, avg = entry.avg, count = entry.count }
+    end
+    table.sort(slowest, function(a, b) return a.avg > b.avg end)
+
+    local served    = Metrics.captures + Metrics.cacheHits + Metrics.storeHits
+    local successes = Metrics.captures - Metrics.failures
+
+    return {
+        uptime       = (GetGameTimer() - Metrics.since) / 1000,
+        captures     = Metrics.captures,
+        failures     = Metrics.failures,
+        cacheHits    = Metrics.cacheHits,
+        storeHits    = Metrics.storeHits,
+        cacheHitRate = served > 0 and (Metrics.cacheHits + Metrics.storeHits) / served or 0,
+        rejected     = copy(Metrics.rejected),
+        backends     = copy(Metrics.backends),
+        aiRequests   = Metrics.aiRequests,
+        fallbacks    = Metrics.fallbacks,
+        fallbackRate = Metrics.aiRequests > 0 and Metrics.fallbacks / Metrics.aiRequests or 0,
+        avgBytes     = successes > 0 and Metrics.bytes / successes or 0,
+        stages       = summarize(Metrics.stages),
+        combos       = combos,
+        slowest      = slowest,
+    }
+end)
+
+exports('ResetMetrics', resetMetrics)
+
+--- Release an object URL returned in 'blob' output mode. Drops only the
+--- caller's reference; other holders and the cache keep theirs.
+--- @param url string
+exports('ReleaseMugshot', function(url)
+    releaseBlob(url)
+end)
+
 -- ============================================================
 -- SERVER REQUEST HANDLER
 -- ============================================================
@@ -392,26 +2178,37 @@ RegisterNetEvent('ayc-mugshot:client:requestCapture', function(options)
     local ped = PlayerPedId()
     if options.netId then
         if not NetworkDoesNetworkIdExist(options.netId) then
-            TriggerLatentServerEvent(
-                ('ayc-mugshot:server:captureResult_%d'):format(GetPlayerServerId(PlayerId())), 100000,
-                { base64 = nil, error = "Network Id does not exist" }
-            )
+            sendToServer('ayc-mugshot:server:captureResult', { base64 = nil, error = "Network Id does not exist", requestId = options.requestId })
             return
         end
         ped = NetworkGetEntityFromNetworkId(options.netId)
     end
+    -- The server only accepts uploads that carry its request id
+    local requestId = options.requestId
     Citizen.CreateThread(function()
-        local base64, err = CaptureMugshot(ped, options or {})
-        TriggerLatentServerEvent('ayc-mugshot:server:saveMugshot', 100000, {
-            base64     = base64,
-            error      = err,
-            identifier = GetPlayerName(PlayerId()),
+        local base64, err, hash, phash = CaptureMugshot(ped, options or {})
+        sendToServer('ayc-mugshot:server:saveMugshot', {
+            base64    = base64,
+            error     = err,
+            hash      = hash,
+            phash     = phash,
+            requestId = requestId,
         })
-        -- Also fire the specific result event for server-side export
-        TriggerLatentServerEvent(
-            ('ayc-mugshot:server:captureResult_%d'):format(GetPlayerServerId(PlayerId())), 100000,
-            { base64 = base64, error = err }
-        )
+        -- Also answer the server-side GetMugshot export
+        sendToServer('ayc-mugshot:server:captureResult', { base64 = base64, error = err, hash = hash, phash = phash, requestId = requestId })
+    end)
+end)
+
+--- Admin ran the mugshot command with the preview panel enabled
+RegisterNetEvent('ayc-mugshot:client:openPreview', function(data)
+    local ped = data.netId and NetworkDoesNetworkIdExist(data.netId) and NetworkGetEntityFromNetworkId(data.netId)
+    if not ped or not DoesEntityExist(ped) then
+        -- Target is out of scope for this client: capture on their side instead
+        TriggerServerEvent('ayc-mugshot:server:previewFallback', data.target, data.options)
+        return
+    end
+    Citizen.CreateThread(function()
+        OpenPreview(ped, data.options or {}, data.identifier, data.requestId)
     end)
 end)
 
@@ -421,7 +2218,12 @@ end)
 
 Citizen.CreateThread(function()
     Wait(1000)
-    SendNUIMessage({ action = 'init', aiConfig = Config.AI })
+    SendNUIMessage({
+        action         = 'init',
+        aiConfig       = Config.AI,
+        cacheConfig    = Config.Cache.Persistent,
+        transferConfig = Config.Transfer,
+    })
     if Config.Debug then
         print('Client core loaded')
     end
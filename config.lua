@@ -14,15 +14,48 @@ Config.Cache = {
     Enabled = true,
     TTL     = 60000,    -- ms - Cache entry lifetime
     MaxSize = 50,       -- Maximum cached items
+
+    -- NUI-side IndexedDB cache that survives reconnects and restarts,
+    -- consulted before a ped is cloned and shot
+    Persistent = {
+        Enabled  = true,
+        MaxBytes = 64 * 1024 * 1024,        -- LRU eviction past this total size
+        MaxAge   = 7 * 24 * 60 * 60 * 1000, -- ms - Entries older than this are dropped
+    },
 }
 
 -- ============================================================
 -- QUEUE
 -- ============================================================
 Config.Queue = {
-    MaxConcurrent = 2,      -- Maximum simultaneous captures
-    RetryCount    = 2,      -- Number of retries on failure
-    RetryDelay    = 1000,   -- ms - Delay between retries
+    MaxConcurrent   = 2,      -- Maximum simultaneous captures
+    RetryCount      = 2,      -- Number of retries on failure
+    RetryDelay      = 1000,   -- ms - Delay between retries
+    BatchSize       = 8,      -- GetMugshots: headshots registered and sent to NUI per round trip
+    DefaultPriority = 0,      -- options.priority when not given; waiting jobs are served highest first
+    Deadline        = 0,      -- ms - options.deadline when not given: the job is cancelled after it, 0 = never
+}
+
+-- ============================================================
+-- MULTI-ANGLE CAPTURE (GetMugshotSequence)
+-- ============================================================
+-- The clone is turned to each angle (degrees added to the ped's heading)
+-- and shot once per angle. 'sheet' and 'sprite' place the frames side by
+-- side ('sprite' also returns a JSON frame map), 'gif' and 'webp' encode
+-- an animation with the encoders bundled under nui/js/core.
+Config.Sequence = {
+    Presets = {
+        booking = { 0, 90, -90 },                       -- front, left and right profile
+        turn    = { 0, 45, 90, 45, 0, -45, -90, -45 },  -- idle loop
+    },
+    Angles      = 'booking',  -- Default preset name or list of angles
+    Layout      = 'sheet',    -- 'sheet' | 'sprite' | 'gif' | 'webp'
+    MaxFrames   = 8,          -- Headshots held at once; extra angles are dropped
+    SettleDelay = 150,        -- ms after turning the clone, before the headshot
+    FrameDelay  = 150,        -- ms per animation frame
+    Columns     = 0,          -- Sheet columns, 0 = one row
+    Gap         = 8,          -- px between 'sheet' cells (sprites are packed)
+    Loop        = 0,          -- Animation repeats, 0 = forever
 }
 
 -- ============================================================
@@ -51,7 +84,49 @@ Config.PropIndices = { 0, 1, 2 }
 -- NUI TRANSPARENCY SETTINGS (Color-based Fallback)
 -- ============================================================
 Config.Transparency = {
-    Tolerance = 45
+    -- 'adaptive': clusters border samples in CIELAB and fits a gradient, so
+    --             vignetted or uneven backgrounds key out cleanly
+    -- 'rgb'     : legacy single averaged colour with a fixed RGB tolerance
+    Mode        = 'adaptive',
+    Tolerance   = 45,   -- rgb mode only
+    Clusters    = 3,    -- adaptive: max background colour clusters
+    SeedDeltaE  = 10,   -- adaptive: border pixels closer than this (CIE76) start the fill
+    GrowDeltaE  = 16,   -- adaptive: the fill spreads through pixels closer than this
+    NoiseFactor = 2.5,  -- adaptive: thresholds rise to measured background noise x this
+}
+
+-- ============================================================
+-- CAPTURE VALIDATION
+-- ============================================================
+-- Frames that fail these checks are rejected with a reason code and the
+-- capture is retried (Config.Queue.RetryCount) instead of cached.
+-- Luminance and variance are measured over opaque pixels (0-255 scale).
+Config.Validation = {
+    Enabled       = true,
+    MinLuminance  = 12,     -- 'too_dark': texture not streamed yet
+    MinVariance   = 25,     -- 'flat': solid fill with no detail
+    MinCoverage   = 0.03,   -- 'subject_lost': share of opaque pixels left after removal (transparent only)
+    MinSubjectBox = 0.08,   -- 'subject_too_small': subject bounding box vs frame area (transparent only)
+}
+
+-- ============================================================
+-- APPEARANCE COMPARE (CompareMugshots)
+-- ============================================================
+-- Similarity of two perceptual hashes, 0-1. Re-captures of an unchanged
+-- ped usually land above 0.9; a new face, hair or beard drops well below.
+Config.Compare = {
+    Threshold = 0.85,   -- result.match = similarity >= Threshold
+}
+
+-- ============================================================
+-- METRICS
+-- ============================================================
+-- Per-stage timings are aggregated in Lua and read with the GetMetrics export.
+-- Progress fires the local 'ayc-mugshot:client:progress' event ({ id, index, stage })
+-- as each stage finishes, then once more with stage = 'finished' and the timings.
+Config.Metrics = {
+    Enabled  = true,
+    Progress = false,
 }
 
 -- ============================================================
@@ -59,10 +134,14 @@ Config.Transparency = {
 -- ============================================================
 Config.AI = {
     Enabled            = false, -- not recommended
-    Architecture       = 'MobileNetV1',
+    Backend            = 'bodypix-mobilenet', -- Bundled in nui/models/bodypix
+    -- Local model path under nui/ (remote URLs are rejected). nil = ./models/bodypix/model-stride16.json
+    ModelUrl           = nil,
     OutputStride       = 16,
     Multiplier         = 0.75,
-    ModelUrl           = './models/bodypix/model-stride16.json',
+    QuantBytes         = 2,
+    Parts              = nil,       -- e.g. { 'head', 'torso' } keeps just those body parts
+    WarmUp             = true,      -- Run one inference at load so the first capture is not slow
 
     SegThreshold       = 0.4,
     InternalResolution = 'medium',
@@ -74,8 +153,114 @@ Config.AI = {
 -- UPSCALE SETTINGS
 -- ============================================================
 Config.Upscale = {
+    Method           = 'mitchell',  -- 'nearest' | 'bilinear' | 'lanczos3' | 'mitchell' | 'epx'
+    MitchellB        = 1/3,         -- Mitchell-Netravali blur (B) and ringing (C) parameters
+    MitchellC        = 1/3,
+    EdgeThreshold    = 24,          -- epx: luma difference still treated as "same colour"
+
+    Sharpen          = 'luminance', -- 'luminance' | 'unsharp' | 'none' (runs after upscaling)
     NoiseThreshold    = 15,
-    SharpenAmount   = 1.5
+    SharpenAmount   = 1.5,
+    UnsharpAmount    = 0.8,
+    UnsharpRadius    = 1.0,         -- Gaussian sigma in px
+    UnsharpThreshold = 4,
+}
+
+-- ============================================================
+-- FRAMING (crop / resize)
+-- ============================================================
+Config.Framing = {
+    Fit      = 'contain',   -- 'contain' (aspect-fit, letterboxed) | 'cover' (aspect-fill, cropped)
+    AutoCrop = false,       -- Crop to the subject's alpha bounds when transparent = true
+    Padding  = 0.08,        -- autoCrop margin as a fraction of the subject's larger side
+}
+
+-- ============================================================
+-- ALPHA MATTING (edge refinement after either segmentation method)
+-- ============================================================
+-- Builds a trimap around the mask edge, solves a soft alpha with a guided
+-- filter and removes background colour bleeding into hair and beard edges.
+Config.Matting = {
+    Enabled       = false,
+    Strength      = 1.0,     -- 0.0 = keep the hard mask, 1.0 = fully refined alpha
+    Band          = 4,       -- px on each side of the mask edge treated as unknown
+    Radius        = 4,       -- Guided filter window radius in px
+    Epsilon       = 0.005,   -- Guided filter regularisation (higher = softer)
+    Decontaminate = true,    -- Remove background colour from semi-transparent pixels
+}
+
+-- ============================================================
+-- COLOR ADJUSTMENTS
+-- ============================================================
+-- Applied to the subject before upscaling. Captures can pass adjust = true,
+-- adjust = false, or a table overriding single fields (camelCase, e.g. { preset = 'sepia' }).
+Config.Adjust = {
+    Enabled              = false,
+    Brightness           = 0.0,     -- -1.0 - 1.0
+    Contrast             = 0.0,     -- -1.0 - 1.0
+    Gamma                = 1.0,     -- > 1.0 lifts shadows (dark interiors / night)
+    Saturation           = 1.0,     -- 0.0 = grey, 1.0 = unchanged
+    WhiteBalance         = 'none',  -- 'none' | 'auto' (gray world on the subject pixels)
+    WhiteBalanceStrength = 0.6,     -- 0.0 - 1.0, how far 'auto' pulls towards neutral
+    Temperature          = 0.0,     -- -1.0 (cooler) - 1.0 (warmer)
+    AutoLevels           = false,   -- Stretch the subject's histogram to the full range
+    LevelsClip           = 0.005,   -- Fraction of darkest/brightest subject pixels ignored
+    Preset               = 'none',  -- 'none' | 'grayscale' | 'sepia' (archive look)
+}
+
+-- ============================================================
+-- COMPOSITING (transparent captures only)
+-- ============================================================
+Config.Compositing = {
+    -- Default background behind the cut-out subject, nil keeps it transparent. Examples:
+    --   '#1f2329'
+    --   { Type = 'gradient', From = '#4b5563', To = '#111827' }
+    --   { Type = 'image', Image = 'height-chart.png', Fit = 'cover' }   -- file in nui/backgrounds/
+    Background = nil,
+
+    -- Used when a capture passes shadow = true / outline = true (tables override single fields)
+    Shadow  = { Color = 'rgba(0, 0, 0, 0.55)', Blur = 12, OffsetX = 0, OffsetY = 6 },
+    Outline = { Color = '#ffffff', Width = 3 },
+}
+
+-- ============================================================
+-- OVERLAYS (text, booking placard, images from nui/overlays/)
+-- ============================================================
+-- Positions and image widths are fractions (0.0 - 1.0) of the output size.
+Config.Overlays = {
+    Text = {
+        Font  = 'Arial',
+        Size  = 16,
+        Color = '#ffffff',
+        Align = 'center',
+    },
+    Placard = {
+        Title      = 'LOS SANTOS POLICE DEPARTMENT',
+        Position   = 'bottom',     -- 'bottom' | 'top'
+        Height     = 0.26,
+        Background = '#111111',
+        Color      = '#ffffff',
+        Font       = 'Arial',
+    },
+}
+
+-- ============================================================
+-- OUTPUT / ENCODING
+-- ============================================================
+Config.Output = {
+    Format  = 'png',        -- 'png' | 'webp' | 'jpeg'
+    Quality = 0.92,         -- 0.0 - 1.0, used by webp and jpeg
+    Matte   = '#ffffff',    -- jpeg has no alpha: transparent pixels are flattened onto this colour
+    Mode    = 'dataurl',    -- 'dataurl' (base64 data URI) | 'blob' (NUI object URL, raw bytes)
+}
+
+-- Capture metadata written into the image: PNG text chunks, EXIF for jpeg and webp (GIF gets
+-- none). Holds the identifier, the player's server id, the capture time, the options used,
+-- the segmentation backend and the hash of the image without the metadata. Read it back
+-- with the ReadMugshotMetadata server export. With a timestamp in every file, two captures
+-- of the same ped no longer produce the same content hash.
+Config.Metadata = {
+    Enabled = false,        -- Default for the `metadata` capture option
 }
 
 -- ============================================================
@@ -85,12 +270,80 @@ Config.SaveToFile       = false
 Config.SavePath         = 'saved_photos'
 Config.AdminPermission  = 'command.mugshot'
 
+-- Preview/retake panel: when enabled, the mugshot command opens it for in-game
+-- admins instead of capturing blind (the console still captures blind)
+Config.Preview = {
+    Enabled = false,
+}
+
+-- Indexed mugshot store served over HTTP at /ayc-mugshot/<id>.<ext> (server/store.js).
+-- Ids come from the image's SHA-256, so URLs are stable and duplicates are stored once.
+Config.Store = {
+    Enabled          = false,
+    Path             = 'mugshots',  -- Folder inside the resource (images + index.json)
+    MaxAgeDays       = 30,          -- Delete images not stored again for this long (0 = keep)
+    MaxPerIdentifier = 10,          -- Newest images kept per identifier (0 = unlimited)
+    MaxTotalMB       = 512,         -- Oldest images go first past this size (0 = unlimited)
+    PruneInterval    = 60,          -- Minutes between retention passes
+    PublicUrl        = nil,         -- Base URL override, e.g. 'https://cdn.example.com/mugshots'
+}
+
+-- Checks on every image a client uploads (server/upload.js). Saves and GetMugshot results
+-- must answer a capture the server asked for, and are filed under the identifier the
+-- server has for the player, never one the client sends. Saved files get an HMAC-SHA256
+-- signature (<file>.sig, and `signature` in the store index) keyed by the server convar
+-- `ayc_mugshot_secret`; without it a key is generated into signing.key. Keep both private.
+Config.Upload = {
+    Formats          = { 'png', 'webp', 'jpeg' },
+    MaxBytes         = 8 * 1024 * 1024, -- Decoded image size limit
+    MaxDimension     = 4096,            -- Width/height limit in px
+    RequestTimeout   = 60000,           -- ms a capture request stays open
+    IdentifierType   = 'license',       -- Player identifier mugshots are saved under ('license', 'discord', ...), nil = name
+    AllowUnsolicited = false,           -- Also accept saves without a request id, under the uploader (client-side OpenPreview asks for one; AdminPermission only)
+}
+
+-- Images bigger than ChunkSize travel NUI -> Lua -> server as numbered chunks with a
+-- CRC32 each; missing or corrupt chunks are requested again, and the server checks
+-- the reassembled image against its SHA-256 before saving or storing it. Transfers
+-- larger than Config.Upload.MaxBytes are refused before any chunk is kept.
+Config.Transfer = {
+    ChunkSize  = 65536,     -- Characters of base64 per chunk
+    Bandwidth  = 100000,    -- Bytes per second for latent client -> server events
+    Timeout    = 10000,     -- ms without progress before missing chunks are requested again
+    MaxResends = 3,         -- Rounds of resends before a transfer fails
+    MaxOpen    = 2,         -- Transfers one player may have in progress at once
+}
+
+-- Server-side processing (server/process.js) for captures with processOn = 'server':
+-- the client only uploads the raw headshot and the server runs colour keying,
+-- refine, crop, adjust and upscale with the same code as the NUI worker, so weak
+-- clients do not freeze on big upscales. Results are PNG data URLs without frame
+-- size, layers or overlays. They are not stored; server-requested captures are when saved.
+Config.ServerProcessing = {
+    Enabled   = false,
+    Default   = 'client',   -- processOn when a capture does not pass one: 'client' | 'server'
+    Threads   = 1,          -- worker threads on the server
+    MaxQueue  = 16,         -- Uploads waiting for a thread before new ones are refused
+    MaxFactor = 4.0,        -- Upscale factor cap for server jobs
+    MaxSource = 512,        -- px - Largest raw headshot a server job accepts (width and height)
+    MaxPixels = 4194304,    -- Output pixel cap (2048 x 2048); the upscale factor is lowered to stay under it
+    Cooldown  = 1000,       -- ms between one player's server jobs; clients wait it out before uploading
+    Bandwidth = 1000000,    -- Bytes per second for sending the processed image back
+    Timeout   = 30000,      -- ms the client waits for the processed image
+}
+
 -- ============================================================
 -- WEBHOOK
 -- ============================================================
 Config.Webhook = {
-    Enabled  = false,
-    URL      = '',
-    Username = 'Mugshot Bot',
-    Avatar   = '',
+    Enabled      = false,
+    URL          = '',
+    Username     = 'Mugshot Bot',
+    Avatar       = '',
+    AttachImage  = true,            -- Attach the mugshot to the embed (multipart upload)
+    MaxBytes     = 8 * 1024 * 1024, -- Attachment size limit; bigger PNGs are scaled down, other formats left out
+    MaxDimension = 1024,            -- PNGs wider or taller than this are scaled down
+    RateLimit    = 5,               -- Messages per player per RateWindow (0 = unlimited)
+    RateWindow   = 60,              -- Seconds
+    MaxRetries   = 3,               -- Retries when Discord answers 429, after the wait it asks for
 }
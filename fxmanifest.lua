@@ -16,6 +16,12 @@ client_scripts {
 }
 
 server_scripts {
+    'server/store.js',
+    'server/process.js',
+    'server/transfer.js',
+    'server/metadata.js',
+    'server/upload.js',
+    'server/webhook.js',
     'server/main.lua',
 }
 
@@ -27,7 +33,16 @@ files {
     'nui/js/libs/bodypix.min.js',
     'nui/js/libs/tf.min.js ',
     'nui/js/app.js',
+    'nui/js/compare.js',
+    'nui/js/pipeline.js',
+    'nui/js/preview.js',
+    'nui/js/store.js',
+    'nui/js/transfer.js',
+    'nui/js/worker.js',
+    'nui/js/core/*.js',
     'nui/js/segmentation.js',
     'nui/js/upscaler.js',
     'nui/models/bodypix/**/*',
+    'nui/backgrounds/*',
+    'nui/overlays/*',
 }
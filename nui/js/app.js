@@ -2,20 +2,132 @@
     'use strict';
 
     // ============================================================
-    // CANVAS REFERENCES
+    // CANVAS POOL
     // ============================================================
 
-    const captureCanvas = document.getElementById('captureCanvas');
-    const captureCtx    = captureCanvas.getContext('2d', { willReadFrequently: true });
+    // Scratch canvases for AI segmentation, which needs the WebGL backend
+    // and therefore stays on this thread. Everything else runs in the worker.
+    // Each job borrows its own canvas, so overlapping captures cannot
+    // overwrite each other's pixels while segmentation is awaited.
+    const CANVAS_POOL_MAX = 4;
+    const canvasPool      = [];
 
-    const processCanvas = document.getElementById('processCanvas');
-    const processCtx    = processCanvas.getContext('2d', { willReadFrequently: true });
+    // Items of one batch in flight at once; more only queues up in the worker
+    const BATCH_CONCURRENCY = 2;
 
-    const upscaleCanvas = document.getElementById('upscaleCanvas');
-    const upscaleCtx    = upscaleCanvas.getContext('2d', { willReadFrequently: true });
+    /**
+     * Borrow a scratch canvas sized to w x h
+     * @param {number} w
+     * @param {number} h
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+     */
+    function acquireCanvas(w, h) {
+        let surface = canvasPool.pop();
+        if (!surface) {
+            const canvas = document.createElement('canvas');
+            surface = { canvas: canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
+        }
+        surface.canvas.width  = w;
+        surface.canvas.height = h;
+        surface.ctx.clearRect(0, 0, w, h);
+        return surface;
+    }
+
+    /**
+     * Return a canvas to the pool
+     * @param {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} surface
+     */
+    function releaseCanvas(surface) {
+        if (canvasPool.length < CANVAS_POOL_MAX) {
+            canvasPool.push(surface);
+        } else {
+            // Drop the backing store right away instead of waiting for GC
+            surface.canvas.width  = 0;
+            surface.canvas.height = 0;
+        }
+    }
 
     let initialized = false;
 
+    // Object URLs handed out in 'blob' output mode, kept until Lua releases them.
+    // Identical images (same content hash) share one URL with a reference count;
+    // every caller holding the URL and the Lua cache each own one reference.
+    const blobUrls  = new Map();   // url  -> { hash, refs }
+    const urlByHash = new Map();   // hash -> url
+
+    /**
+     * Hand out an object URL for an encoded image, reusing the URL of an
+     * identical image that is still alive
+     * @param {string}     hash
+     * @param {function(): Blob} makeBlob - Only called when no URL exists yet
+     * @returns {string}
+     */
+    function acquireBlobUrl(hash, makeBlob) {
+        const existing = hash && urlByHash.get(hash);
+        if (existing) {
+            blobUrls.get(existing).refs++;
+            return existing;
+        }
+        const url = URL.createObjectURL(makeBlob());
+        blobUrls.set(url, { hash: hash, refs: 1 });
+        if (hash) urlByHash.set(hash, url);
+        return url;
+    }
+
+    /**
+     * Add a reference to a URL that is still alive
+     * @param {string} url
+     */
+    function retainBlobUrl(url) {
+        const entry = blobUrls.get(url);
+        if (entry) entry.refs++;
+    }
+
+    /**
+     * Drop one reference (or all of them) and revoke the URL at zero
+     * @param {string}  url
+     * @param {boolean} all
+     */
+    function releaseBlobUrl(url, all) {
+        const entry = blobUrls.get(url);
+        if (!entry) return;
+        entry.refs = all ? 0 : entry.refs - 1;
+        if (entry.refs > 0) return;
+
+        blobUrls.delete(url);
+        if (entry.hash) urlByHash.delete(entry.hash);
+        URL.revokeObjectURL(url);
+    }
+
+    // Capture message ids still running, and the ones of those Lua aborted
+    // (CancelMugshot, deadlines). Aborted work stops at the next stage and
+    // nothing is sent back or cached for it. Both forget an id once its
+    // capture settles; aborts for captures already done are ignored.
+    const running = new Set();
+    const aborted = new Set();
+
+    /**
+     * A capture finished or stopped: forget its id
+     * @param {number} id
+     * @returns {boolean} true when it had been aborted
+     */
+    function settle(id) {
+        running.delete(id);
+        return aborted.delete(id);
+    }
+
+    /**
+     * Throw when the capture a message started has been aborted
+     * @param {number} [tag] - Capture message id (options.tag)
+     */
+    function checkAborted(tag) {
+        if (tag !== undefined && aborted.has(tag)) {
+            const err = new Error('Capture aborted');
+            err.code  = 'aborted';
+            throw err;
+        }
+    }
+
     // ============================================================
     // MESSAGE HANDLER
     // ============================================================
@@ -35,6 +147,86 @@
                     window.Segmentation.init(msg.aiConfig);
                 }
             }
+            if (window.MugshotStore) {
+                window.MugshotStore.configure(msg.cacheConfig);
+            }
+            window.Transfer.configure(msg.transferConfig);
+            return;
+        }
+
+        // ======================================
+        // CACHE: Persistent IndexedDB store
+        // ======================================
+        if (msg.action === 'cacheGet') {
+            cacheGet(msg.keys || [], msg.output).then(function (values) {
+                sendCacheResult(msg.id, { values: values });
+            });
+            return;
+        }
+
+        if (msg.action === 'cachePut') {
+            cachePut(msg.value, msg, msg.contentHash, msg.phash);
+            return;
+        }
+
+        if (msg.action === 'cacheClear') {
+            window.MugshotStore.clear().catch(function (err) {
+                console.warn('[MugshotStore] Clear failed:', err && err.message);
+            });
+            return;
+        }
+
+        if (msg.action === 'cacheStats') {
+            window.MugshotStore.stats().then(function (stats) {
+                sendCacheResult(msg.id, { stats: stats });
+            }, function () {
+                sendCacheResult(msg.id, { stats: null });
+            });
+            return;
+        }
+
+        // ======================================
+        // RETAIN / RELEASE: Reference counts of 'blob' output URLs
+        // ======================================
+        if (msg.action === 'retain') {
+            for (const url of msg.urls || []) {
+                retainBlobUrl(url);
+            }
+            return;
+        }
+
+        if (msg.action === 'release') {
+            for (const url of msg.urls || []) {
+                releaseBlobUrl(url, msg.all === true);
+            }
+            return;
+        }
+
+        // ======================================
+        // ABORT: Stop cancelled captures between stages
+        // ======================================
+        if (msg.action === 'abort') {
+            for (const id of msg.ids || []) {
+                if (!running.has(id)) continue;
+                aborted.add(id);
+                window.Pipeline.abort(id);
+            }
+            return;
+        }
+
+        // ======================================
+        // CAPTURE BATCH: Many TXDs, one set of options
+        // ======================================
+        if (msg.action === 'captureBatch') {
+            captureBatch(msg.id, msg.txds || [], readOptions(msg), msg.config, msg.caches || []);
+            return;
+        }
+
+        // ======================================
+        // CAPTURE SEQUENCE: Several angles of one ped, assembled
+        // ======================================
+        if (msg.action === 'captureSequence') {
+            captureSequence(msg.id, msg.txds || [], readOptions(msg), msg.config || {});
             return;
         }
 
@@ -43,159 +235,602 @@
         // ======================================
         if (msg.action !== 'capture') return;
 
-        const { id, txd, transparent, upscale, upscaleFactor, config } = msg;
+        const { id, txd, config } = msg;
 
         if (!txd) {
             sendResult(id, null, 'No TXD texture name provided');
             return;
         }
 
-        captureMugshot(id, txd, transparent, upscale, upscaleFactor, config);
+        running.add(id);
+        captureMugshot(txd, readOptions(msg), config, progressReporter(id, null, config)).then(function (result) {
+            if (settle(id)) {
+                releaseBlobUrl(result.base64, false);
+                return;
+            }
+            cachePut(result.base64, msg.cache, result.hash, result.phash);
+            sendResult(id, result.base64, result.error, result);
+        });
     });
 
+    /**
+     * Pick the capture options out of a NUI message
+     * @param {object} msg
+     * @returns {object}
+     */
+    function readOptions(msg) {
+        return {
+            transparent:   msg.transparent,
+            upscale:       msg.upscale,
+            upscaleFactor: msg.upscaleFactor,
+            frame:         msg.frame  || {},
+            refine:        msg.refine || null,
+            adjust:        msg.adjust || null,
+            layers:        msg.layers || {},
+            overlays:      msg.overlays || [],
+            encode:        msg.encode || {},
+            angles:        msg.angles || [],
+            sequence:      msg.sequence || null,
+            metadata:      msg.metadata || null,
+            tag:           msg.id,
+        };
+    }
+
     // ============================================================
     // CAPTURE PIPELINE
     // ============================================================
 
     /**
      * Main capture and processing pipeline
-     * @param {number}  id            - Callback ID
-     * @param {string}  txd           - TXD texture name
-     * @param {boolean} transparent   - Whether to remove background
-     * @param {boolean} doUpscale     - Whether to upscale
-     * @param {number}  upscaleFactor - 2 or 4
-     * @param {object}  config        - { transparency, ai, upscaleConf }
+     * @param {string}   txd        - TXD texture name
+     * @param {object}   options    - { transparent, upscale, upscaleFactor, refine, frame, adjust, layers, overlays, encode }
+     * @param {object}   config     - { transparency, ai, upscaleConf, metrics }
+     * @param {function} [progress] - Called with each stage name as it finishes
+     * @returns {Promise<{base64: string|null, error: string|null, backend: string|null, hash?: string,
+     *                    metrics?: object}>} Never rejects
      */
-    function captureMugshot(id, txd, transparent, doUpscale, upscaleFactor, config) {
-        config = config || {};
+    function captureMugshot(txd, options, config, progress) {
+        const started = performance.now();
+
+        return loadTexture(txd).then(function (img) {
+            const load = elapsed(started);
+            if (progress) progress('load');
 
+            return processImage(img, options, config || {}, progress).then(function (result) {
+                if (result.metrics) {
+                    result.metrics.stages.load = load;
+                    result.metrics.total       = elapsed(started);
+                }
+                return result;
+            });
+        }, function (err) {
+            return { base64: null, error: err.message, backend: null, metrics: { stages: { load: elapsed(started) }, total: elapsed(started) } };
+        });
+    }
+
+    /**
+     * Milliseconds since `since`, rounded to 0.01
+     * @param {number} since - performance.now() timestamp
+     * @returns {number}
+     */
+    function elapsed(since) {
+        return Math.round((performance.now() - since) * 100) / 100;
+    }
+
+    /**
+     * Stage callback that forwards progress to Lua, when Config.Metrics.Progress asks for it
+     * @param {number} id
+     * @param {number|null} index  - Item index inside a batch
+     * @param {object}      config
+     * @returns {function(string)|null}
+     */
+    function progressReporter(id, index, config) {
+        if (!config || !config.metrics || !config.metrics.Progress) return null;
+
+        return function (stage) {
+            fetch('https://' + GetParentResourceName() + '/captureProgress', {
+                method:  'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body:    JSON.stringify({ id: id, index: index, stage: stage }),
+            }).catch(function () {});
+        };
+    }
+
+    /**
+     * Load a headshot TXD as an image, retrying once after 500ms
+     * @param {string} txd
+     * @returns {Promise<HTMLImageElement>}
+     */
+    function loadTexture(txd) {
         // Build image URL from TXD
         const url = 'https://nui-img/' + txd + '/' + txd + '?t=' + Date.now();
 
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
+        return new Promise(function (resolve, reject) {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
 
-        img.onload = function () {
-            processImage(id, img, transparent, doUpscale, upscaleFactor, config);
-        };
+            img.onload = function () {
+                resolve(img);
+            };
 
-        img.onerror = function () {
-            // Retry once after 500ms
-            setTimeout(function () {
-                const retryImg = new Image();
-                retryImg.crossOrigin = 'anonymous';
+            img.onerror = function () {
+                // Retry once after 500ms
+                setTimeout(function () {
+                    const retryImg = new Image();
+                    retryImg.crossOrigin = 'anonymous';
 
-                retryImg.onload = function () {
-                    processImage(id, retryImg, transparent, doUpscale, upscaleFactor, config);
-                };
+                    retryImg.onload = function () {
+                        resolve(retryImg);
+                    };
 
-                retryImg.onerror = function () {
-                    sendResult(id, null, 'Failed to load headshot texture after retry');
-                };
+                    retryImg.onerror = function () {
+                        reject(new Error('Failed to load headshot texture after retry'));
+                    };
 
-                retryImg.src = url + '&retry=1';
-            }, 500);
-        };
+                    retryImg.src = url + '&retry=1';
+                }, 500);
+            };
 
-        img.src = url;
+            img.src = url;
+        });
     }
 
     /**
-     * Process loaded image through the pipeline
-     * @param {number}       id
-     * @param {HTMLImageElement} img
-     * @param {boolean}      transparent
-     * @param {boolean}      doUpscale
-     * @param {number}       upscaleFactor
-     * @param {object}       config
+     * Capture several TXDs with the same options. Items run a few at a time
+     * (the worker serialises the heavy stages anyway) and the results come
+     * back in one callback, in the same order as `txds`.
+     * @param {number}   id
+     * @param {string[]} txds
+     * @param {object}   options
+     * @param {object}   config
+     * @param {object[]} caches - Persistent cache { key, hash, options } per txd
+     */
+    async function captureBatch(id, txds, options, config, caches) {
+        running.add(id);
+        const results = new Array(txds.length);
+        let next = 0;
+
+        async function lane() {
+            while (next < txds.length && !aborted.has(id)) {
+                const i = next++;
+                results[i] = txds[i]
+                    ? await captureMugshot(txds[i], options, config, progressReporter(id, i, config))
+                    : { base64: null, error: 'No TXD texture name provided', backend: null };
+                if (!aborted.has(id)) cachePut(results[i].base64, caches[i], results[i].hash, results[i].phash);
+            }
+        }
+
+        const lanes = [];
+        for (let n = 0; n < Math.min(BATCH_CONCURRENCY, txds.length); n++) lanes.push(lane());
+        await Promise.all(lanes);
+
+        if (settle(id)) {
+            for (const result of results) {
+                if (result) releaseBlobUrl(result.base64, false);
+            }
+            return;
+        }
+        sendBatchResult(id, results);
+    }
+
+    /**
+     * Load every headshot of a sequence, assemble them and answer through captureResult
+     * @param {number}   id
+     * @param {string[]} txds    - One TXD per angle, in order
+     * @param {object}   options
+     * @param {object}   config
      */
-    async function processImage(id, img, transparent, doUpscale, upscaleFactor, config) {
+    async function captureSequence(id, txds, options, config) {
+        const started  = performance.now();
+        const progress = progressReporter(id, null, config);
+        running.add(id);
+
+        let result;
         try {
-            // ======================================
-            // Step 1: Draw source image to capture canvas
-            // ======================================
-            const w = img.naturalWidth  || img.width  || 128;
-            const h = img.naturalHeight || img.height || 128;
-
-            captureCanvas.width  = w;
-            captureCanvas.height = h;
-            captureCtx.clearRect(0, 0, w, h);
-            captureCtx.drawImage(img, 0, 0, w, h);
-
-            let currentImageData = captureCtx.getImageData(0, 0, w, h);
-
-            // ======================================
-            // Step 2: Background removal (if transparent)
-            // ======================================
-            if (transparent) {
-                // Set up process canvas with same dimensions
-                processCanvas.width  = w;
-                processCanvas.height = h;
-                processCtx.clearRect(0, 0, w, h);
-                processCtx.putImageData(currentImageData, 0, 0);
-
-                if (window.Segmentation) {
-                    // Use Segmentation module (AI with fallback)
-                    currentImageData = await window.Segmentation.process(processCanvas, {
-                        ai:           config.ai || {},
-                        transparency: config.transparency || {},
-                    });
-                } else {
-                    // Segmentation module not loaded - skip transparency
-                    console.warn('Segmentation module not available');
+            const imgs = await Promise.all(txds.map(loadTexture));
+            const load = elapsed(started);
+            if (progress) progress('load');
+
+            result = await processSequence(imgs, options, config, progress);
+            if (result.metrics) {
+                result.metrics.stages.load = load;
+                result.metrics.total       = elapsed(started);
+            }
+        } catch (err) {
+            result = { base64: null, error: err.message, backend: null };
+        }
+
+        if (settle(id)) {
+            releaseBlobUrl(result.base64, false);
+            return;
+        }
+        sendResult(id, result.base64, result.error, result);
+    }
+
+    /**
+     * Prepare one frame for the worker: AI segmentation on this thread when
+     * enabled, otherwise hand over the raw pixels for colour keying
+     * @param {HTMLImageElement|HTMLCanvasElement} img
+     * @param {object}   options
+     * @param {object}   config
+     * @param {object}   metrics    - Segmentation time is added to metrics.stages.segment
+     * @param {function} [progress]
+     * @returns {Promise<{frame: object, transfer: Transferable[], backend: string}>}
+     */
+    async function prepareFrame(img, options, config, metrics, progress) {
+        checkAborted(options.tag);
+
+        const w = img.naturalWidth  || img.width  || 128;
+        const h = img.naturalHeight || img.height || 128;
+
+        const aiConfig = config.ai || {};
+        let segmented  = null;
+        let original   = null;
+        let colorKey   = false;
+        let backend    = 'none';
+
+        if (options.transparent) {
+            if (aiConfig.Enabled && window.Segmentation && window.Segmentation.isAIAvailable()) {
+                const surface = acquireCanvas(w, h);
+                try {
+                    surface.ctx.drawImage(img, 0, 0, w, h);
+
+                    const segmentStart = performance.now();
+                    segmented = await window.Segmentation.aiRemove(surface.canvas, aiConfig);
+                    metrics.stages.segment = Math.round(((metrics.stages.segment || 0) + performance.now() - segmentStart) * 100) / 100;
+                    if (progress) progress('segment');
+
+                    if (!segmented) {
+                        console.warn('AI segmentation failed');
+                    } else if (options.refine) {
+                        original = surface.ctx.getImageData(0, 0, w, h);
+                    }
+                } finally {
+                    releaseCanvas(surface);
                 }
             }
 
-            // ======================================
-            // Step 3: Upscale (if enabled)
-            // ======================================
-            if (doUpscale && window.Upscaler) {
-                const factor = (upscaleFactor === 4) ? 4 : 2;
-                currentImageData = window.Upscaler.process(currentImageData, factor, config.upscaleConf);
+            // Colour keying happens in the worker, like the AI fallback did before
+            colorKey = !segmented && (!aiConfig.Enabled || aiConfig.FallbackOnFail !== false);
+
+            if (segmented) {
+                backend = window.Segmentation.backend();
+            } else if (colorKey) {
+                backend = 'color';
             }
+        }
+
+        if (segmented) {
+            const frame    = { imageData: segmented, colorKey: false };
+            const transfer = [segmented.data.buffer];
+            if (original) {
+                frame.original = original;
+                transfer.push(original.data.buffer);
+            }
+            return { frame: frame, transfer: transfer, backend: backend };
+        }
 
-            // ======================================
-            // Step 4: Render to output canvas and export
-            // ======================================
-            const outputCanvas = doUpscale ? upscaleCanvas : processCanvas;
-            const outputCtx    = doUpscale ? upscaleCtx : processCtx;
+        const bitmap = await createImageBitmap(img, 0, 0, w, h);
+        return { frame: { bitmap: bitmap, colorKey: colorKey }, transfer: [bitmap], backend: backend };
+    }
+
+    /**
+     * Worker settings shared by every frame of a capture
+     * @param {object} options
+     * @param {object} config
+     * @returns {object}
+     */
+    function jobSettings(options, config) {
+        const encode = options.encode;
+        return {
+            transparent:  options.transparent,
+            transparency: config.transparency || {},
+            refine:       options.refine,
+            validate:     (config.validation && config.validation.Enabled) ? config.validation : null,
+            frame:        options.frame,
+            adjust:       options.adjust,
+            upscale:      options.upscale,
+            factor:       Number(options.upscaleFactor) || 2,
+            upscaleConf:  config.upscaleConf || {},
+            layers:       options.layers,
+            overlays:     options.overlays,
+            encode:       {
+                format:  encode.format,
+                quality: encode.quality,
+                matte:   encode.matte,
+                output:  encode.output === 'blob' ? 'buffer' : 'dataurl',
+            },
+            metadata:     options.metadata,
+        };
+    }
+
+    /**
+     * Run a worker op and shape its answer as a capture result. `metrics` carries
+     * milliseconds per stage (segment on this thread, the worker stages, transfer =
+     * worker round trip minus worker stage time), the output size in bytes and the total.
+     * @param {string}   op       - 'process' | 'sequence'
+     * @param {object}   job
+     * @param {Transferable[]} transfer
+     * @param {string}   backend
+     * @param {object}   metrics
+     * @param {number}   started  - performance.now() at the start of processing
+     * @param {function} [progress]
+     * @param {number}   [tag]    - Capture message id, for Pipeline.abort
+     * @returns {Promise<object>} Capture result; rejects like Pipeline.run
+     */
+    async function runJob(op, job, transfer, backend, metrics, started, progress, tag) {
+        // Segmentation may have taken a while; do not start the worker for nothing
+        checkAborted(tag);
 
-            outputCanvas.width  = currentImageData.width;
-            outputCanvas.height = currentImageData.height;
-            outputCtx.clearRect(0, 0, outputCanvas.width, outputCanvas.height);
-            outputCtx.putImageData(currentImageData, 0, 0);
+        // The backend is only known once the frames are segmented
+        if (job.metadata) job.metadata = Object.assign({}, job.metadata, { backend: backend });
 
-            const base64 = outputCanvas.toDataURL('image/png');
-            sendResult(id, base64, null);
+        const sent   = performance.now();
+        const result = await window.Pipeline.run(op, job, transfer, progress, tag);
+        const trip   = elapsed(sent);
 
+        let workerTime = 0;
+        for (const stage in result.timings) {
+            metrics.stages[stage] = result.timings[stage];
+            workerTime += result.timings[stage];
+        }
+        metrics.stages.transfer = Math.max(0, Math.round((trip - workerTime) * 100) / 100);
+        metrics.bytes           = result.buffer ? result.buffer.byteLength : result.base64.length;
+        metrics.total           = elapsed(started);
+
+        let base64 = result.base64;
+        if (result.buffer) {
+            base64 = acquireBlobUrl(result.hash, function () {
+                return new Blob([result.buffer], { type: result.mime });
+            });
+        }
+
+        const out = { base64: base64, error: null, backend: backend, hash: result.hash, phash: result.phash, metrics: metrics };
+        if (result.frames) out.frames = result.frames;
+        return out;
+    }
+
+    /**
+     * Turn a pipeline failure into a capture result
+     * @param {Error}  err
+     * @param {object} metrics
+     * @param {number} started
+     * @returns {object}
+     */
+    function failedResult(err, metrics, started) {
+        metrics.total = elapsed(started);
+
+        // Validation rejections carry a reason code and are expected now and then
+        if (err.code) {
+            return { base64: null, error: err.message, backend: null, reason: err.code, metrics: metrics };
+        }
+        console.error('Processing error:', err);
+        return { base64: null, error: 'Processing error: ' + err.message, backend: null, metrics: metrics };
+    }
+
+    /**
+     * Process loaded image through the pipeline
+     * (colour key -> refine -> validate -> crop -> adjust -> upscale -> resize -> composite -> overlays -> encode)
+     * @param {HTMLImageElement} img
+     * @param {object}           options
+     * @param {object}           config
+     * @param {function}         [progress] - Called with each stage name as it finishes
+     * @returns {Promise<{base64: string|null, error: string|null, backend: string|null, hash?: string,
+     *                    metrics: object}>} Never rejects
+     */
+    async function processImage(img, options, config, progress) {
+        const started = performance.now();
+        const metrics = { stages: {}, bytes: 0, total: 0 };
+        try {
+            const prepared = await prepareFrame(img, options, config, metrics, progress);
+            const job      = Object.assign(jobSettings(options, config), prepared.frame);
+            return await runJob('process', job, prepared.transfer, prepared.backend, metrics, started, progress, options.tag);
         } catch (err) {
-            console.error('Processing error:', err);
-            sendResult(id, null, 'Processing error: ' + err.message);
+            return failedResult(err, metrics, started);
         }
     }
 
+    /**
+     * Process several headshots of one ped and assemble them into a sheet,
+     * sprite sheet or animation
+     * @param {HTMLImageElement[]} imgs
+     * @param {object}             options - readOptions() plus { angles, sequence }
+     * @param {object}             config
+     * @param {function}           [progress]
+     * @returns {Promise<{base64: string|null, error: string|null, backend: string|null, hash?: string,
+     *                    frames?: object[], metrics: object}>} Never rejects
+     */
+    async function processSequence(imgs, options, config, progress) {
+        const started = performance.now();
+        const metrics = { stages: {}, bytes: 0, total: 0 };
+        try {
+            const frames   = [];
+            const transfer = [];
+            let backend    = 'none';
+
+            for (const img of imgs) {
+                const prepared = await prepareFrame(img, options, config, metrics, progress);
+                frames.push(prepared.frame);
+                transfer.push.apply(transfer, prepared.transfer);
+
+                // A single colour-keyed frame counts the sequence as a fallback
+                if (backend === 'none' || prepared.backend === 'color') backend = prepared.backend;
+            }
+
+            const job = Object.assign(jobSettings(options, config), {
+                frames:   frames,
+                angles:   options.angles,
+                sequence: options.sequence,
+            });
+            return await runJob('sequence', job, transfer, backend, metrics, started, progress, options.tag);
+        } catch (err) {
+            return failedResult(err, metrics, started);
+        }
+    }
+
+    // ============================================================
+    // PERSISTENT CACHE
+    // ============================================================
+
+    /**
+     * Read cached images in the requested output form
+     * @param {string[]} keys
+     * @param {string}   output - 'dataurl' | 'blob'
+     * @returns {Promise<Array<{base64: string, hash: string, phash: string|null}|null>>} Never rejects; misses are null
+     */
+    function cacheGet(keys, output) {
+        if (!window.MugshotStore || !window.MugshotStore.enabled()) {
+            return Promise.resolve(keys.map(function () { return null; }));
+        }
+
+        return Promise.all(keys.map(async function (key) {
+            try {
+                const record = await window.MugshotStore.get(key);
+                if (!record) return null;
+
+                if (output === 'blob') {
+                    const url = acquireBlobUrl(record.contentHash, function () { return record.blob; });
+                    return { base64: url, hash: record.contentHash, phash: record.phash || null };
+                }
+                const dataUrl = await new Promise(function (resolve, reject) {
+                    const reader = new FileReader();
+                    reader.onload  = function () { resolve(reader.result); };
+                    reader.onerror = function () { reject(reader.error); };
+                    reader.readAsDataURL(record.blob);
+                });
+                return { base64: dataUrl, hash: record.contentHash, phash: record.phash || null };
+            } catch (err) {
+                console.warn('[MugshotStore] Read failed:', err && err.message);
+                return null;
+            }
+        }));
+    }
+
+    /**
+     * Store a finished image (data URI or one of our blob: URLs). The write
+     * holds its own reference to a blob: URL until the bytes are read, so
+     * call it before the result is handed off: a consumer releasing its
+     * reference early cannot revoke the URL under the read.
+     * @param {string|null} value
+     * @param {object}      [cache]       - { key, hash, options }
+     * @param {string}      [contentHash] - Hash of the encoded bytes
+     * @param {string}      [phash]       - Perceptual hash
+     */
+    function cachePut(value, cache, contentHash, phash) {
+        if (!value || !cache || !cache.key) return;
+        if (!window.MugshotStore || !window.MugshotStore.enabled()) return;
+
+        const held = blobUrls.has(value);
+        if (held) retainBlobUrl(value);
+
+        fetch(value)
+            .then(function (res) { return res.blob(); })
+            .finally(function () {
+                if (held) releaseBlobUrl(value, false);
+            })
+            .then(function (blob) {
+                return window.MugshotStore.put(cache.key, blob, {
+                    hash:        cache.hash,
+                    options:     cache.options,
+                    contentHash: contentHash,
+                    phash:       phash,
+                });
+            })
+            .catch(function (err) {
+                console.warn('[MugshotStore] Write failed:', err && err.message);
+            });
+    }
+
     // ============================================================
     // SEND RESULT TO LUA
     // ============================================================
 
     /**
-     * Send processed result back to Lua client via NUI callback
+     * Send processed result back to Lua client via NUI callback. Images over
+     * Config.Transfer.ChunkSize follow in chunks (js/transfer.js).
      * @param {number}      id
      * @param {string|null} base64
      * @param {string|null} error
+     * @param {object}      [info] - { backend, hash, phash, reason, metrics, frames } segmentation backend
+     *                                that ran, content hash, perceptual hash, validation reason code,
+     *                                stage timings, sprite frame map
      */
-    function sendResult(id, base64, error) {
-        fetch('https://' + GetParentResourceName() + '/captureResult', {
-            method:  'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body:    JSON.stringify({
-                id:     id,
-                base64: base64 || null,
-                error:  error  || null,
-            }),
-        }).catch(function (err) {
+    function sendResult(id, base64, error, info) {
+        info = info || {};
+        const transfer = window.Transfer.offer(base64);
+
+        window.Transfer.post('captureResult', {
+            id:       id,
+            base64:   transfer ? null : (base64 || null),
+            transfer: transfer,
+            error:    error  || null,
+            backend:  info.backend || null,
+            hash:     info.hash    || null,
+            reason:   info.reason  || null,
+            phash:    info.phash   || null,
+            metrics:  info.metrics || null,
+            frames:   info.frames  || null,
+        }, [transfer]).catch(function (err) {
             console.error('Failed to send result to Lua:', err);
         });
     }
 
+    /**
+     * Send all results of a batch back to Lua in one callback
+     * @param {number}   id
+     * @param {object[]} results - { base64, error, backend, hash, phash, reason, metrics } per item
+     */
+    function sendBatchResult(id, results) {
+        const transfers = results.map(function (r) { return window.Transfer.offer(r.base64); });
+
+        window.Transfer.post('captureBatchResult', {
+            id:      id,
+            results: results.map(function (r, i) {
+                return {
+                    base64:   transfers[i] ? null : (r.base64 || null),
+                    transfer: transfers[i],
+                    error:    r.error   || null,
+                    backend:  r.backend || null,
+                    hash:     r.hash    || null,
+                    phash:    r.phash   || null,
+                    reason:   r.reason  || null,
+                    metrics:  r.metrics || null,
+                };
+            }),
+        }, transfers).catch(function (err) {
+            console.error('Failed to send batch result to Lua:', err);
+        });
+    }
+
+    /**
+     * Answer a cacheGet / cacheStats message; big cached images are chunked like results
+     * @param {number} id
+     * @param {object} data - { values } or { stats }
+     */
+    function sendCacheResult(id, data) {
+        const transfers = [];
+        if (data.values) {
+            data.values = data.values.map(function (value) {
+                const transfer = value && window.Transfer.offer(value.base64);
+                if (!transfer) return value;
+                transfers.push(transfer);
+                return Object.assign({}, value, { base64: null, transfer: transfer });
+            });
+        }
+
+        window.Transfer.post('cacheResult', Object.assign({ id: id }, data), transfers).catch(function (err) {
+            console.error('Failed to send cache result to Lua:', err);
+        });
+    }
+
+    // ============================================================
+    // PUBLIC API (used by js/preview.js)
+    // ============================================================
+
+    window.Capture = {
+        loadTexture: loadTexture,
+        process:     processImage,
+        readOptions: readOptions,
+    };
+
 })();
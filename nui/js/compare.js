@@ -0,0 +1,67 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+    // Perceptual comparison of mugshots. Every capture already returns a
+    // perceptual hash (see js/core/phash.js); images given as URLs are
+    // hashed in the pipeline worker first. Sources may be a hash, a data
+    // URI, one of our blob: URLs or an http(s) URL that allows CORS
+    // (the server store does).
+    window.Compare = {
+
+        /**
+         * @param {string} source - Perceptual hash or image URL
+         * @returns {Promise<string>} 32 hex chars
+         */
+        hash: async function (source) {
+            if (typeof source !== 'string' || source === '') throw new Error('Nothing to compare');
+            // Lua accepts hashes in either case; URLs are never 32 hex chars
+            if (window.PerceptualHash.isHash(source.toLowerCase())) return source.toLowerCase();
+
+            const res = await fetch(source);
+            if (!res.ok) throw new Error('Could not load image (' + res.status + ')');
+
+            const bitmap = await createImageBitmap(await res.blob());
+            return window.Pipeline.run('phash', { bitmap: bitmap }, [bitmap]);
+        },
+
+        /**
+         * @param {string} a - Perceptual hash or image URL
+         * @param {string} b - Perceptual hash or image URL
+         * @returns {Promise<{similarity: number, phash: number, dhash: number, hashes: string[]}>}
+         *          Similarity 0-1; phash/dhash are differing bits out of 64
+         */
+        compare: async function (a, b) {
+            const hashes = await Promise.all([this.hash(a), this.hash(b)]);
+            return Object.assign(window.PerceptualHash.compare(hashes[0], hashes[1]), { hashes: hashes });
+        },
+    };
+
+    // ============================================================
+    // MESSAGES FROM LUA
+    // ============================================================
+
+    function reply(data) {
+        fetch('https://' + GetParentResourceName() + '/compareResult', {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify(data),
+        }).catch(function (err) {
+            console.error('[Compare] Failed to send result to Lua:', err);
+        });
+    }
+
+    window.addEventListener('message', function (event) {
+        const msg = event.data;
+        if (msg.action !== 'compare') return;
+
+        window.Compare.compare(msg.a, msg.b).then(function (result) {
+            reply({ id: msg.id, result: result });
+        }, function (err) {
+            reply({ id: msg.id, error: err.message || String(err) });
+        });
+    });
+
+})();
@@ -0,0 +1,197 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // SUBJECT STATISTICS
+    // ============================================================
+
+    /**
+     * Collect luma histogram and channel means over the subject. When the
+     * image has a cut-out background only pixels with alpha >= 128 count.
+     * @param {ImageData} imageData
+     * @returns {{histogram: Uint32Array, count: number, mean: number[]}}
+     */
+    function subjectStats(imageData) {
+        const data = imageData.data;
+
+        let hasAlpha = false;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) { hasAlpha = true; break; }
+        }
+
+        const histogram = new Uint32Array(256);
+        let count = 0, sr = 0, sg = 0, sb = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (hasAlpha && data[i + 3] < 128) continue;
+
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            histogram[Math.round(0.299 * r + 0.587 * g + 0.114 * b)]++;
+            sr += r; sg += g; sb += b;
+            count++;
+        }
+
+        const mean = count ? [sr / count, sg / count, sb / count] : [128, 128, 128];
+        return { histogram: histogram, count: count, mean: mean };
+    }
+
+    /**
+     * Find the luma values below/above which `clip` of the subject lies
+     * @returns {{low: number, high: number}}
+     */
+    function levelBounds(stats, clip) {
+        const limit = stats.count * Math.max(0, Math.min(0.2, clip));
+        let low = 0, high = 255, acc = 0;
+
+        for (let v = 0; v < 256; v++) {
+            acc += stats.histogram[v];
+            if (acc > limit) { low = v; break; }
+        }
+        acc = 0;
+        for (let v = 255; v >= 0; v--) {
+            acc += stats.histogram[v];
+            if (acc > limit) { high = v; break; }
+        }
+
+        if (high - low < 16) return { low: 0, high: 255 };
+        return { low: low, high: high };
+    }
+
+    // ============================================================
+    // LOOKUP TABLES
+    // ============================================================
+
+    /**
+     * Build one 256-entry table per channel covering white balance gains,
+     * levels, brightness, contrast and gamma
+     * @param {number[]} gains - [r, g, b] multipliers
+     * @param {{low: number, high: number}} levels
+     * @param {object} o - { brightness, contrast, gamma }
+     * @returns {Uint8ClampedArray[]}
+     */
+    function buildTables(gains, levels, o) {
+        const brightness = (o.brightness || 0) * 255;
+        const contrast   = Math.max(-0.99, Math.min(1, o.contrast || 0));
+        const cFactor    = (1 + contrast) / (1 - contrast);
+        const gamma      = Math.max(0.1, o.gamma || 1);
+        const range      = levels.high - levels.low;
+
+        return gains.map(function (gain) {
+            const table = new Uint8ClampedArray(256);
+            for (let v = 0; v < 256; v++) {
+                let x = v * gain;
+                x = (x - levels.low) * 255 / range;
+                x = x + brightness;
+                x = (x - 128) * cFactor + 128;
+                x = 255 * Math.pow(Math.max(0, Math.min(255, x)) / 255, 1 / gamma);
+                table[v] = x;
+            }
+            return table;
+        });
+    }
+
+    // ============================================================
+    // PRESETS
+    // ============================================================
+
+    const PRESETS = {
+        grayscale: [
+            0.299, 0.587, 0.114,
+            0.299, 0.587, 0.114,
+            0.299, 0.587, 0.114,
+        ],
+        sepia: [
+            0.393, 0.769, 0.189,
+            0.349, 0.686, 0.168,
+            0.272, 0.534, 0.131,
+        ],
+    };
+
+    // ============================================================
+    // APPLY
+    // ============================================================
+
+    /**
+     * Colour-correct an image
+     * @param {ImageData} imageData
+     * @param {object}    o - { brightness, contrast, gamma, saturation, whiteBalance,
+     *                          whiteBalanceStrength, temperature, autoLevels, levelsClip, preset }
+     * @returns {ImageData}
+     */
+    function apply(imageData, o) {
+        o = o || {};
+
+        const needStats = o.autoLevels || o.whiteBalance === 'auto';
+        const stats     = needStats ? subjectStats(imageData) : null;
+
+        // White balance: gray-world gains on the subject, then manual temperature
+        let gains = [1, 1, 1];
+        if (o.whiteBalance === 'auto' && stats.count > 0) {
+            const strength = (typeof o.whiteBalanceStrength === 'number') ? o.whiteBalanceStrength : 0.6;
+            const gray     = (stats.mean[0] + stats.mean[1] + stats.mean[2]) / 3;
+            gains = stats.mean.map(function (m) {
+                const g = Math.max(0.5, Math.min(2, gray / Math.max(1, m)));
+                return 1 + (g - 1) * strength;
+            });
+        }
+        if (o.temperature) {
+            const t = Math.max(-1, Math.min(1, o.temperature)) * 0.15;
+            gains = [gains[0] * (1 + t), gains[1], gains[2] * (1 - t)];
+        }
+
+        const levels = o.autoLevels && stats.count > 0
+            ? levelBounds(stats, (typeof o.levelsClip === 'number') ? o.levelsClip : 0.005)
+            : { low: 0, high: 255 };
+
+        const tables     = buildTables(gains, levels, o);
+        const saturation = (typeof o.saturation === 'number') ? Math.max(0, o.saturation) : 1;
+        const matrix     = PRESETS[o.preset] || null;
+
+        const src = imageData.data;
+        const dst = new ImageData(imageData.width, imageData.height);
+        const out = dst.data;
+
+        for (let i = 0; i < src.length; i += 4) {
+            let r = tables[0][src[i]];
+            let g = tables[1][src[i + 1]];
+            let b = tables[2][src[i + 2]];
+
+            if (saturation !== 1) {
+                const l = 0.299 * r + 0.587 * g + 0.114 * b;
+                r = l + (r - l) * saturation;
+                g = l + (g - l) * saturation;
+                b = l + (b - l) * saturation;
+            }
+
+            if (matrix) {
+                const mr = matrix[0] * r + matrix[1] * g + matrix[2] * b;
+                const mg = matrix[3] * r + matrix[4] * g + matrix[5] * b;
+                const mb = matrix[6] * r + matrix[7] * g + matrix[8] * b;
+                r = mr; g = mg; b = mb;
+            }
+
+            out[i]     = r;
+            out[i + 1] = g;
+            out[i + 2] = b;
+            out[i + 3] = src[i + 3];
+        }
+
+        return dst;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Adjust = {
+        apply:        apply,
+        subjectStats: subjectStats,
+        presets:      function () { return Object.keys(PRESETS); },
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Adjust;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,465 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // EDGE SMOOTHING
+    // ============================================================
+
+    function smoothEdges(imgData, w, h, radius) {
+        const isEdge = new Uint8Array(w * h);
+
+        for (let y = 1; y < h - 1; y++) {
+            for (let x = 1; x < w - 1; x++) {
+                const idx   = y * w + x;
+                const alpha = imgData[idx * 4 + 3];
+
+                if (alpha === 0) continue;
+
+                const neighbors = [
+                    imgData[((y - 1) * w + x) * 4 + 3],
+                    imgData[((y + 1) * w + x) * 4 + 3],
+                    imgData[(y * w + x - 1) * 4 + 3],
+                    imgData[(y * w + x + 1) * 4 + 3],
+                ];
+
+                if (neighbors.some(n => n === 0)) {
+                    isEdge[idx] = 1;
+                }
+            }
+        }
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const idx = y * w + x;
+                if (!isEdge[idx]) continue;
+
+                let alphaSum = 0;
+                let count    = 0;
+
+                for (let ky = -radius; ky <= radius; ky++) {
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        const nx = x + kx;
+                        const ny = y + ky;
+                        if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+
+                        alphaSum += imgData[(ny * w + nx) * 4 + 3];
+                        count++;
+                    }
+                }
+
+                imgData[idx * 4 + 3] = Math.round(alphaSum / count);
+            }
+        }
+    }
+
+    // ============================================================
+    // COLOR-BASED BACKGROUND REMOVAL
+    // ============================================================
+
+    function detectBackgroundColor(imageData) {
+        const { data, width, height } = imageData;
+        const samples = [];
+
+        const points = [
+            [2, 2],
+            [width - 3, 2],
+            [Math.floor(width / 4), 2],
+            [Math.floor(width / 2), 2],
+            [Math.floor((width * 3) / 4), 2],
+            [2, Math.floor(height / 4)],
+            [width - 3, Math.floor(height / 4)],
+        ];
+
+        for (const [sx, sy] of points) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    const x   = Math.max(0, Math.min(width - 1, sx + dx));
+                    const y   = Math.max(0, Math.min(height - 1, sy + dy));
+                    const idx = (y * width + x) * 4;
+                    samples.push({ r: data[idx], g: data[idx + 1], b: data[idx + 2] });
+                }
+            }
+        }
+
+        let tr = 0, tg = 0, tb = 0;
+        for (const s of samples) { tr += s.r; tg += s.g; tb += s.b; }
+        const c = samples.length;
+        return { r: Math.round(tr / c), g: Math.round(tg / c), b: Math.round(tb / c) };
+    }
+
+
+    function colorDistance(r1, g1, b1, r2, g2, b2) {
+        const dr = r1 - r2, dg = g1 - g2, db = b1 - b2;
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+
+    // ============================================================
+    // CIELAB (D65)
+    // ============================================================
+
+    const LINEAR = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+        const c = i / 255;
+        LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    function labF(t) {
+        return t > 0.008856 ? Math.cbrt(t) : (7.787 * t + 16 / 116);
+    }
+
+    /**
+     * Convert sRGB to CIELAB; writes [L, a, b] into `out` at `offset`
+     */
+    function rgbToLab(r, g, b, out, offset) {
+        const lr = LINEAR[r], lg = LINEAR[g], lb = LINEAR[b];
+
+        const fx = labF((0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047);
+        const fy = labF( 0.2126 * lr + 0.7152 * lg + 0.0722 * lb);
+        const fz = labF((0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883);
+
+        out[offset]     = 116 * fy - 16;
+        out[offset + 1] = 500 * (fx - fy);
+        out[offset + 2] = 200 * (fy - fz);
+    }
+
+    /**
+     * Whole image to Lab, 3 floats per pixel
+     * @param {ImageData} imageData
+     * @returns {Float32Array}
+     */
+    function imageToLab(imageData) {
+        const data = imageData.data;
+        const lab  = new Float32Array((data.length / 4) * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgbToLab(data[i], data[i + 1], data[i + 2], lab, j);
+        }
+        return lab;
+    }
+
+    function deltaE(l1, a1, b1, l2, a2, b2) {
+        const dl = l1 - l2, da = a1 - a2, db = b1 - b2;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    // ============================================================
+    // ADAPTIVE BACKGROUND MODEL
+    // ============================================================
+    // The GTA headshot background is often a gradient or vignette, so one
+    // averaged colour is not enough. Border samples are clustered in Lab and
+    // a linear gradient is fitted; a pixel's distance to the background is
+    // the smaller of its distance to any cluster and to the gradient.
+
+    /**
+     * Sample the top edge and the upper part of both sides
+     * @param {ImageData} imageData
+     * @param {Float32Array} lab
+     * @returns {{x: number[], y: number[], lab: number[]}}
+     */
+    function sampleBorder(imageData, lab) {
+        const { width, height } = imageData;
+        const step    = Math.max(1, Math.floor(Math.min(width, height) / 64));
+        const samples = { x: [], y: [], lab: [] };
+
+        function add(x, y) {
+            const j = (y * width + x) * 3;
+            samples.x.push(x);
+            samples.y.push(y);
+            samples.lab.push(lab[j], lab[j + 1], lab[j + 2]);
+        }
+
+        for (let y = 1; y <= 3; y += 2) {
+            for (let x = 1; x < width - 1; x += step) add(x, Math.min(height - 1, y));
+        }
+        const sideEnd = Math.floor(height * 0.6);
+        for (let y = 4; y < sideEnd; y += step) {
+            add(1, y);
+            add(width - 2, y);
+        }
+
+        return samples;
+    }
+
+    /**
+     * k-means in Lab with farthest-point initialisation
+     * @returns {Array<{lab: number[], count: number}>}
+     */
+    function clusterSamples(samples, k) {
+        const n       = samples.x.length;
+        const L       = samples.lab;
+        const centers = [[L[0], L[1], L[2]]];
+
+        while (centers.length < k) {
+            let best = -1, bestDist = 0;
+            for (let i = 0; i < n; i++) {
+                let d = Infinity;
+                for (const c of centers) {
+                    d = Math.min(d, deltaE(L[i * 3], L[i * 3 + 1], L[i * 3 + 2], c[0], c[1], c[2]));
+                }
+                if (d > bestDist) { bestDist = d; best = i; }
+            }
+            if (best < 0 || bestDist < 2) break;
+            centers.push([L[best * 3], L[best * 3 + 1], L[best * 3 + 2]]);
+        }
+
+        const assign = new Int32Array(n);
+        let counts = [];
+
+        for (let iter = 0; iter < 8; iter++) {
+            const sums = centers.map(() => [0, 0, 0]);
+            counts = centers.map(() => 0);
+
+            for (let i = 0; i < n; i++) {
+                let best = 0, bestDist = Infinity;
+                centers.forEach(function (c, ci) {
+                    const d = deltaE(L[i * 3], L[i * 3 + 1], L[i * 3 + 2], c[0], c[1], c[2]);
+                    if (d < bestDist) { bestDist = d; best = ci; }
+                });
+                assign[i] = best;
+                sums[best][0] += L[i * 3]; sums[best][1] += L[i * 3 + 1]; sums[best][2] += L[i * 3 + 2];
+                counts[best]++;
+            }
+
+            centers.forEach(function (c, ci) {
+                if (!counts[ci]) return;
+                c[0] = sums[ci][0] / counts[ci];
+                c[1] = sums[ci][1] / counts[ci];
+                c[2] = sums[ci][2] / counts[ci];
+            });
+        }
+
+        return centers.map((c, ci) => ({ lab: c, count: counts[ci] }));
+    }
+
+    /**
+     * Least-squares fit of Lab = c0 + c1 * x + c2 * y per channel
+     * @returns {number[][]|null} Three [c0, c1, c2] rows, or null if degenerate
+     */
+    function fitGradient(samples, inlier) {
+        let s1 = 0, sx = 0, sy = 0, sxx = 0, sxy = 0, syy = 0;
+        const rhs = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+        for (let i = 0; i < samples.x.length; i++) {
+            if (!inlier[i]) continue;
+            const x = samples.x[i], y = samples.y[i];
+            s1++; sx += x; sy += y; sxx += x * x; sxy += x * y; syy += y * y;
+            for (let c = 0; c < 3; c++) {
+                const v = samples.lab[i * 3 + c];
+                rhs[c][0] += v; rhs[c][1] += v * x; rhs[c][2] += v * y;
+            }
+        }
+
+        // Solve the 3x3 normal equations by Cramer's rule
+        const m   = [[s1, sx, sy], [sx, sxx, sxy], [sy, sxy, syy]];
+        const det = function (a) {
+            return a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1])
+                 - a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0])
+                 + a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+        };
+        const d = det(m);
+        if (s1 < 6 || Math.abs(d) < 1e-6) return null;
+
+        return rhs.map(function (v) {
+            return [0, 1, 2].map(function (col) {
+                const mc = m.map((row, r) => row.map((val, c) => (c === col ? v[r] : val)));
+                return det(mc) / d;
+            });
+        });
+    }
+
+    /**
+     * Build the background model and per-pixel distance map
+     * @param {ImageData} imageData
+     * @param {object}    config - Config.Transparency
+     * @returns {{distance: Float32Array, noise: number, clusters: number, gradient: boolean}}
+     */
+    function backgroundModel(imageData, config) {
+        const { width, height } = imageData;
+        const lab     = imageToLab(imageData);
+        const samples = sampleBorder(imageData, lab);
+        const n       = samples.x.length;
+
+        // Small clusters are most likely hair or shoulders touching the edge
+        const all      = clusterSamples(samples, Math.max(1, config.Clusters || 3));
+        const minCount = n * 0.05;
+        const clusters = all.filter(c => c.count >= minCount);
+
+        const nearest = function (l, a, b) {
+            let d = Infinity;
+            for (const c of clusters) d = Math.min(d, deltaE(l, a, b, c.lab[0], c.lab[1], c.lab[2]));
+            return d;
+        };
+
+        const inlier = new Uint8Array(n);
+        for (let i = 0; i < n; i++) {
+            inlier[i] = nearest(samples.lab[i * 3], samples.lab[i * 3 + 1], samples.lab[i * 3 + 2]) < 20 ? 1 : 0;
+        }
+        const gradient = fitGradient(samples, inlier);
+
+        const distance = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const l = lab[i * 3], a = lab[i * 3 + 1], b = lab[i * 3 + 2];
+                let d = nearest(l, a, b);
+                if (gradient) {
+                    d = Math.min(d, deltaE(l, a, b,
+                        gradient[0][0] + gradient[0][1] * x + gradient[0][2] * y,
+                        gradient[1][0] + gradient[1][1] * x + gradient[1][2] * y,
+                        gradient[2][0] + gradient[2][1] * x + gradient[2][2] * y));
+                }
+                distance[i] = d;
+            }
+        }
+
+        // Background noise: robust spread of the inlier samples around the model
+        const residuals = [];
+        for (let i = 0; i < n; i++) {
+            if (inlier[i]) residuals.push(distance[samples.y[i] * width + samples.x[i]]);
+        }
+        residuals.sort((p, q) => p - q);
+        const noise = residuals.length ? residuals[Math.floor(residuals.length / 2)] * 1.4826 : 0;
+
+        return { distance: distance, noise: noise, clusters: clusters.length, gradient: !!gradient };
+    }
+
+    // ============================================================
+    // FLOOD FILL (seed / grow hysteresis)
+    // ============================================================
+
+    /**
+     * Flood the background in from the image border. Border pixels below
+     * `seed` start the fill; it spreads through neighbours below `grow`.
+     * @returns {Uint8Array} 1 = background
+     */
+    function floodBackground(distance, width, height, seed, grow) {
+        const isBackground = new Uint8Array(width * height);
+        const visited      = new Uint8Array(width * height);
+        const queue        = [];
+
+        for (let x = 0; x < width; x++) {
+            if (distance[x] < seed) { queue.push(x); visited[x] = 1; }
+            const bi = (height - 1) * width + x;
+            if (distance[bi] < seed) { queue.push(bi); visited[bi] = 1; }
+        }
+
+        for (let y = 1; y < height - 1; y++) {
+            const li = y * width;
+            if (distance[li] < seed) { queue.push(li); visited[li] = 1; }
+            const ri = y * width + (width - 1);
+            if (distance[ri] < seed) { queue.push(ri); visited[ri] = 1; }
+        }
+
+        let head = 0;
+        while (head < queue.length) {
+            const pos = queue[head++];
+            isBackground[pos] = 1;
+            const px = pos % width;
+            const py = Math.floor(pos / width);
+
+            const dirs = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+            for (const [ddx, ddy] of dirs) {
+                const nx = px + ddx, ny = py + ddy;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                const ni = ny * width + nx;
+                if (visited[ni] || distance[ni] >= grow) continue;
+                visited[ni] = 1;
+                queue.push(ni);
+            }
+        }
+
+        return isBackground;
+    }
+
+    // ============================================================
+    // COLOR-BASED BACKGROUND REMOVAL
+    // ============================================================
+
+    /**
+     * Legacy single-colour RGB distance map (Mode = 'rgb' or a fixed Target colour)
+     */
+    function rgbDistanceMap(imageData, config) {
+        const { data, width, height } = imageData;
+
+        let bg;
+        if (config.TargetR !== undefined && config.TargetG !== undefined && config.TargetB !== undefined) {
+            bg = { r: config.TargetR, g: config.TargetG, b: config.TargetB };
+        } else {
+            bg = detectBackgroundColor(imageData);
+        }
+
+        const tolerance = config.Tolerance || 45;
+        const distance  = new Float32Array(width * height);
+
+        for (let i = 0; i < width * height; i++) {
+            const idx = i * 4;
+            distance[i] = colorDistance(data[idx], data[idx + 1], data[idx + 2], bg.r, bg.g, bg.b);
+        }
+
+        return { distance: distance, seed: tolerance * 0.75, grow: tolerance * 0.9 };
+    }
+
+    function colorRemoveBackground(imageData, config) {
+        const { data, width, height } = imageData;
+
+        let key;
+        const fixedTarget = config.TargetR !== undefined && config.TargetG !== undefined && config.TargetB !== undefined;
+
+        if (config.Mode === 'rgb' || fixedTarget) {
+            key = rgbDistanceMap(imageData, config);
+        } else {
+            const model  = backgroundModel(imageData, config);
+            const factor = (typeof config.NoiseFactor === 'number') ? config.NoiseFactor : 2.5;
+            const adapt  = model.noise * factor;
+            key = {
+                distance: model.distance,
+                seed:     Math.max(config.SeedDeltaE || 10, adapt),
+                grow:     Math.max(config.GrowDeltaE || 16, adapt * 1.6),
+            };
+        }
+
+        const isBackground = floodBackground(key.distance, width, height, key.seed, key.grow);
+
+        const newImg     = new ImageData(width, height);
+        const newImgData = newImg.data;
+
+        for (let i = 0; i < width * height; i++) {
+            const idx = i * 4;
+
+            if (isBackground[i]) {
+                newImgData[idx]     = 255;
+                newImgData[idx + 1] = 255;
+                newImgData[idx + 2] = 255;
+                newImgData[idx + 3] = 0;
+            } else {
+                newImgData[idx]     = data[idx];
+                newImgData[idx + 1] = data[idx + 1];
+                newImgData[idx + 2] = data[idx + 2];
+                newImgData[idx + 3] = 255;
+            }
+        }
+
+        if (config.SmoothEdges !== false) {
+            smoothEdges(newImgData, width, height, config.SmoothRadius || 1);
+        }
+
+        return newImg;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.ColorKey = {
+        remove:                colorRemoveBackground,
+        smoothEdges:           smoothEdges,
+        detectBackgroundColor: detectBackgroundColor,
+        backgroundModel:       backgroundModel,
+        rgbToLab:              rgbToLab,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.ColorKey;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,62 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // ALPHA DILATION (outline mask)
+    // ============================================================
+
+    /**
+     * Grow the alpha mask by a circular radius. RGB of the result is black;
+     * the caller tints it to the outline colour.
+     * @param {ImageData} imageData
+     * @param {number}    radius - Outline width in px
+     * @returns {ImageData}
+     */
+    function dilateAlpha(imageData, radius) {
+        const { data, width, height } = imageData;
+        const r = Math.max(0, Math.round(radius || 0));
+
+        const dst     = new ImageData(width, height);
+        const dstData = dst.data;
+
+        const offsets = [];
+        for (let ky = -r; ky <= r; ky++) {
+            for (let kx = -r; kx <= r; kx++) {
+                if (kx * kx + ky * ky <= r * r + r) offsets.push(kx, ky);
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let max = 0;
+
+                for (let i = 0; i < offsets.length && max < 255; i += 2) {
+                    const nx = x + offsets[i];
+                    const ny = y + offsets[i + 1];
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                    const a = data[(ny * width + nx) * 4 + 3];
+                    if (a > max) max = a;
+                }
+
+                dstData[(y * width + x) * 4 + 3] = max;
+            }
+        }
+
+        return dst;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Composite = {
+        dilateAlpha: dilateAlpha,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Composite;
+
+})(typeof self !== 'undefined' ? self : globalThis);
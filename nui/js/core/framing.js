@@ -0,0 +1,141 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // ALPHA BOUNDING BOX
+    // ============================================================
+
+    /**
+     * Find the bounding box of all pixels whose alpha exceeds the threshold
+     * @param {ImageData} imageData
+     * @param {number}    threshold - Alpha value (0-255) a pixel must exceed
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    function alphaBounds(imageData, threshold) {
+        const { data, width, height } = imageData;
+        threshold = threshold || 0;
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] <= threshold) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    // ============================================================
+    // CROP
+    // ============================================================
+
+    /**
+     * Copy a rectangle out of an image. Parts of the rectangle that lie
+     * outside the source stay transparent, so padding can extend past the edge.
+     * @param {ImageData} imageData
+     * @param {{x: number, y: number, width: number, height: number}} rect
+     * @returns {ImageData}
+     */
+    function crop(imageData, rect) {
+        const src  = imageData.data;
+        const srcW = imageData.width;
+        const srcH = imageData.height;
+
+        const dst     = new ImageData(rect.width, rect.height);
+        const dstData = dst.data;
+
+        for (let y = 0; y < rect.height; y++) {
+            const sy = rect.y + y;
+            if (sy < 0 || sy >= srcH) continue;
+
+            const x0 = Math.max(0, -rect.x);
+            const x1 = Math.min(rect.width, srcW - rect.x);
+            if (x1 <= x0) continue;
+
+            const srcStart = (sy * srcW + rect.x + x0) * 4;
+            dstData.set(src.subarray(srcStart, srcStart + (x1 - x0) * 4), (y * rect.width + x0) * 4);
+        }
+
+        return dst;
+    }
+
+    /**
+     * Crop tightly to the subject's alpha bounding box
+     * @param {ImageData} imageData
+     * @param {number}    padding - Margin as a fraction of the subject's larger side
+     * @returns {ImageData} The original image when nothing is opaque
+     */
+    function cropToSubject(imageData, padding) {
+        const box = alphaBounds(imageData, 8);
+        if (!box) return imageData;
+
+        const pad = Math.round(Math.max(box.width, box.height) * Math.max(0, padding || 0));
+
+        return crop(imageData, {
+            x:      box.x - pad,
+            y:      box.y - pad,
+            width:  box.width  + pad * 2,
+            height: box.height + pad * 2,
+        });
+    }
+
+    // ============================================================
+    // FIT GEOMETRY
+    // ============================================================
+
+    /**
+     * Work out output size and draw rectangle for a target frame
+     * @param {number} srcW
+     * @param {number} srcH
+     * @param {object} frame - { width, height, fit: 'contain'|'cover' }
+     * @returns {{width: number, height: number, dx: number, dy: number, dw: number, dh: number}}
+     */
+    function fitRect(srcW, srcH, frame) {
+        let width  = Math.round(frame.width  || 0);
+        let height = Math.round(frame.height || 0);
+
+        // Only one side given: keep the source aspect ratio
+        if (!width && !height) { width = srcW; height = srcH; }
+        if (!width)  width  = Math.round(srcW * height / srcH);
+        if (!height) height = Math.round(srcH * width  / srcW);
+
+        const scale = (frame.fit === 'cover')
+            ? Math.max(width / srcW, height / srcH)
+            : Math.min(width / srcW, height / srcH);
+
+        const dw = srcW * scale;
+        const dh = srcH * scale;
+
+        return {
+            width:  Math.max(1, width),
+            height: Math.max(1, height),
+            dx:     (width  - dw) / 2,
+            dy:     (height - dh) / 2,
+            dw:     dw,
+            dh:     dh,
+        };
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Framing = {
+        alphaBounds:   alphaBounds,
+        crop:          crop,
+        cropToSubject: cropToSubject,
+        fitRect:       fitRect,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Framing;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,289 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+    // Animated GIF89a encoder. All frames share one median-cut palette of up
+    // to 255 colours; index 255 is reserved for transparent pixels.
+
+    const TRANSPARENT = 255;
+
+    // ============================================================
+    // PALETTE (median cut on a 15-bit colour histogram)
+    // ============================================================
+
+    /**
+     * @param {number} key - 5 bits per channel, r << 10 | g << 5 | b
+     * @returns {number[]} Channel values 0-31
+     */
+    function unpack(key) {
+        return [(key >> 10) & 31, (key >> 5) & 31, key & 31];
+    }
+
+    /**
+     * Split one box of histogram keys at the weighted median of its widest channel
+     * @param {number[]}    box
+     * @param {Uint32Array} hist
+     * @returns {number[][]}
+     */
+    function splitBox(box, hist) {
+        const min = [31, 31, 31], max = [0, 0, 0];
+        for (const key of box) {
+            const c = unpack(key);
+            for (let k = 0; k < 3; k++) {
+                if (c[k] < min[k]) min[k] = c[k];
+                if (c[k] > max[k]) max[k] = c[k];
+            }
+        }
+
+        let channel = 0;
+        for (let k = 1; k < 3; k++) {
+            if (max[k] - min[k] > max[channel] - min[channel]) channel = k;
+        }
+
+        box.sort(function (a, b) { return unpack(a)[channel] - unpack(b)[channel]; });
+
+        let total = 0;
+        for (const key of box) total += hist[key];
+
+        let acc = 0, cut = 1;
+        for (let i = 0; i < box.length - 1; i++) {
+            acc += hist[box[i]];
+            if (acc >= total / 2) { cut = i + 1; break; }
+        }
+
+        return [box.slice(0, cut), box.slice(cut)];
+    }
+
+    /**
+     * Build a shared palette for all frames from their opaque pixels
+     * @param {ImageData[]} frames
+     * @param {number}      maxColors
+     * @returns {number[][]} [r, g, b] per entry
+     */
+    function buildPalette(frames, maxColors) {
+        const hist = new Uint32Array(32768);
+
+        for (const frame of frames) {
+            const d = frame.data;
+            for (let i = 0; i < d.length; i += 4) {
+                if (d[i + 3] < 128) continue;
+                hist[((d[i] >> 3) << 10) | ((d[i + 1] >> 3) << 5) | (d[i + 2] >> 3)]++;
+            }
+        }
+
+        const keys = [];
+        for (let key = 0; key < hist.length; key++) {
+            if (hist[key]) keys.push(key);
+        }
+        if (keys.length === 0) return [[0, 0, 0]];
+
+        // Always split the most populated box that can still be split
+        let boxes = [keys];
+        while (boxes.length < maxColors) {
+            let best = -1, bestCount = 0;
+            boxes.forEach(function (box, i) {
+                if (box.length < 2) return;
+                let count = 0;
+                for (const key of box) count += hist[key];
+                if (count > bestCount) { best = i; bestCount = count; }
+            });
+            if (best < 0) break;
+
+            const halves = splitBox(boxes[best], hist);
+            boxes.splice(best, 1, halves[0], halves[1]);
+        }
+
+        return boxes.map(function (box) {
+            let r = 0, g = 0, b = 0, n = 0;
+            for (const key of box) {
+                const c = unpack(key), w = hist[key];
+                r += c[0] * w; g += c[1] * w; b += c[2] * w; n += w;
+            }
+            // Centre of the 8-wide bucket, back on the 0-255 scale
+            return [r, g, b].map(function (v) { return Math.min(255, Math.round((v / n) * 8 + 4)); });
+        });
+    }
+
+    /**
+     * Map every pixel to its nearest palette index (cached per 15-bit colour)
+     * @param {ImageData}   frame
+     * @param {number[][]}  palette
+     * @param {Int16Array}  lookup - Shared cache, -1 = not computed yet
+     * @returns {Uint8Array}
+     */
+    function indexFrame(frame, palette, lookup) {
+        const d   = frame.data;
+        const out = new Uint8Array(frame.width * frame.height);
+
+        for (let i = 0, p = 0; i < d.length; i += 4, p++) {
+            if (d[i + 3] < 128) {
+                out[p] = TRANSPARENT;
+                continue;
+            }
+
+            const key = ((d[i] >> 3) << 10) | ((d[i + 1] >> 3) << 5) | (d[i + 2] >> 3);
+            if (lookup[key] < 0) {
+                const r = (key >> 10 & 31) * 8 + 4, g = (key >> 5 & 31) * 8 + 4, b = (key & 31) * 8 + 4;
+                let best = 0, bestDist = Infinity;
+                for (let n = 0; n < palette.length; n++) {
+                    const c    = palette[n];
+                    const dist = (c[0] - r) * (c[0] - r) + (c[1] - g) * (c[1] - g) + (c[2] - b) * (c[2] - b);
+                    if (dist < bestDist) { best = n; bestDist = dist; }
+                }
+                lookup[key] = best;
+            }
+            out[p] = lookup[key];
+        }
+        return out;
+    }
+
+    // ============================================================
+    // LZW
+    // ============================================================
+
+    /**
+     * GIF-flavoured LZW (variable code width up to 12 bits, LSB first)
+     * @param {Uint8Array} indices
+     * @param {number}     minCodeSize
+     * @returns {number[]} Compressed bytes
+     */
+    function lzw(indices, minCodeSize) {
+        const clear = 1 << minCodeSize;
+        const eoi   = clear + 1;
+        const bytes = [];
+
+        let codeSize = minCodeSize + 1;
+        let next     = eoi + 1;
+        let dict     = new Map();
+        let acc = 0, bits = 0;
+
+        function write(code) {
+            acc  |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                bytes.push(acc & 0xff);
+                acc  >>>= 8;
+                bits -= 8;
+            }
+        }
+
+        write(clear);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const k   = indices[i];
+            const key = prefix * 256 + k;
+            const hit = dict.get(key);
+
+            if (hit !== undefined) {
+                prefix = hit;
+                continue;
+            }
+
+            write(prefix);
+            if (next < 4096) {
+                if (next === (1 << codeSize) && codeSize < 12) codeSize++;
+                dict.set(key, next++);
+            } else {
+                write(clear);
+                dict     = new Map();
+                codeSize = minCodeSize + 1;
+                next     = eoi + 1;
+            }
+            prefix = k;
+        }
+
+        write(prefix);
+        if (next === (1 << codeSize) && codeSize < 12) codeSize++;
+        write(eoi);
+        if (bits > 0) bytes.push(acc & 0xff);
+
+        return bytes;
+    }
+
+    // ============================================================
+    // ENCODER
+    // ============================================================
+
+    /**
+     * Encode frames of equal size as an animated GIF
+     * @param {ImageData[]} frames
+     * @param {object}      [o] - { delay (ms per frame), loop (0 = forever) }
+     * @returns {Uint8Array}
+     */
+    function encode(frames, o) {
+        o = o || {};
+        if (!frames.length) throw new Error('No frames to encode');
+
+        const width   = frames[0].width;
+        const height  = frames[0].height;
+        const delay   = Math.max(2, Math.round((o.delay || 100) / 10));
+        const palette = buildPalette(frames, 255);
+        const lookup  = new Int16Array(32768).fill(-1);
+        const out     = [];
+
+        const u16 = function (v) { out.push(v & 0xff, (v >> 8) & 0xff); };
+        const str = function (s) { for (let i = 0; i < s.length; i++) out.push(s.charCodeAt(i)); };
+
+        // Header + logical screen with a 256-entry global colour table
+        str('GIF89a');
+        u16(width);
+        u16(height);
+        out.push(0xf7, TRANSPARENT, 0);
+        for (let n = 0; n < 256; n++) {
+            const c = palette[n] || [0, 0, 0];
+            out.push(c[0], c[1], c[2]);
+        }
+
+        // NETSCAPE2.0 loop extension
+        out.push(0x21, 0xff, 11);
+        str('NETSCAPE2.0');
+        out.push(3, 1);
+        u16(Math.max(0, o.loop || 0));
+        out.push(0);
+
+        for (const frame of frames) {
+            if (frame.width !== width || frame.height !== height) {
+                throw new Error('All frames must have the same size');
+            }
+
+            // Graphic control: restore to background so transparent areas do not keep old pixels
+            out.push(0x21, 0xf9, 4, (2 << 2) | 1);
+            u16(delay);
+            out.push(TRANSPARENT, 0);
+
+            out.push(0x2c);
+            u16(0);
+            u16(0);
+            u16(width);
+            u16(height);
+            out.push(0);
+
+            const data = lzw(indexFrame(frame, palette, lookup), 8);
+            out.push(8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                out.push(block.length);
+                for (const b of block) out.push(b);
+            }
+            out.push(0);
+        }
+
+        out.push(0x3b);
+        return Uint8Array.from(out);
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.GifEncoder = {
+        encode:       encode,
+        buildPalette: buildPalette,
+        lzw:          lzw,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.GifEncoder;
+
+})(typeof self !== 'undefined' ? self : globalThis);
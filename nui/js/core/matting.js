@@ -0,0 +1,225 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // BOX FILTER (integral image, O(1) per pixel)
+    // ============================================================
+
+    /**
+     * Mean of `src` over a (2r+1)^2 window, clipped at the borders
+     * @param {Float32Array} src
+     * @param {number} w
+     * @param {number} h
+     * @param {number} r
+     * @returns {Float32Array}
+     */
+    function boxMean(src, w, h, r) {
+        const W   = w + 1;
+        const sat = new Float64Array(W * (h + 1));
+
+        for (let y = 0; y < h; y++) {
+            let row = 0;
+            for (let x = 0; x < w; x++) {
+                row += src[y * w + x];
+                sat[(y + 1) * W + x + 1] = sat[y * W + x + 1] + row;
+            }
+        }
+
+        const out = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+            for (let x = 0; x < w; x++) {
+                const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+                const sum = sat[y1 * W + x1] - sat[y0 * W + x1] - sat[y1 * W + x0] + sat[y0 * W + x0];
+                out[y * w + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+        return out;
+    }
+
+    // ============================================================
+    // TRIMAP
+    // ============================================================
+
+    /**
+     * Build a trimap from a binary mask: 1 = foreground, 0 = background,
+     * 0.5 = unknown band of `band` px on each side of the mask edge
+     * @param {Float32Array} mask - 0/1 per pixel
+     * @param {number} w
+     * @param {number} h
+     * @param {number} band
+     * @returns {Float32Array}
+     */
+    function buildTrimap(mask, w, h, band) {
+        // Share of foreground in the window: 1 = deep inside, 0 = far outside
+        const coverage = boxMean(mask, w, h, band);
+        const trimap   = new Float32Array(w * h);
+
+        for (let i = 0; i < trimap.length; i++) {
+            if (coverage[i] >= 0.999)     trimap[i] = 1;
+            else if (coverage[i] <= 0.001) trimap[i] = 0;
+            else                           trimap[i] = 0.5;
+        }
+        return trimap;
+    }
+
+    // ============================================================
+    // GUIDED FILTER (He et al.), grey guide
+    // ============================================================
+
+    function guidedFilter(guide, input, w, h, r, eps) {
+        const n  = w * h;
+        const ii = new Float32Array(n);
+        const ip = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            ii[i] = guide[i] * guide[i];
+            ip[i] = guide[i] * input[i];
+        }
+
+        const meanI  = boxMean(guide, w, h, r);
+        const meanP  = boxMean(input, w, h, r);
+        const corrI  = boxMean(ii, w, h, r);
+        const corrIp = boxMean(ip, w, h, r);
+
+        const a = new Float32Array(n);
+        const b = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const varI  = corrI[i]  - meanI[i] * meanI[i];
+            const covIp = corrIp[i] - meanI[i] * meanP[i];
+            a[i] = covIp / (varI + eps);
+            b[i] = meanP[i] - a[i] * meanI[i];
+        }
+
+        const meanA = boxMean(a, w, h, r);
+        const meanB = boxMean(b, w, h, r);
+
+        const q = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            q[i] = meanA[i] * guide[i] + meanB[i];
+        }
+        return q;
+    }
+
+    // ============================================================
+    // REFINE
+    // ============================================================
+
+    /**
+     * Turn a hard segmentation into a soft alpha matte and remove background
+     * colour from semi-transparent edge pixels (hair, beards)
+     * @param {ImageData} original  - Unsegmented source pixels
+     * @param {ImageData} segmented - Segmentation result; its alpha is the mask
+     * @param {object}    o - { strength, band, radius, epsilon, decontaminate }
+     * @returns {ImageData}
+     */
+    function refine(original, segmented, o) {
+        o = o || {};
+
+        const w   = original.width;
+        const h   = original.height;
+        const n   = w * h;
+        const src = original.data;
+        const seg = segmented.data;
+
+        const strength = (typeof o.strength === 'number') ? Math.max(0, Math.min(1, o.strength)) : 1;
+        const band     = Math.max(1, Math.round(o.band   || 4));
+        const radius   = Math.max(1, Math.round(o.radius || 4));
+        const eps      = o.epsilon || 0.005;
+
+        const mask  = new Float32Array(n);
+        const guide = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const idx = i * 4;
+            mask[i]  = seg[idx + 3] >= 128 ? 1 : 0;
+            guide[i] = (0.299 * src[idx] + 0.587 * src[idx + 1] + 0.114 * src[idx + 2]) / 255;
+        }
+
+        const trimap   = buildTrimap(mask, w, h, band);
+        const filtered = guidedFilter(guide, mask, w, h, radius, eps);
+
+        const alpha = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            if (trimap[i] === 0.5) {
+                const soft = Math.max(0, Math.min(1, filtered[i]));
+                alpha[i] = (seg[i * 4 + 3] / 255) * (1 - strength) + soft * strength;
+            } else {
+                alpha[i] = trimap[i];
+            }
+        }
+
+        // Local foreground/background colour means for decontamination
+        let fgMean = null, bgMean = null, fgCount = null, bgCount = null;
+        if (o.decontaminate !== false) {
+            const fgMask = new Float32Array(n);
+            const bgMask = new Float32Array(n);
+            for (let i = 0; i < n; i++) {
+                fgMask[i] = trimap[i] === 1 ? 1 : 0;
+                bgMask[i] = trimap[i] === 0 ? 1 : 0;
+            }
+            const win = band * 2 + radius;
+            fgCount = boxMean(fgMask, w, h, win);
+            bgCount = boxMean(bgMask, w, h, win);
+            fgMean  = [];
+            bgMean  = [];
+            for (let c = 0; c < 3; c++) {
+                const fgC = new Float32Array(n);
+                const bgC = new Float32Array(n);
+                for (let i = 0; i < n; i++) {
+                    fgC[i] = fgMask[i] * src[i * 4 + c];
+                    bgC[i] = bgMask[i] * src[i * 4 + c];
+                }
+                fgMean.push(boxMean(fgC, w, h, win));
+                bgMean.push(boxMean(bgC, w, h, win));
+            }
+        }
+
+        const dst = new ImageData(w, h);
+        const out = dst.data;
+
+        for (let i = 0; i < n; i++) {
+            const idx = i * 4;
+            const a   = alpha[i];
+
+            if (a <= 0.004) {
+                out[idx] = 255; out[idx + 1] = 255; out[idx + 2] = 255; out[idx + 3] = 0;
+                continue;
+            }
+
+            if (fgMean && trimap[i] === 0.5 && bgCount[i] > 0) {
+                // Solve I = aF + (1 - a)B for F, with B the local background colour.
+                // Faint pixels lean on the local foreground colour instead.
+                for (let c = 0; c < 3; c++) {
+                    const B      = bgMean[c][i] / bgCount[i];
+                    const solved = (src[idx + c] - (1 - a) * B) / Math.max(a, 0.1);
+                    const F      = fgCount[i] > 0 ? fgMean[c][i] / fgCount[i] : solved;
+                    const mix    = Math.min(1, a * 2);
+                    out[idx + c] = solved * mix + F * (1 - mix);
+                }
+            } else {
+                out[idx]     = src[idx];
+                out[idx + 1] = src[idx + 1];
+                out[idx + 2] = src[idx + 2];
+            }
+            out[idx + 3] = a * 255;
+        }
+
+        return dst;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Matting = {
+        refine:       refine,
+        buildTrimap:  buildTrimap,
+        guidedFilter: guidedFilter,
+        boxMean:      boxMean,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Matting;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,520 @@
+(function (root) {
+    'use strict';
+
+    // Pure byte code: runs on the NUI page, in the pipeline worker and on the server.
+    // Capture metadata inside the encoded image: PNG tEXt/iTXt chunks, EXIF
+    // (APP1) for JPEG and an EXIF chunk for WebP. Fields: identifier, serverId,
+    // timestamp, options, backend and hash, where hash is the SHA-256 of the
+    // image without its metadata (strip() gives those bytes back).
+
+    const SOFTWARE = 'ayc-mugshot';
+
+    // PNG keyword per field; iTXt for the ones that may hold any UTF-8
+    const PNG_KEYS = {
+        software:   ['Software', 'tEXt'],
+        timestamp:  ['Creation Time', 'tEXt'],
+        identifier: ['Identifier', 'iTXt'],
+        serverId:   ['Server ID', 'tEXt'],
+        options:    ['Capture Options', 'iTXt'],
+        backend:    ['Segmentation', 'tEXt'],
+        hash:       ['Content Hash', 'tEXt'],
+    };
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // ============================================================
+    // BYTES
+    // ============================================================
+
+    const CRC_TABLE = (function () {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let c = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
+    function concat(parts) {
+        let length = 0;
+        for (const part of parts) length += part.length;
+        const out = new Uint8Array(length);
+        let pos = 0;
+        for (const part of parts) {
+            out.set(part, pos);
+            pos += part.length;
+        }
+        return out;
+    }
+
+    function latin1(text) {
+        const out = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) out[i] = text.charCodeAt(i) & 0xff;
+        return out;
+    }
+
+    function tag(bytes, at) {
+        return String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]);
+    }
+
+    function u32be(bytes, at) {
+        return ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+    }
+
+    function u32le(bytes, at) {
+        return (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+    }
+
+    /**
+     * JSON with everything outside ASCII escaped, so it fits EXIF's ASCII type
+     * @param {object} value
+     * @returns {string}
+     */
+    function asciiJson(value) {
+        return JSON.stringify(value).replace(/[\u0080-\uffff]/g, function (ch) {
+            return '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0');
+        });
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string|null} 'image/png' | 'image/jpeg' | 'image/webp'
+     */
+    function sniff(bytes) {
+        if (bytes.length >= 8 && bytes[0] === 0x89 && tag(bytes, 1).slice(0, 3) === 'PNG') return 'image/png';
+        if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+        if (bytes.length >= 12 && tag(bytes, 0) === 'RIFF' && tag(bytes, 8) === 'WEBP') return 'image/webp';
+        return null;
+    }
+
+    /**
+     * Field values as strings; options become JSON
+     * @param {object} fields
+     * @returns {object}
+     */
+    function normalize(fields) {
+        const out = { software: SOFTWARE };
+        for (const key of Object.keys(PNG_KEYS)) {
+            const value = fields[key];
+            if (value === undefined || value === null || value === '') continue;
+            out[key] = key === 'options' ? JSON.stringify(value) : String(value);
+        }
+        return out;
+    }
+
+    /**
+     * Turn the strings read back into typed fields
+     * @param {object} raw
+     * @returns {object|null}
+     */
+    function denormalize(raw) {
+        if (Object.keys(raw).length === 0) return null;
+
+        const out = Object.assign({}, raw);
+        if (out.serverId !== undefined) out.serverId = Number(out.serverId);
+        if (out.options !== undefined) {
+            try {
+                out.options = JSON.parse(out.options);
+            } catch (err) {
+                out.options = null;
+            }
+        }
+        return out;
+    }
+
+    // ============================================================
+    // PNG
+    // ============================================================
+
+    function pngChunk(type, data) {
+        const out = new Uint8Array(12 + data.length);
+        const len = data.length;
+        out[0] = len >>> 24; out[1] = (len >> 16) & 0xff; out[2] = (len >> 8) & 0xff; out[3] = len & 0xff;
+        out.set(latin1(type), 4);
+        out.set(data, 8);
+        const crc = crc32(out.subarray(4, 8 + len));
+        out[8 + len] = crc >>> 24; out[9 + len] = (crc >> 16) & 0xff; out[10 + len] = (crc >> 8) & 0xff; out[11 + len] = crc & 0xff;
+        return out;
+    }
+
+    /**
+     * Walk PNG chunks
+     * @param {Uint8Array} bytes
+     * @returns {Array<{type: string, start: number, end: number, data: Uint8Array}>}
+     */
+    function pngChunks(bytes) {
+        const chunks = [];
+        let pos = 8;
+        while (pos + 12 <= bytes.length) {
+            const length = u32be(bytes, pos);
+            const end    = pos + 12 + length;
+            chunks.push({ type: tag(bytes, pos + 4), start: pos, end: end, data: bytes.subarray(pos + 8, pos + 8 + length) });
+            pos = end;
+        }
+        return chunks;
+    }
+
+    /**
+     * Keyword and text of a tEXt / uncompressed iTXt chunk
+     * @returns {{keyword: string, text: string}|null}
+     */
+    function readPngText(chunk) {
+        const nul = chunk.data.indexOf(0);
+        if (nul < 0) return null;
+        const keyword = decoder.decode(chunk.data.subarray(0, nul));
+
+        if (chunk.type === 'tEXt') {
+            let text = '';
+            for (let i = nul + 1; i < chunk.data.length; i++) text += String.fromCharCode(chunk.data[i]);
+            return { keyword: keyword, text: text };
+        }
+
+        // iTXt: keyword \0 compression flag, method, language \0 translated keyword \0 text
+        if (chunk.data[nul + 1] !== 0) return null;
+        const lang  = chunk.data.indexOf(0, nul + 3);
+        const trans = lang < 0 ? -1 : chunk.data.indexOf(0, lang + 1);
+        if (trans < 0) return null;
+        return { keyword: keyword, text: decoder.decode(chunk.data.subarray(trans + 1)) };
+    }
+
+    function isOurPngChunk(chunk) {
+        if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') return false;
+        const entry = readPngText(chunk);
+        if (!entry) return false;
+        return Object.keys(PNG_KEYS).some(function (key) { return PNG_KEYS[key][0] === entry.keyword; });
+    }
+
+    function embedPng(bytes, fields) {
+        const chunks = pngChunks(bytes);
+        if (chunks.length === 0 || chunks[0].type !== 'IHDR') throw new Error('Not a PNG file');
+
+        const texts = Object.keys(fields).map(function (key) {
+            const keyword = PNG_KEYS[key][0];
+            if (PNG_KEYS[key][1] === 'tEXt') {
+                return pngChunk('tEXt', concat([latin1(keyword), [0], latin1(fields[key])]));
+            }
+            return pngChunk('iTXt', concat([latin1(keyword), [0, 0, 0, 0, 0], encoder.encode(fields[key])]));
+        });
+
+        const afterHeader = chunks[0].end;
+        return concat([bytes.subarray(0, afterHeader)].concat(texts, [bytes.subarray(afterHeader)]));
+    }
+
+    function readPng(bytes) {
+        const raw = {};
+        for (const chunk of pngChunks(bytes)) {
+            if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') continue;
+            const entry = readPngText(chunk);
+            if (!entry) continue;
+            for (const key of Object.keys(PNG_KEYS)) {
+                if (PNG_KEYS[key][0] === entry.keyword) raw[key] = entry.text;
+            }
+        }
+        return raw;
+    }
+
+    function stripPng(bytes) {
+        const keep = [bytes.subarray(0, 8)];
+        for (const chunk of pngChunks(bytes)) {
+            if (!isOurPngChunk(chunk)) keep.push(bytes.subarray(chunk.start, chunk.end));
+        }
+        return concat(keep);
+    }
+
+    // ============================================================
+    // EXIF (JPEG APP1, WebP EXIF chunk)
+    // ============================================================
+    // A little-endian TIFF block with one IFD: ImageDescription holds the
+    // fields as JSON, Software and DateTime are there for ordinary viewers.
+
+    function exifDate(iso) {
+        const d = new Date(iso);
+        if (isNaN(d.getTime())) return null;
+        const p = function (n) { return String(n).padStart(2, '0'); };
+        return d.getUTCFullYear() + ':' + p(d.getUTCMonth() + 1) + ':' + p(d.getUTCDate()) + ' ' +
+            p(d.getUTCHours()) + ':' + p(d.getUTCMinutes()) + ':' + p(d.getUTCSeconds());
+    }
+
+    function buildTiff(fields) {
+        const entries = [[0x010e, latin1(asciiJson(fields))], [0x0131, latin1(SOFTWARE)]];
+        const date = fields.timestamp && exifDate(fields.timestamp);
+        if (date) entries.push([0x0132, latin1(date)]);
+
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let dataSize = 0;
+        for (const e of entries) dataSize += e[1].length + 1 + ((e[1].length + 1) & 1);
+
+        const out = new Uint8Array(8 + ifdSize + dataSize);
+        const put16 = function (at, v) { out[at] = v & 0xff; out[at + 1] = (v >> 8) & 0xff; };
+        const put32 = function (at, v) { put16(at, v & 0xffff); put16(at + 2, (v >>> 16) & 0xffff); };
+
+        out.set([0x49, 0x49, 0x2a, 0x00], 0);
+        put32(4, 8);
+        put16(8, entries.length);
+
+        let data = 8 + ifdSize;
+        entries.forEach(function (e, i) {
+            const at = 10 + i * 12;
+            put16(at, e[0]);
+            put16(at + 2, 2);                 // ASCII
+            put32(at + 4, e[1].length + 1);   // with the NUL
+            put32(at + 8, data);
+            out.set(e[1], data);
+            data += e[1].length + 1 + ((e[1].length + 1) & 1);
+        });
+        put32(10 + entries.length * 12, 0);
+
+        return out;
+    }
+
+    function readTiff(tiff) {
+        if (tiff.length < 8) return {};
+        const le  = tiff[0] === 0x49;
+        const u16 = function (at) { return le ? tiff[at] | (tiff[at + 1] << 8) : (tiff[at] << 8) | tiff[at + 1]; };
+        const u32 = function (at) { return le ? u32le(tiff, at) : u32be(tiff, at); };
+
+        const ifd   = u32(4);
+        const count = ifd + 2 <= tiff.length ? u16(ifd) : 0;
+        for (let i = 0; i < count; i++) {
+            const at = ifd + 2 + i * 12;
+            if (at + 12 > tiff.length || u16(at) !== 0x010e) continue;
+
+            const length = u32(at + 4);
+            const offset = length <= 4 ? at + 8 : u32(at + 8);
+            let text = '';
+            for (let j = offset; j < offset + length && j < tiff.length && tiff[j] !== 0; j++) {
+                text += String.fromCharCode(tiff[j]);
+            }
+            try {
+                const parsed = JSON.parse(text);
+                return (parsed && parsed.software === SOFTWARE) ? parsed : {};
+            } catch (err) {
+                return {};
+            }
+        }
+        return {};
+    }
+
+    // ============================================================
+    // JPEG
+    // ============================================================
+
+    const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0];   // "Exif\0\0"
+
+    /**
+     * Walk JPEG marker segments up to the start of scan
+     * @returns {Array<{marker: number, start: number, end: number}>}
+     */
+    function jpegSegments(bytes) {
+        const segments = [];
+        let pos = 2;
+        while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+            const marker = bytes[pos + 1];
+            if (marker === 0xda) break;
+            const end = pos + 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+            segments.push({ marker: marker, start: pos, end: end });
+            pos = end;
+        }
+        return segments;
+    }
+
+    function isExifSegment(bytes, segment) {
+        if (segment.marker !== 0xe1) return false;
+        for (let i = 0; i < 6; i++) {
+            if (bytes[segment.start + 4 + i] !== EXIF_HEADER[i]) return false;
+        }
+        return true;
+    }
+
+    function embedJpeg(bytes, fields) {
+        const tiff   = buildTiff(fields);
+        const length = 2 + EXIF_HEADER.length + tiff.length;
+        if (length > 0xffff) throw new Error('Metadata too large for JPEG');
+
+        const app1 = concat([[0xff, 0xe1, length >> 8, length & 0xff], EXIF_HEADER, tiff]);
+
+        // After JFIF APP0 when there is one, else right after SOI
+        const first = jpegSegments(bytes)[0];
+        const at    = first && first.marker === 0xe0 ? first.end : 2;
+        return concat([bytes.subarray(0, at), app1, bytes.subarray(at)]);
+    }
+
+    function readJpeg(bytes) {
+        for (const segment of jpegSegments(bytes)) {
+            if (isExifSegment(bytes, segment)) {
+                const raw = readTiff(bytes.subarray(segment.start + 10, segment.end));
+                if (Object.keys(raw).length) return raw;
+            }
+        }
+        return {};
+    }
+
+    function stripJpeg(bytes) {
+        const keep = [bytes.subarray(0, 2)];
+        let last = 2;
+        for (const segment of jpegSegments(bytes)) {
+            if (isExifSegment(bytes, segment) && Object.keys(readTiff(bytes.subarray(segment.start + 10, segment.end))).length) {
+                keep.push(bytes.subarray(last, segment.start));
+                last = segment.end;
+            }
+        }
+        keep.push(bytes.subarray(last));
+        return concat(keep);
+    }
+
+    // ============================================================
+    // WEBP
+    // ============================================================
+
+    function riffChunks(bytes) {
+        const chunks = [];
+        let pos = 12;
+        while (pos + 8 <= bytes.length) {
+            const size = u32le(bytes, pos + 4);
+            const end  = Math.min(bytes.length, pos + 8 + size + (size & 1));
+            chunks.push({ fourcc: tag(bytes, pos), start: pos, end: end, data: bytes.subarray(pos + 8, pos + 8 + size) });
+            pos = end;
+        }
+        return chunks;
+    }
+
+    function riffChunk(fourcc, data) {
+        const size = data.length;
+        const out  = new Uint8Array(8 + size + (size & 1));
+        out.set(latin1(fourcc), 0);
+        out[4] = size & 0xff; out[5] = (size >> 8) & 0xff; out[6] = (size >> 16) & 0xff; out[7] = (size >>> 24) & 0xff;
+        out.set(data, 8);
+        return out;
+    }
+
+    function riff(parts) {
+        const body = concat([latin1('WEBP')].concat(parts));
+        return riffChunk('RIFF', body);
+    }
+
+    /**
+     * Canvas size and alpha of a simple (non-VP8X) WebP
+     * @returns {{width: number, height: number, alpha: boolean}}
+     */
+    function simpleInfo(chunk) {
+        const d = chunk.data;
+        if (chunk.fourcc === 'VP8L') {
+            const bits = u32le(d, 1);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: ((bits >>> 28) & 1) === 1 };
+        }
+        return { width: (d[6] | (d[7] << 8)) & 0x3fff, height: (d[8] | (d[9] << 8)) & 0x3fff, alpha: false };
+    }
+
+    function embedWebp(bytes, fields) {
+        const chunks = riffChunks(bytes).filter(function (c) { return c.fourcc !== 'EXIF'; });
+        const exif   = riffChunk('EXIF', buildTiff(fields));
+        const whole  = function (c) { return bytes.subarray(c.start, c.end); };
+
+        if (chunks[0] && chunks[0].fourcc === 'VP8X') {
+            const vp8x = whole(chunks[0]).slice();
+            vp8x[8] |= 0x08;
+            return riff([vp8x].concat(chunks.slice(1).map(whole), [exif]));
+        }
+
+        // Simple file: EXIF needs the extended header
+        const image = chunks.find(function (c) { return c.fourcc === 'VP8 ' || c.fourcc === 'VP8L'; });
+        if (!image) throw new Error('WebP has no image data');
+        const info = simpleInfo(image);
+        const w = info.width - 1, h = info.height - 1;
+        const vp8x = riffChunk('VP8X', [(info.alpha ? 0x10 : 0) | 0x08, 0, 0, 0,
+            w & 0xff, (w >> 8) & 0xff, (w >> 16) & 0xff, h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff]);
+        return riff([vp8x].concat(chunks.map(whole), [exif]));
+    }
+
+    function readWebp(bytes) {
+        const chunk = riffChunks(bytes).find(function (c) { return c.fourcc === 'EXIF'; });
+        return chunk ? readTiff(chunk.data) : {};
+    }
+
+    /**
+     * Undo embedWebp. A VP8X header that only exists for the EXIF chunk goes
+     * too: libwebp writes the simple format whenever it can, so a lone VP8L,
+     * or a VP8 without ALPH, was a simple file before.
+     */
+    function stripWebp(bytes) {
+        const chunks = riffChunks(bytes).filter(function (c) { return c.fourcc !== 'EXIF'; });
+        const whole  = function (c) { return bytes.subarray(c.start, c.end); };
+        if (!chunks[0] || chunks[0].fourcc !== 'VP8X') return bytes;
+
+        const vp8x = whole(chunks[0]).slice();
+        vp8x[8] &= ~0x08;
+
+        const rest   = chunks.slice(1);
+        const simple = (vp8x[8] & ~0x10) === 0 && rest.length === 1 &&
+            (rest[0].fourcc === 'VP8L' || rest[0].fourcc === 'VP8 ');
+        return simple ? riff(rest.map(whole)) : riff([vp8x].concat(rest.map(whole)));
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    /**
+     * Write capture metadata into an encoded image. Unknown formats (GIF)
+     * come back unchanged.
+     * @param {Uint8Array} bytes
+     * @param {object}     fields - { identifier, serverId, timestamp (ISO), options, backend, hash }
+     * @returns {Uint8Array}
+     */
+    function embed(bytes, fields) {
+        const values = normalize(fields || {});
+        switch (sniff(bytes)) {
+            case 'image/png':  return embedPng(bytes, values);
+            case 'image/jpeg': return embedJpeg(bytes, values);
+            case 'image/webp': return embedWebp(bytes, values);
+            default:           return bytes;
+        }
+    }
+
+    /**
+     * Read metadata written by embed()
+     * @param {Uint8Array} bytes
+     * @returns {object|null} { software, identifier, serverId, timestamp, options, backend, hash }, null when none
+     */
+    function read(bytes) {
+        switch (sniff(bytes)) {
+            case 'image/png':  return denormalize(readPng(bytes));
+            case 'image/jpeg': return denormalize(readJpeg(bytes));
+            case 'image/webp': return denormalize(readWebp(bytes));
+            default:           return null;
+        }
+    }
+
+    /**
+     * The image as it was before embed(); its SHA-256 is the metadata's hash
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    function strip(bytes) {
+        switch (sniff(bytes)) {
+            case 'image/png':  return stripPng(bytes);
+            case 'image/jpeg': return stripJpeg(bytes);
+            case 'image/webp': return stripWebp(bytes);
+            default:           return bytes;
+        }
+    }
+
+    root.Metadata = {
+        embed: embed,
+        read:  read,
+        strip: strip,
+        sniff: sniff,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Metadata;
+
+})(typeof self !== 'undefined' ? self : globalThis);
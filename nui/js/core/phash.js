@@ -0,0 +1,187 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+    // Perceptual hashes survive re-encoding, resizing and small colour shifts,
+    // unlike the content hash. A hash is 32 hex chars: 64-bit pHash (DCT)
+    // followed by 64-bit dHash (gradient).
+
+    const HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+    // ============================================================
+    // GREYSCALE THUMBNAIL
+    // ============================================================
+
+    /**
+     * Luminance thumbnail by area averaging. Transparent pixels are flattened
+     * onto mid grey, so cut-outs and opaque shots of the same face hash alike.
+     * @param {ImageData} imageData
+     * @param {number}    w
+     * @param {number}    h
+     * @returns {Float32Array}
+     */
+    function thumbnail(imageData, w, h) {
+        const { data, width, height } = imageData;
+        const out = new Float32Array(w * h);
+
+        for (let ty = 0; ty < h; ty++) {
+            const y0 = Math.floor(ty * height / h);
+            const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / h));
+
+            for (let tx = 0; tx < w; tx++) {
+                const x0 = Math.floor(tx * width / w);
+                const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / w));
+
+                let sum = 0, n = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const i = (y * width + x) * 4;
+                        const a = data[i + 3] / 255;
+                        const l = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                        sum += l * a + 128 * (1 - a);
+                        n++;
+                    }
+                }
+                out[ty * w + tx] = sum / n;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 64 booleans to 16 hex chars
+     * @param {boolean[]} bits
+     * @returns {string}
+     */
+    function toHex(bits) {
+        let hex = '';
+        for (let i = 0; i < 64; i += 4) {
+            hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+        }
+        return hex;
+    }
+
+    // ============================================================
+    // HASHES
+    // ============================================================
+
+    /**
+     * DCT hash: low 8x8 frequencies of a 32x32 thumbnail against their median
+     * @param {ImageData} imageData
+     * @returns {string} 16 hex chars
+     */
+    function pHash(imageData) {
+        const N   = 32;
+        const px  = thumbnail(imageData, N, N);
+        const cos = new Float32Array(8 * N);
+        for (let u = 0; u < 8; u++) {
+            for (let x = 0; x < N; x++) {
+                cos[u * N + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N));
+            }
+        }
+
+        // Separable 2D DCT-II, only the 8x8 block that is kept
+        const rows = new Float32Array(N * 8);
+        for (let y = 0; y < N; y++) {
+            for (let u = 0; u < 8; u++) {
+                let sum = 0;
+                for (let x = 0; x < N; x++) sum += px[y * N + x] * cos[u * N + x];
+                rows[y * 8 + u] = sum;
+            }
+        }
+        const coeffs = new Float32Array(64);
+        for (let v = 0; v < 8; v++) {
+            for (let u = 0; u < 8; u++) {
+                let sum = 0;
+                for (let y = 0; y < N; y++) sum += rows[y * 8 + u] * cos[v * N + y];
+                coeffs[v * 8 + u] = sum;
+            }
+        }
+
+        // The DC term only says how bright the image is; keep it out of the median
+        const sorted = Array.from(coeffs.subarray(1)).sort(function (a, b) { return a - b; });
+        const median = (sorted[31] + sorted[32]) / 2;
+
+        const bits = [];
+        for (let i = 0; i < 64; i++) bits.push(coeffs[i] > median);
+        return toHex(bits);
+    }
+
+    /**
+     * Gradient hash: is each pixel of a 9x8 thumbnail darker than its right neighbour
+     * @param {ImageData} imageData
+     * @returns {string} 16 hex chars
+     */
+    function dHash(imageData) {
+        const px   = thumbnail(imageData, 9, 8);
+        const bits = [];
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) bits.push(px[y * 9 + x] < px[y * 9 + x + 1]);
+        }
+        return toHex(bits);
+    }
+
+    /**
+     * @param {ImageData} imageData
+     * @returns {string} 32 hex chars, pHash + dHash
+     */
+    function compute(imageData) {
+        return pHash(imageData) + dHash(imageData);
+    }
+
+    // ============================================================
+    // COMPARE
+    // ============================================================
+
+    function popcount(n) {
+        let c = 0;
+        while (n) { c += n & 1; n >>= 1; }
+        return c;
+    }
+
+    function hamming(a, b) {
+        let d = 0;
+        for (let i = 0; i < a.length; i++) {
+            d += popcount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+        }
+        return d;
+    }
+
+    /**
+     * @param {string} value
+     * @returns {boolean}
+     */
+    function isHash(value) {
+        return typeof value === 'string' && HASH_PATTERN.test(value);
+    }
+
+    /**
+     * Compare two hashes from compute()
+     * @param {string} a
+     * @param {string} b
+     * @returns {{similarity: number, phash: number, dhash: number}} Similarity 0-1, distances in bits (0-64)
+     */
+    function compare(a, b) {
+        if (!isHash(a) || !isHash(b)) throw new Error('Not a perceptual hash');
+
+        const p = hamming(a.slice(0, 16), b.slice(0, 16));
+        const d = hamming(a.slice(16), b.slice(16));
+        return { similarity: 1 - (p + d) / 128, phash: p, dhash: d };
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.PerceptualHash = {
+        compute: compute,
+        pHash:   pHash,
+        dHash:   dHash,
+        compare: compare,
+        isHash:  isHash,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.PerceptualHash;
+
+})(typeof self !== 'undefined' ? self : globalThis);
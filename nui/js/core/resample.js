@@ -0,0 +1,471 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // HELPER: CLAMP
+    // ============================================================
+    function clamp(x, max) {
+        return Math.max(0, Math.min(max, x));
+    }
+
+    // ============================================================
+    // RESAMPLING KERNELS
+    // ============================================================
+
+    function triangleKernel(x) {
+        x = Math.abs(x);
+        return x < 1 ? 1 - x : 0;
+    }
+
+    function sinc(x) {
+        if (x === 0) return 1;
+        const px = Math.PI * x;
+        return Math.sin(px) / px;
+    }
+
+    function lanczos3Kernel(x) {
+        x = Math.abs(x);
+        return x < 3 ? sinc(x) * sinc(x / 3) : 0;
+    }
+
+    // ============================================================
+    // MITCHELL-NETRAVALI KERNEL (Excellent for "AI-like" smooth upscaling)
+    // ============================================================
+    // B = 1/3, C = 1/3 is the recommended setting for visual quality
+    function makeMitchellKernel(B, C) {
+        return function (x) {
+            x = Math.abs(x);
+            const x2 = x * x;
+            const x3 = x * x * x;
+
+            if (x < 1) {
+                return ( (12 - 9 * B - 6 * C) * x3 + (-18 + 12 * B + 6 * C) * x2 + (6 - 2 * B) ) / 6;
+            } else if (x < 2) {
+                return ( (-B - 6 * C) * x3 + (6 * B + 30 * C) * x2 + (-12 * B - 48 * C) * x + (8 * B + 24 * C) ) / 6;
+            }
+            return 0;
+        };
+    }
+
+    // ============================================================
+    // SEPARABLE KERNEL RESAMPLER
+    // ============================================================
+
+    /**
+     * Precompute source taps and normalized weights for one axis
+     * @param {number}   srcSize
+     * @param {number}   dstSize
+     * @param {function} kernel
+     * @param {number}   radius  - Taps on each side of the sample position
+     * @returns {{index: Int32Array, weight: Float32Array, taps: number}}
+     */
+    function buildTaps(srcSize, dstSize, kernel, radius) {
+        const scale  = dstSize / srcSize;
+        const taps   = radius * 2 + 1;
+        const index  = new Int32Array(dstSize * taps);
+        const weight = new Float32Array(dstSize * taps);
+
+        for (let d = 0; d < dstSize; d++) {
+            const pos  = (d + 0.5) / scale - 0.5;
+            const pos0 = Math.floor(pos);
+
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const s = clamp(pos0 + k, srcSize - 1);
+                const w = kernel(pos - s);
+                index[d * taps + k + radius]  = s;
+                weight[d * taps + k + radius] = w;
+                sum += w;
+            }
+
+            if (Math.abs(sum) > 0.0001) {
+                for (let k = 0; k < taps; k++) weight[d * taps + k] /= sum;
+            }
+        }
+
+        return { index: index, weight: weight, taps: taps };
+    }
+
+    /**
+     * Resample with any symmetric kernel, one axis at a time
+     * @param {ImageData} src
+     * @param {number}    factor
+     * @param {function}  kernel
+     * @param {number}    radius
+     * @returns {ImageData}
+     */
+    function resampleKernel(src, factor, kernel, radius) {
+        const srcW = src.width;
+        const srcH = src.height;
+        const dstW = Math.max(1, Math.round(srcW * factor));
+        const dstH = Math.max(1, Math.round(srcH * factor));
+
+        const srcData = src.data;
+        const xTaps   = buildTaps(srcW, dstW, kernel, radius);
+        const yTaps   = buildTaps(srcH, dstH, kernel, radius);
+
+        // Horizontal pass into a float buffer (dstW x srcH)
+        const tmp = new Float32Array(dstW * srcH * 4);
+        for (let y = 0; y < srcH; y++) {
+            for (let x = 0; x < dstW; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < xTaps.taps; k++) {
+                    const w   = xTaps.weight[x * xTaps.taps + k];
+                    const idx = (y * srcW + xTaps.index[x * xTaps.taps + k]) * 4;
+                    r += srcData[idx]     * w;
+                    g += srcData[idx + 1] * w;
+                    b += srcData[idx + 2] * w;
+                    a += srcData[idx + 3] * w;
+                }
+                const t = (y * dstW + x) * 4;
+                tmp[t] = r; tmp[t + 1] = g; tmp[t + 2] = b; tmp[t + 3] = a;
+            }
+        }
+
+        // Vertical pass into the output (Uint8ClampedArray rounds and clamps)
+        const dst     = new ImageData(dstW, dstH);
+        const dstData = dst.data;
+        for (let y = 0; y < dstH; y++) {
+            for (let x = 0; x < dstW; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < yTaps.taps; k++) {
+                    const w = yTaps.weight[y * yTaps.taps + k];
+                    const t = (yTaps.index[y * yTaps.taps + k] * dstW + x) * 4;
+                    r += tmp[t]     * w;
+                    g += tmp[t + 1] * w;
+                    b += tmp[t + 2] * w;
+                    a += tmp[t + 3] * w;
+                }
+                const idx = (y * dstW + x) * 4;
+                dstData[idx]     = r;
+                dstData[idx + 1] = g;
+                dstData[idx + 2] = b;
+                dstData[idx + 3] = a;
+            }
+        }
+
+        return dst;
+    }
+
+    // ============================================================
+    // NEAREST NEIGHBOUR
+    // ============================================================
+
+    function upscaleNearest(src, factor) {
+        const srcW = src.width;
+        const srcH = src.height;
+        const dstW = Math.max(1, Math.round(srcW * factor));
+        const dstH = Math.max(1, Math.round(srcH * factor));
+
+        const src32 = new Uint32Array(src.data.buffer, src.data.byteOffset, srcW * srcH);
+        const dst   = new ImageData(dstW, dstH);
+        const dst32 = new Uint32Array(dst.data.buffer);
+
+        for (let y = 0; y < dstH; y++) {
+            const sy = Math.min(srcH - 1, Math.floor(y * srcH / dstH));
+            for (let x = 0; x < dstW; x++) {
+                dst32[y * dstW + x] = src32[sy * srcW + Math.min(srcW - 1, Math.floor(x * srcW / dstW))];
+            }
+        }
+        return dst;
+    }
+
+    // ============================================================
+    // EPX / SCALE2X (Edge-directed, for the low-res headshot)
+    // ============================================================
+    // Classic EPX compares pixels for exact equality, which never happens
+    // on a photographic headshot. "Equal" here means within a YUV distance.
+
+    function makeSimilar(threshold) {
+        const yT = threshold;
+        const uT = threshold / 6;
+        const vT = threshold / 8;
+
+        return function (data, i, j) {
+            const dr = data[i]     - data[j];
+            const dg = data[i + 1] - data[j + 1];
+            const db = data[i + 2] - data[j + 2];
+            const da = data[i + 3] - data[j + 3];
+
+            const dy = 0.299 * dr + 0.587 * dg + 0.114 * db;
+            const du = -0.169 * dr - 0.331 * dg + 0.5 * db;
+            const dv = 0.5 * dr - 0.419 * dg - 0.081 * db;
+
+            return Math.abs(dy) <= yT && Math.abs(du) <= uT && Math.abs(dv) <= vT && Math.abs(da) <= yT;
+        };
+    }
+
+    function scale2x(src, similar) {
+        const w = src.width;
+        const h = src.height;
+        const s = src.data;
+
+        const dst = new ImageData(w * 2, h * 2);
+        const d   = dst.data;
+        const dw  = w * 2;
+
+        function put(dx, dy, from) {
+            const o = (dy * dw + dx) * 4;
+            d[o] = s[from]; d[o + 1] = s[from + 1]; d[o + 2] = s[from + 2]; d[o + 3] = s[from + 3];
+        }
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const P = (y * w + x) * 4;
+                const A = (Math.max(0, y - 1) * w + x) * 4;       // up
+                const B = (y * w + Math.min(w - 1, x + 1)) * 4;   // right
+                const C = (y * w + Math.max(0, x - 1)) * 4;       // left
+                const D = (Math.min(h - 1, y + 1) * w + x) * 4;   // down
+
+                const CA = similar(s, C, A), AB = similar(s, A, B);
+                const DC = similar(s, D, C), BD = similar(s, B, D);
+
+                put(x * 2,     y * 2,     (CA && !DC && !AB) ? A : P);
+                put(x * 2 + 1, y * 2,     (AB && !CA && !BD) ? B : P);
+                put(x * 2,     y * 2 + 1, (DC && !BD && !CA) ? C : P);
+                put(x * 2 + 1, y * 2 + 1, (BD && !AB && !DC) ? D : P);
+            }
+        }
+        return dst;
+    }
+
+    function upscaleEPX(src, factor, config) {
+        const similar = makeSimilar(config.EdgeThreshold || 24);
+
+        let result = src;
+        let done   = 1;
+        while (done * 2 <= factor + 0.0001) {
+            result = scale2x(result, similar);
+            done  *= 2;
+        }
+
+        // Non power-of-two factors: finish the remainder with a smooth filter
+        const rest = factor / done;
+        if (rest > 1.0001) {
+            result = resampleKernel(result, rest, triangleKernel, 1);
+        }
+        return result;
+    }
+
+    // ============================================================
+    // SMART LUMINANCE SHARPENING (AI-Like Detail Enhancement)
+    // ============================================================
+    function smartLuminanceSharpen(imageData, amount, threshold = 10) {
+        if (!amount || amount <= 0) return imageData;
+
+        const w = imageData.width;
+        const h = imageData.height;
+        const src = imageData.data;
+        const dst = new ImageData(w, h);
+        const out = dst.data;
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const idx = (y * w + x) * 4;
+
+                const up    = (Math.max(0, y - 1) * w + x) * 4;
+                const down  = (Math.min(h - 1, y + 1) * w + x) * 4;
+                const left  = (y * w + Math.max(0, x - 1)) * 4;
+                const right = (y * w + Math.min(w - 1, x + 1)) * 4;
+
+                const lumCenter = 0.299*src[idx]   + 0.587*src[idx+1]   + 0.114*src[idx+2];
+                const lumUp     = 0.299*src[up]    + 0.587*src[up+1]    + 0.114*src[up+2];
+                const lumDown   = 0.299*src[down]  + 0.587*src[down+1]  + 0.114*src[down+2];
+                const lumLeft   = 0.299*src[left]  + 0.587*src[left+1]  + 0.114*src[left+2];
+                const lumRight  = 0.299*src[right] + 0.587*src[right+1] + 0.114*src[right+2];
+
+                const lumAverage = (lumUp + lumDown + lumLeft + lumRight) / 4;
+                const detail = lumCenter - lumAverage;
+
+                if (Math.abs(detail) > threshold) {
+                    const factor = 1 + (amount * detail / 255);
+                    
+                    out[idx]     = Math.max(0, Math.min(255, src[idx]     * factor));
+                    out[idx + 1] = Math.max(0, Math.min(255, src[idx + 1] * factor));
+                    out[idx + 2] = Math.max(0, Math.min(255, src[idx + 2] * factor));
+                } else {
+                    out[idx]     = src[idx];
+                    out[idx + 1] = src[idx + 1];
+                    out[idx + 2] = src[idx + 2];
+                }
+                
+                out[idx + 3] = src[idx + 3]; // Alpha
+            }
+        }
+        return dst;
+    }
+
+    // ============================================================
+    // UNSHARP MASK
+    // ============================================================
+
+    function gaussianBlur(imageData, sigma) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const radius = Math.max(1, Math.ceil(sigma * 2.5));
+
+        const kernel = new Float32Array(radius * 2 + 1);
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+            sum += kernel[i + radius];
+        }
+        for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+
+        const src = imageData.data;
+        const tmp = new Float32Array(w * h * 3);
+        const out = new Float32Array(w * h * 3);
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const idx = (y * w + Math.max(0, Math.min(w - 1, x + k))) * 4;
+                    const kw  = kernel[k + radius];
+                    r += src[idx] * kw; g += src[idx + 1] * kw; b += src[idx + 2] * kw;
+                }
+                const t = (y * w + x) * 3;
+                tmp[t] = r; tmp[t + 1] = g; tmp[t + 2] = b;
+            }
+        }
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const t  = (Math.max(0, Math.min(h - 1, y + k)) * w + x) * 3;
+                    const kw = kernel[k + radius];
+                    r += tmp[t] * kw; g += tmp[t + 1] * kw; b += tmp[t + 2] * kw;
+                }
+                const o = (y * w + x) * 3;
+                out[o] = r; out[o + 1] = g; out[o + 2] = b;
+            }
+        }
+
+        return out;
+    }
+
+    function unsharpMask(imageData, amount, radius, threshold) {
+        if (!amount || amount <= 0) return imageData;
+
+        const w    = imageData.width;
+        const h    = imageData.height;
+        const src  = imageData.data;
+        const blur = gaussianBlur(imageData, Math.max(0.3, radius || 1));
+
+        const dst = new ImageData(w, h);
+        const out = dst.data;
+
+        for (let i = 0, j = 0; i < src.length; i += 4, j += 3) {
+            for (let c = 0; c < 3; c++) {
+                const diff = src[i + c] - blur[j + c];
+                out[i + c] = Math.abs(diff) > threshold ? src[i + c] + amount * diff : src[i + c];
+            }
+            out[i + 3] = src[i + 3];
+        }
+        return dst;
+    }
+
+    // ============================================================
+    // REGISTRIES
+    // ============================================================
+    // Upscalers: fn(imageData, factor, config) -> ImageData
+    // Sharpeners: fn(imageData, config) -> ImageData
+
+    const METHODS = {
+        nearest:  upscaleNearest,
+        bilinear: function (src, factor) {
+            return resampleKernel(src, factor, triangleKernel, 1);
+        },
+        lanczos3: function (src, factor) {
+            return resampleKernel(src, factor, lanczos3Kernel, 3);
+        },
+        mitchell: function (src, factor, config) {
+            const B = (typeof config.MitchellB === 'number') ? config.MitchellB : 1/3;
+            const C = (typeof config.MitchellC === 'number') ? config.MitchellC : 1/3;
+            return resampleKernel(src, factor, makeMitchellKernel(B, C), 2);
+        },
+        epx: upscaleEPX,
+    };
+
+    const SHARPENERS = {
+        none:      function (imageData) { return imageData; },
+        luminance: function (imageData, config) {
+            return smartLuminanceSharpen(imageData, config.SharpenAmount || 1.2, config.NoiseThreshold || 12);
+        },
+        unsharp:   function (imageData, config) {
+            return unsharpMask(
+                imageData,
+                (typeof config.UnsharpAmount === 'number') ? config.UnsharpAmount : 0.8,
+                config.UnsharpRadius || 1.0,
+                config.UnsharpThreshold || 0
+            );
+        },
+    };
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+    root.Resample = {
+
+        /**
+         * Upscale, then sharpen
+         * @param {ImageData} imageData
+         * @param {number}    factor - Any factor from 1 to 8, need not be an integer
+         * @param {object}    config - Config.Upscale ({ Method, Sharpen, MitchellB, MitchellC, ... })
+         * @returns {ImageData}
+         */
+        upscale: function (imageData, factor, config) {
+            config = config || {};
+            factor = Math.max(1, Math.min(8, Number(factor) || 2));
+
+            const methodName  = METHODS[config.Method] ? config.Method : 'mitchell';
+            const sharpenName = SHARPENERS[config.Sharpen] ? config.Sharpen : 'luminance';
+
+            if (factor === 1) return imageData;
+
+            const result = METHODS[methodName](imageData, factor, config);
+            return SHARPENERS[sharpenName](result, config);
+        },
+
+        /**
+         * Run only the sharpening stage
+         * @param {ImageData} imageData
+         * @param {object}    config - { Sharpen, ... }
+         * @returns {ImageData}
+         */
+        sharpen: function (imageData, config) {
+            config = config || {};
+            const sharpener = SHARPENERS[config.Sharpen] || SHARPENERS.luminance;
+            return sharpener(imageData, config);
+        },
+
+        /**
+         * Add or replace an upscaling algorithm
+         * @param {string}   name
+         * @param {function} fn - (imageData, factor, config) -> ImageData
+         */
+        register: function (name, fn) {
+            METHODS[name] = fn;
+        },
+
+        /**
+         * Add or replace a sharpening stage
+         * @param {string}   name
+         * @param {function} fn - (imageData, config) -> ImageData
+         */
+        registerSharpener: function (name, fn) {
+            SHARPENERS[name] = fn;
+        },
+
+        methods: function () {
+            return Object.keys(METHODS);
+        },
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Resample;
+
+})(typeof self !== 'undefined' ? self : globalThis);
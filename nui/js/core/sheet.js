@@ -0,0 +1,100 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // LAYOUT
+    // ============================================================
+
+    /**
+     * Place equally sized cells on a grid, left to right, top to bottom
+     * @param {number} count
+     * @param {number} cellW
+     * @param {number} cellH
+     * @param {object} [o] - { columns (0 = one row), gap (px between cells) }
+     * @returns {{width: number, height: number, cells: Array<{x: number, y: number, width: number, height: number}>}}
+     */
+    function layout(count, cellW, cellH, o) {
+        o = o || {};
+
+        const columns = Math.max(1, Math.min(count, Math.round(o.columns) || count));
+        const rows    = Math.max(1, Math.ceil(count / columns));
+        const gap     = Math.max(0, Math.round(o.gap) || 0);
+
+        const cells = [];
+        for (let i = 0; i < count; i++) {
+            cells.push({
+                x:      (i % columns) * (cellW + gap),
+                y:      Math.floor(i / columns) * (cellH + gap),
+                width:  cellW,
+                height: cellH,
+            });
+        }
+
+        return {
+            width:  columns * cellW + (columns - 1) * gap,
+            height: rows * cellH + (rows - 1) * gap,
+            cells:  cells,
+        };
+    }
+
+    // ============================================================
+    // COMPOSE
+    // ============================================================
+
+    /**
+     * Size of the largest frame; every frame fits a cell of this size
+     * @param {ImageData[]} frames
+     * @returns {{width: number, height: number}}
+     */
+    function cellSize(frames) {
+        let width = 1, height = 1;
+        for (const frame of frames) {
+            if (frame.width  > width)  width  = frame.width;
+            if (frame.height > height) height = frame.height;
+        }
+        return { width: width, height: height };
+    }
+
+    /**
+     * Copy frames into their cells, each centred when smaller than the cell.
+     * Gaps and unused space stay transparent.
+     * @param {ImageData[]} frames
+     * @param {object}      grid - Result of layout()
+     * @returns {ImageData}
+     */
+    function compose(frames, grid) {
+        const dst  = new ImageData(grid.width, grid.height);
+        const out  = dst.data;
+        const rowW = grid.width * 4;
+
+        frames.forEach(function (frame, i) {
+            const cell = grid.cells[i];
+            const ox   = cell.x + Math.floor((cell.width  - frame.width)  / 2);
+            const oy   = cell.y + Math.floor((cell.height - frame.height) / 2);
+            const src  = frame.data;
+
+            for (let y = 0; y < frame.height; y++) {
+                const row = src.subarray(y * frame.width * 4, (y + 1) * frame.width * 4);
+                out.set(row, (oy + y) * rowW + ox * 4);
+            }
+        });
+
+        return dst;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Sheet = {
+        layout:   layout,
+        cellSize: cellSize,
+        compose:  compose,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Sheet;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,107 @@
+(function (root) {
+    'use strict';
+
+    // Pure pixel code: runs on the NUI page, in the pipeline worker and on the server.
+
+    // ============================================================
+    // FRAME STATISTICS
+    // ============================================================
+
+    /**
+     * Collect the numbers a capture is judged on. Luminance and variance are
+     * measured over opaque pixels (alpha >= 128) only.
+     * @param {ImageData} imageData
+     * @returns {{coverage: number, luminance: number, variance: number,
+     *            bounds: {x: number, y: number, width: number, height: number}|null, boxArea: number}}
+     */
+    function stats(imageData) {
+        const { data, width, height } = imageData;
+
+        let count = 0, sum = 0, sumSq = 0;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < 128) continue;
+
+                const l = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                sum   += l;
+                sumSq += l * l;
+                count++;
+
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+
+        const total = width * height;
+        const mean  = count ? sum / count : 0;
+        const box   = maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+
+        return {
+            coverage:  total ? count / total : 0,
+            luminance: mean,
+            variance:  count ? Math.max(0, sumSq / count - mean * mean) : 0,
+            bounds:    box,
+            boxArea:   box && total ? (box.width * box.height) / total : 0,
+        };
+    }
+
+    // ============================================================
+    // CHECK
+    // ============================================================
+
+    /**
+     * Judge a processed frame. Reason codes:
+     *   empty             - no pixels, or nothing opaque on an opaque capture
+     *   too_dark          - texture not streamed yet (black frame)
+     *   flat              - a solid fill, no detail
+     *   subject_lost      - segmentation removed (almost) the whole subject
+     *   subject_too_small - the remaining subject covers a tiny box
+     * @param {ImageData} imageData
+     * @param {object}    rules - { transparent, MinLuminance, MinVariance, MinCoverage, MinSubjectBox }
+     * @returns {{ok: boolean, reason: string|null, stats: object}}
+     */
+    function check(imageData, rules) {
+        rules = rules || {};
+
+        if (!imageData.width || !imageData.height) {
+            return { ok: false, reason: 'empty', stats: null };
+        }
+
+        const s    = stats(imageData);
+        const fail = function (reason) { return { ok: false, reason: reason, stats: s }; };
+
+        if (s.coverage === 0) {
+            return fail(rules.transparent ? 'subject_lost' : 'empty');
+        }
+        if (s.luminance < (rules.MinLuminance || 0)) {
+            return fail('too_dark');
+        }
+        if (s.variance < (rules.MinVariance || 0)) {
+            return fail('flat');
+        }
+        if (rules.transparent) {
+            if (s.coverage < (rules.MinCoverage || 0)) return fail('subject_lost');
+            if (s.boxArea  < (rules.MinSubjectBox || 0)) return fail('subject_too_small');
+        }
+
+        return { ok: true, reason: null, stats: s };
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.Validate = {
+        stats: stats,
+        check: check,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.Validate;
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,122 @@
+(function (root) {
+    'use strict';
+
+    // Pure byte code: runs on the NUI page, in the pipeline worker and on the server.
+    // Animated WebP muxer. The browser encodes each frame as a still WebP
+    // (canvas convertToBlob); this wraps their bitstreams into ANMF frames
+    // under one VP8X/ANIM header, so no codec has to ship with the resource.
+
+    // ============================================================
+    // RIFF CHUNKS
+    // ============================================================
+
+    /**
+     * Split a still WebP file into its chunks
+     * @param {Uint8Array} bytes
+     * @returns {Array<{fourcc: string, data: Uint8Array}>}
+     */
+    function readChunks(bytes) {
+        const tag = function (at) { return String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]); };
+
+        if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WEBP') {
+            throw new Error('Not a WebP file');
+        }
+
+        const chunks = [];
+        let pos = 12;
+        while (pos + 8 <= bytes.length) {
+            const size = bytes[pos + 4] | (bytes[pos + 5] << 8) | (bytes[pos + 6] << 16) | (bytes[pos + 7] << 24);
+            chunks.push({ fourcc: tag(pos), data: bytes.subarray(pos + 8, pos + 8 + size) });
+            pos += 8 + size + (size & 1);
+        }
+        return chunks;
+    }
+
+    /**
+     * Serialise one chunk, padded to an even length
+     * @param {string}              fourcc
+     * @param {Uint8Array|number[]} data
+     * @returns {Uint8Array}
+     */
+    function chunk(fourcc, data) {
+        const size = data.length;
+        const out  = new Uint8Array(8 + size + (size & 1));
+        for (let i = 0; i < 4; i++) out[i] = fourcc.charCodeAt(i);
+        out[4] = size & 0xff;
+        out[5] = (size >> 8) & 0xff;
+        out[6] = (size >> 16) & 0xff;
+        out[7] = (size >>> 24) & 0xff;
+        out.set(data, 8);
+        return out;
+    }
+
+    function u24(v) {
+        return [v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff];
+    }
+
+    function concat(parts) {
+        let length = 0;
+        for (const part of parts) length += part.length;
+        const out = new Uint8Array(length);
+        let pos = 0;
+        for (const part of parts) {
+            out.set(part, pos);
+            pos += part.length;
+        }
+        return out;
+    }
+
+    // ============================================================
+    // MUXER
+    // ============================================================
+
+    /**
+     * Combine still WebP frames of equal size into an animated WebP
+     * @param {Uint8Array[]} stills
+     * @param {object}       o - { width, height, delay (ms per frame), loop (0 = forever) }
+     * @returns {Uint8Array}
+     */
+    function assemble(stills, o) {
+        if (!stills.length) throw new Error('No frames to encode');
+
+        const duration = Math.max(1, Math.min(0xffffff, Math.round(o.delay || 100)));
+        let alpha = false;
+
+        const frames = stills.map(function (still) {
+            // Keep the bitstream (ALPH + VP8, or VP8L); drop VP8X and metadata
+            const parts = readChunks(still).filter(function (c) {
+                return c.fourcc === 'ALPH' || c.fourcc === 'VP8 ' || c.fourcc === 'VP8L';
+            });
+            if (!parts.some(function (c) { return c.fourcc !== 'ALPH'; })) {
+                throw new Error('WebP frame has no image data');
+            }
+            if (parts.some(function (c) { return c.fourcc !== 'VP8 '; })) alpha = true;
+
+            // Frame at 0,0 covering the canvas; no blending, dispose to background
+            const header = [].concat(u24(0), u24(0), u24(o.width - 1), u24(o.height - 1), u24(duration), [0x03]);
+            return chunk('ANMF', concat([Uint8Array.from(header)].concat(parts.map(function (c) {
+                return chunk(c.fourcc, c.data);
+            }))));
+        });
+
+        const vp8x = chunk('VP8X', [].concat([(alpha ? 0x10 : 0) | 0x02, 0, 0, 0], u24(o.width - 1), u24(o.height - 1)));
+        const loop = Math.max(0, Math.min(0xffff, o.loop || 0));
+        const anim = chunk('ANIM', [0, 0, 0, 0, loop & 0xff, loop >> 8]);
+
+        const body = concat([Uint8Array.from([0x57, 0x45, 0x42, 0x50]), vp8x, anim].concat(frames));
+        return chunk('RIFF', body);
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    root.WebPAnim = {
+        assemble:   assemble,
+        readChunks: readChunks,
+    };
+
+    // CommonJS (server/process.js, Node)
+    if (typeof module === 'object' && module.exports) module.exports = root.WebPAnim;
+
+})(typeof self !== 'undefined' ? self : globalThis);
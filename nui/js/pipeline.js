@@ -0,0 +1,110 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // WORKER CLIENT
+    // ============================================================
+    // Main-thread side of js/worker.js. Every call gets an ID and a
+    // promise that settles when the worker replies with the same ID.
+    // Calls can carry a tag (the capture message id) to be aborted by.
+
+    let worker  = null;
+    let nextId  = 0;
+    const pending = {};
+
+    function rejectAll(message) {
+        for (const id in pending) {
+            pending[id].reject(new Error(message));
+            delete pending[id];
+        }
+    }
+
+    function getWorker() {
+        if (worker) return worker;
+
+        worker = new Worker('js/worker.js');
+
+        worker.addEventListener('message', function (event) {
+            const { id, result, error, code, progress } = event.data;
+            const entry = pending[id];
+            if (!entry) return;
+
+            if (progress) {
+                if (entry.onProgress) entry.onProgress(progress);
+                return;
+            }
+
+            delete pending[id];
+            if (error) {
+                const err = new Error(error);
+                if (code) err.code = code;
+                entry.reject(err);
+            } else {
+                entry.resolve(result);
+            }
+        });
+
+        worker.addEventListener('error', function (event) {
+            console.error('[Pipeline] Worker error:', event.message);
+            rejectAll('Pipeline worker crashed: ' + event.message);
+            worker.terminate();
+            worker = null;
+        });
+
+        return worker;
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    window.Pipeline = {
+
+        /**
+         * Run an operation in the pipeline worker
+         * @param {string} op       - 'segment' | 'upscale' | 'process'
+         * @param {object} payload  - Operation arguments
+         * @param {Transferable[]} [transfer] - Buffers/bitmaps handed over to the worker
+         * @param {function(string)} [onProgress] - Called with each stage name as it finishes
+         * @param {*} [tag] - Pipeline.abort(tag) stops the call
+         * @returns {Promise<any>}
+         */
+        run: function (op, payload, transfer, onProgress, tag) {
+            const id = ++nextId;
+            return new Promise(function (resolve, reject) {
+                pending[id] = { resolve: resolve, reject: reject, onProgress: onProgress || null, tag: tag };
+                try {
+                    getWorker().postMessage({ id: id, op: op, payload: payload }, transfer || []);
+                } catch (err) {
+                    delete pending[id];
+                    reject(err);
+                }
+            });
+        },
+
+        /**
+         * Abort every call made with `tag`: their promises reject with code
+         * 'aborted' at once, and the worker stops them at its next stage
+         * @param {*} tag
+         */
+        abort: function (tag) {
+            if (tag === undefined) return;
+
+            const ids = [];
+            for (const id in pending) {
+                if (pending[id].tag !== tag) continue;
+
+                const err = new Error('Capture aborted');
+                err.code  = 'aborted';
+                pending[id].reject(err);
+                delete pending[id];
+                ids.push(Number(id));
+            }
+
+            if (ids.length > 0 && worker) {
+                worker.postMessage({ id: ++nextId, op: 'abort', payload: { ids: ids } });
+            }
+        },
+    };
+
+})();
@@ -0,0 +1,230 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // PREVIEW PANEL
+    // ============================================================
+    // Visible panel for admins and booking officers: shows the processed
+    // result next to the raw headshot, lets the operator toggle options and
+    // re-render, then accept or retake. Source textures are copied into a
+    // canvas per props/mask variant, so toggling anything else re-renders
+    // without a new headshot. Lua is only asked for a new source when a
+    // props/mask combination has not been shot yet, or on retake.
+
+    const panel   = document.getElementById('preview');
+    const title   = document.getElementById('previewTitle');
+    const before  = document.getElementById('previewBefore');
+    const after   = document.getElementById('previewAfter');
+    const split   = document.getElementById('previewSplit');
+    const status  = document.getElementById('previewStatus');
+    const accept  = document.getElementById('previewAccept');
+    const toggles = panel.querySelectorAll('input[data-toggle]');
+
+    let session     = null;   // { message, toggles, adjustDefaults, sources, pending, result }
+    let renderToken = 0;
+
+    function post(name, data) {
+        return fetch('https://' + GetParentResourceName() + '/' + name, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify(data || {}),
+        }).catch(function (err) {
+            console.error('[Preview] Failed to reach Lua:', err);
+        });
+    }
+
+    function setStatus(text) {
+        status.textContent = text || '';
+    }
+
+    function variantKey(t) {
+        return (t.removeProps ? 'p' : '-') + (t.removeMask ? 'm' : '-');
+    }
+
+    /**
+     * Copy a loaded texture into a canvas so it outlives the headshot handle
+     * @param {HTMLImageElement} img
+     * @returns {HTMLCanvasElement}
+     */
+    function snapshot(img) {
+        const canvas  = document.createElement('canvas');
+        canvas.width  = img.naturalWidth  || img.width  || 128;
+        canvas.height = img.naturalHeight || img.height || 128;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return canvas;
+    }
+
+    // ============================================================
+    // RENDER
+    // ============================================================
+
+    function requestSource(retake) {
+        setStatus('Capturing headshot...');
+        accept.disabled = true;
+
+        // One headshot per variant in flight, however often the toggles change
+        const key = variantKey(session.toggles);
+        if (session.pending.has(key) && !retake) return;
+        session.pending.add(key);
+
+        post('previewRequestSource', {
+            removeProps: session.toggles.removeProps,
+            removeMask:  session.toggles.removeMask,
+            retake:      retake === true,
+        });
+    }
+
+    async function render() {
+        const source = session.sources.get(variantKey(session.toggles));
+        if (!source) {
+            requestSource(false);
+            return;
+        }
+
+        const token   = ++renderToken;
+        const options = window.Capture.readOptions(session.message);
+        options.transparent = session.toggles.transparent;
+        options.upscale     = session.toggles.upscale;
+        options.adjust      = session.toggles.adjust ? session.adjustDefaults : null;
+
+        before.src      = source.toDataURL('image/png');
+        accept.disabled = true;
+        setStatus('Rendering...');
+
+        const result = await window.Capture.process(source, options, session.message.config || {});
+        if (!session || token !== renderToken) return;
+
+        if (result.error) {
+            setStatus(result.error);
+            return;
+        }
+
+        session.result  = result;
+        after.src       = result.base64;
+        accept.disabled = false;
+        setStatus(result.backend && result.backend !== 'none' ? 'Background: ' + result.backend : '');
+    }
+
+    // ============================================================
+    // OPEN / CLOSE
+    // ============================================================
+
+    function open(msg) {
+        session = {
+            message:        msg,
+            toggles:        Object.assign({}, msg.toggles),
+            adjustDefaults: msg.adjustDefaults || {},
+            sources:        new Map(),
+            pending:        new Set([variantKey(msg.toggles || {})]),
+            result:         null,
+        };
+
+        title.textContent = msg.title || 'Mugshot preview';
+        for (const input of toggles) {
+            input.checked = !!session.toggles[input.dataset.toggle];
+        }
+        before.removeAttribute('src');
+        after.removeAttribute('src');
+        split.value = 50;
+        after.style.clipPath = 'inset(0 0 0 50%)';
+        accept.disabled = true;
+        setStatus('Capturing headshot...');
+
+        panel.classList.add('open');
+    }
+
+    function close() {
+        session = null;
+        renderToken++;
+        panel.classList.remove('open');
+    }
+
+    function finish(accepted) {
+        if (!session) return;
+        const base64 = accepted && session.result ? session.result.base64 : null;
+        const hash   = accepted && session.result ? session.result.hash   : null;
+        const phash  = accepted && session.result ? session.result.phash  : null;
+        close();
+
+        const transfer = window.Transfer.offer(base64);
+        window.Transfer.post('previewDone', {
+            accepted: !!base64,
+            base64:   transfer ? null : base64,
+            transfer: transfer,
+            hash:     hash,
+            phash:    phash,
+        }, [transfer]).catch(function (err) {
+            console.error('[Preview] Failed to reach Lua:', err);
+        });
+    }
+
+    // ============================================================
+    // MESSAGES FROM LUA
+    // ============================================================
+
+    window.addEventListener('message', function (event) {
+        const msg = event.data;
+
+        if (msg.action === 'previewOpen') {
+            open(msg);
+            return;
+        }
+
+        if (msg.action === 'previewClose') {
+            close();
+            return;
+        }
+
+        if (msg.action === 'previewSource') {
+            if (!session) {
+                post('previewLoaded', { id: msg.id, ok: false });
+                return;
+            }
+            window.Capture.loadTexture(msg.txd).then(function (img) {
+                // Copy the pixels before Lua unregisters the headshot
+                const source = snapshot(img);
+                post('previewLoaded', { id: msg.id, ok: true });
+                if (!session) return;
+                session.pending.delete(msg.variant);
+                session.sources.set(msg.variant, source);
+                if (msg.variant === variantKey(session.toggles)) render();
+            }, function (err) {
+                post('previewLoaded', { id: msg.id, ok: false });
+                if (!session) return;
+                session.pending.delete(msg.variant);
+                setStatus(err.message);
+            });
+        }
+    });
+
+    // ============================================================
+    // CONTROLS
+    // ============================================================
+
+    for (const input of toggles) {
+        input.addEventListener('change', function () {
+            if (!session) return;
+            session.toggles[input.dataset.toggle] = input.checked;
+            render();
+        });
+    }
+
+    split.addEventListener('input', function () {
+        after.style.clipPath = 'inset(0 0 0 ' + split.value + '%)';
+    });
+
+    accept.addEventListener('click', function () { finish(true); });
+
+    document.getElementById('previewRetake').addEventListener('click', function () {
+        if (!session) return;
+        session.sources.delete(variantKey(session.toggles));
+        requestSource(true);
+    });
+
+    document.getElementById('previewCancel').addEventListener('click', function () { finish(false); });
+
+    window.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') finish(false);
+    });
+
+})();
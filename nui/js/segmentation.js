@@ -1,17 +1,108 @@
 (function () {
     'use strict';
 
-    let bodyPixNet    = null;
+    let aiNet         = null;
+    let aiBackend     = null;
     let aiAvailable   = false;
     let aiLoading     = false;
     let aiLoadPromise = null;
 
+    // ============================================================
+    // BODY PART GROUPS (BodyPix segmentPersonParts)
+    // ============================================================
+
+    const PART_GROUPS = {
+        head:  [0, 1],
+        torso: [12, 13],
+        arms:  [2, 3, 4, 5, 6, 7, 8, 9],
+        hands: [10, 11],
+        legs:  [14, 15, 16, 17, 18, 19, 20, 21],
+        feet:  [22, 23],
+    };
+
+    /**
+     * Resolve part group names / numeric part IDs to a lookup table
+     * @param {Array<string|number>} parts
+     * @returns {Uint8Array} keep[partId + 1] === 1 for kept parts (-1 = background)
+     */
+    function partLookup(parts) {
+        const keep = new Uint8Array(25);
+        for (const part of parts) {
+            const ids = PART_GROUPS[part] || (typeof part === 'number' ? [part] : []);
+            for (const id of ids) keep[id + 1] = 1;
+        }
+        return keep;
+    }
+
+    // ============================================================
+    // BACKENDS
+    // ============================================================
+    // load(aiConfig, modelUrl) -> model
+    // segment(model, canvas, aiConfig) -> per-pixel array, truthy = person
+    // Only models shipped in nui/models (and listed in fxmanifest files) get
+    // an entry here.
+
+    const BACKENDS = {
+        'bodypix-mobilenet': {
+            defaultUrl: './models/bodypix/model-stride16.json',
+
+            load: function (aiConfig, modelUrl) {
+                if (typeof bodyPix === 'undefined') {
+                    throw new Error('BodyPix not found');
+                }
+                return bodyPix.load({
+                    architecture: 'MobileNetV1',
+                    outputStride: aiConfig.OutputStride || 16,
+                    multiplier:   aiConfig.Multiplier   || 0.75,
+                    quantBytes:   aiConfig.QuantBytes   || 2,
+                    modelUrl:     modelUrl,
+                });
+            },
+
+            segment: async function (net, canvas, aiConfig) {
+                const params = {
+                    flipHorizontal:        false,
+                    internalResolution:    aiConfig.InternalResolution || 'medium',
+                    segmentationThreshold: aiConfig.SegThreshold       || 0.4,
+                };
+
+                if (!aiConfig.Parts || aiConfig.Parts.length === 0) {
+                    return (await net.segmentPerson(canvas, params)).data;
+                }
+
+                const keep = partLookup(aiConfig.Parts);
+                const map  = (await net.segmentPersonParts(canvas, params)).data;
+                const mask = new Uint8Array(map.length);
+                for (let i = 0; i < map.length; i++) {
+                    mask[i] = keep[map[i] + 1];
+                }
+                return mask;
+            },
+        },
+    };
+
+    /**
+     * Models must be served from nui/models so segmentation works offline
+     * @param {object} aiConfig
+     * @param {object} backend
+     * @returns {string}
+     */
+    function resolveModelUrl(aiConfig, backend) {
+        const url = aiConfig.ModelUrl || backend.defaultUrl;
+        if (!/^(\.\/)?models\//.test(url)) {
+            throw new Error('ModelUrl must be a local path under nui/models/: ' + url);
+        }
+        return url;
+    }
+
     // ============================================================
     // AI MODEL LOADER
     // ============================================================
 
     async function loadAIModel(aiConfig) {
-        if (aiAvailable && bodyPixNet) return true;
+        const name = aiConfig.Backend || 'bodypix-mobilenet';
+
+        if (aiAvailable && aiNet && aiBackend === name) return true;
         if (aiLoading && aiLoadPromise) return aiLoadPromise;
 
         aiLoading = true;
@@ -25,27 +116,30 @@
                     return;
                 }
 
-                if (typeof bodyPix === 'undefined') {
-                    console.warn('BodyPix not found');
-                    aiLoading = false;
-                    resolve(false);
-                    return;
+                const backend = BACKENDS[name];
+                if (!backend) {
+                    throw new Error('Unknown segmentation backend: ' + name);
                 }
 
-                bodyPixNet = await bodyPix.load({
-                    architecture: aiConfig.Architecture || 'MobileNetV1',
-                    outputStride: aiConfig.OutputStride || 16,
-                    multiplier:   aiConfig.Multiplier   || 0.75,
-                    quantBytes:   2,
-                    modelUrl:     aiConfig.ModelUrl || './models/bodypix/model-stride16.json'
-                });
-
+                aiNet       = await backend.load(aiConfig, resolveModelUrl(aiConfig, backend));
+                aiBackend   = name;
                 aiAvailable = true;
-                aiLoading   = false;
+
+                // First inference compiles the WebGL shaders; do it now, not during a capture
+                if (aiConfig.WarmUp !== false) {
+                    const blank = document.createElement('canvas');
+                    blank.width  = 64;
+                    blank.height = 64;
+                    await backend.segment(aiNet, blank, aiConfig);
+                }
+
+                aiLoading = false;
                 resolve(true);
 
             } catch (err) {
-                console.error('BodyPix load failed:', err);
+                console.error('Segmentation backend load failed (' + name + '):', err);
+                aiNet       = null;
+                aiBackend   = null;
                 aiAvailable = false;
                 aiLoading   = false;
                 resolve(false);
@@ -56,32 +150,24 @@
     }
 
     // ============================================================
-    // AI SEGMENTATION (BodyPix)
+    // AI SEGMENTATION
     // ============================================================
 
     async function aiRemoveBackground(canvas, aiConfig) {
-        if (!aiAvailable || !bodyPixNet) return null;
+        if (!aiAvailable || !aiNet) return null;
 
         try {
             const ctx = canvas.getContext('2d');
             const w   = canvas.width;
             const h   = canvas.height;
 
-            const segmentation = await bodyPixNet.segmentPerson(canvas, {
-                flipHorizontal:        false,
-                internalResolution:    aiConfig.InternalResolution || 'medium',
-                segmentationThreshold: aiConfig.SegThreshold       || 0.4,
-            });
-
-            const map       = segmentation.data;
+            const map       = await BACKENDS[aiBackend].segment(aiNet, canvas, aiConfig);
             const imageData = ctx.getImageData(0, 0, w, h);
             const imgData   = imageData.data;
 
             const newImg     = ctx.createImageData(w, h);
             const newImgData = newImg.data;
 
-            let personCount = 0;
-
             for (let i = 0; i < map.length; i++) {
                 const idx = i * 4;
 
@@ -90,7 +176,6 @@
                     newImgData[idx + 1] = imgData[idx + 1];
                     newImgData[idx + 2] = imgData[idx + 2];
                     newImgData[idx + 3] = imgData[idx + 3];
-                    personCount++;
                 } else {
                     newImgData[idx]     = 255;
                     newImgData[idx + 1] = 255;
@@ -101,7 +186,7 @@
 
 
             if (aiConfig.SmoothEdges) {
-                smoothEdges(newImgData, w, h, aiConfig.SmoothRadius || 2);
+                window.ColorKey.smoothEdges(newImgData, w, h, aiConfig.SmoothRadius || 2);
             }
 
             return newImg;
@@ -113,192 +198,16 @@
     }
 
     // ============================================================
-    // EDGE SMOOTHING
+    // COLOR-BASED BACKGROUND REMOVAL (Fallback, runs in the worker)
     // ============================================================
 
-    function smoothEdges(imgData, w, h, radius) {
-        const isEdge = new Uint8Array(w * h);
-
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
-                const idx   = y * w + x;
-                const alpha = imgData[idx * 4 + 3];
-
-                if (alpha === 0) continue;
-
-                const neighbors = [
-                    imgData[((y - 1) * w + x) * 4 + 3],
-                    imgData[((y + 1) * w + x) * 4 + 3],
-                    imgData[(y * w + x - 1) * 4 + 3],
-                    imgData[(y * w + x + 1) * 4 + 3],
-                ];
-
-                if (neighbors.some(n => n === 0)) {
-                    isEdge[idx] = 1;
-                }
-            }
-        }
-
-        for (let y = 0; y < h; y++) {
-            for (let x = 0; x < w; x++) {
-                const idx = y * w + x;
-                if (!isEdge[idx]) continue;
-
-                let alphaSum = 0;
-                let count    = 0;
-
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        const nx = x + kx;
-                        const ny = y + ky;
-                        if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
-
-                        alphaSum += imgData[(ny * w + nx) * 4 + 3];
-                        count++;
-                    }
-                }
-
-                imgData[idx * 4 + 3] = Math.round(alphaSum / count);
-            }
-        }
-    }
-
-    // ============================================================
-    // COLOR-BASED BACKGROUND REMOVAL (Fallback)
-    // ============================================================
-
-    function detectBackgroundColor(imageData) {
-        const { data, width, height } = imageData;
-        const samples = [];
-
-        const points = [
-            [2, 2],
-            [width - 3, 2],
-            [Math.floor(width / 4), 2],
-            [Math.floor(width / 2), 2],
-            [Math.floor((width * 3) / 4), 2],
-            [2, Math.floor(height / 4)],
-            [width - 3, Math.floor(height / 4)],
-        ];
-
-        for (const [sx, sy] of points) {
-            for (let dy = -2; dy <= 2; dy++) {
-                for (let dx = -2; dx <= 2; dx++) {
-                    const x   = Math.max(0, Math.min(width - 1, sx + dx));
-                    const y   = Math.max(0, Math.min(height - 1, sy + dy));
-                    const idx = (y * width + x) * 4;
-                    samples.push({ r: data[idx], g: data[idx + 1], b: data[idx + 2] });
-                }
-            }
-        }
-
-        let tr = 0, tg = 0, tb = 0;
-        for (const s of samples) { tr += s.r; tg += s.g; tb += s.b; }
-        const c = samples.length;
-        return { r: Math.round(tr / c), g: Math.round(tg / c), b: Math.round(tb / c) };
-    }
-
-
-    function colorDistance(r1, g1, b1, r2, g2, b2) {
-        const dr = r1 - r2, dg = g1 - g2, db = b1 - b2;
-        return Math.sqrt(dr * dr + dg * dg + db * db);
-    }
-
-    function colorRemoveBackground(imageData, config) {
-        const { data, width, height } = imageData;
-
-        let bg;
-        if (config.TargetR !== undefined && config.TargetG !== undefined && config.TargetB !== undefined) {
-            bg = { r: config.TargetR, g: config.TargetG, b: config.TargetB };
-        } else {
-            bg = detectBackgroundColor(imageData);
-        }
-
-        const tolerance = config.Tolerance || 45;
-
-        const newImg     = new ImageData(width, height);
-        const newImgData = newImg.data;
-
-        const alphaMap = new Float32Array(width * height);
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx  = (y * width + x) * 4;
-                const dist = colorDistance(
-                    data[idx], data[idx + 1], data[idx + 2],
-                    bg.r, bg.g, bg.b
-                );
-
-                if (dist < tolerance * 0.5) {
-                    alphaMap[y * width + x] = 0.0;
-                } else if (dist < tolerance) {
-                    alphaMap[y * width + x] = (dist - tolerance * 0.5) / (tolerance * 0.5);
-                } else {
-                    alphaMap[y * width + x] = 1.0;
-                }
-            }
-        }
-
-        const isBackground = new Uint8Array(width * height);
-        const visited      = new Uint8Array(width * height);
-        const queue        = [];
-
-        for (let x = 0; x < width; x++) {
-            if (alphaMap[x] < 0.5) { queue.push(x); visited[x] = 1; }
-            const bi = (height - 1) * width + x;
-            if (alphaMap[bi] < 0.5) { queue.push(bi); visited[bi] = 1; }
-        }
-
-        for (let y = 1; y < height - 1; y++) {
-            const li = y * width;
-            if (alphaMap[li] < 0.5) { queue.push(li); visited[li] = 1; }
-            const ri = y * width + (width - 1);
-            if (alphaMap[ri] < 0.5) { queue.push(ri); visited[ri] = 1; }
-        }
-
-        let head = 0;
-        while (head < queue.length) {
-            const pos = queue[head++];
-            isBackground[pos] = 1;
-            const px = pos % width;
-            const py = Math.floor(pos / width);
-
-            const dirs = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-            for (const [ddx, ddy] of dirs) {
-                const nx = px + ddx, ny = py + ddy;
-                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-                const ni = ny * width + nx;
-                if (visited[ni] || alphaMap[ni] >= 0.8) continue;
-                visited[ni] = 1;
-                queue.push(ni);
-            }
-        }
-
-        let bgCount = 0;
-        for (let i = 0; i < width * height; i++) {
-            const idx = i * 4;
-
-            if (isBackground[i]) {
-                newImgData[idx]     = 255;
-                newImgData[idx + 1] = 255;
-                newImgData[idx + 2] = 255;
-                newImgData[idx + 3] = 0;
-                bgCount++;
-            } else {
-                newImgData[idx]     = data[idx];
-                newImgData[idx + 1] = data[idx + 1];
-                newImgData[idx + 2] = data[idx + 2];
-                newImgData[idx + 3] = 255; 
-            }
-        }
-
-        if (config.SmoothEdges !== false) {
-            smoothEdges(newImgData, width, height, config.SmoothRadius || 1);
-        }
-
-        const percent = ((bgCount / (width * height)) * 100).toFixed(1);
-
-        return newImg;
+    async function colorRemoveBackground(canvas, config) {
+        const ctx       = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return window.Pipeline.run('segment', {
+            imageData: imageData,
+            config:    config || {},
+        }, [imageData.data.buffer]);
     }
 
     // ============================================================
@@ -318,6 +227,18 @@
             return aiAvailable;
         },
 
+        /**
+         * Name of the loaded AI backend, or null
+         * @returns {string|null}
+         */
+        backend: function () {
+            return aiBackend;
+        },
+
+        backends: function () {
+            return Object.keys(BACKENDS);
+        },
+
         process: async function (canvas, config) {
             const aiConfig  = config.ai           || {};
             const colorConf = config.transparency || {};
@@ -326,8 +247,7 @@
             let result = null;
 
             if (!aiConfig.Enabled) {
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                result = colorRemoveBackground(imageData, colorConf);
+                result = await colorRemoveBackground(canvas, colorConf);
                 ctx.putImageData(result, 0, 0);
                 return result;
             }
@@ -344,8 +264,7 @@
             }
 
             if (aiConfig.FallbackOnFail !== false) {
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                result = colorRemoveBackground(imageData, colorConf);
+                result = await colorRemoveBackground(canvas, colorConf);
                 ctx.putImageData(result, 0, 0);
                 return result;
             }
@@ -358,10 +277,8 @@
             return aiRemoveBackground(canvas, aiConfig);
         },
 
-        colorRemove: function (canvas, config) {
-            const ctx       = canvas.getContext('2d');
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            return colorRemoveBackground(imageData, config);
+        colorRemove: async function (canvas, config) {
+            return colorRemoveBackground(canvas, config);
         },
     };
 
@@ -0,0 +1,252 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // PERSISTENT MUGSHOT CACHE (IndexedDB)
+    // ============================================================
+    // Survives reconnects and resource restarts, unlike the Lua cache.
+    //   mugshots: { key, hash, options, contentHash, phash, createdAt, lastAccess }
+    //   images:   { contentHash, blob, bytes, refs }
+    // Records point at images by content hash, so identical outputs for
+    // different keys are stored once. Least recently used records are
+    // evicted once the stored image bytes pass MaxBytes; records older
+    // than MaxAge are dropped on read.
+
+    const DB_NAME    = 'ayc-mugshot';
+    const DB_VERSION = 2;
+    const RECORDS    = 'mugshots';
+    const IMAGES     = 'images';
+
+    let dbPromise  = null;
+    let totalBytes = 0;
+    let settings   = { Enabled: true, MaxBytes: 64 * 1024 * 1024, MaxAge: 7 * 24 * 3600 * 1000 };
+
+    const counters = { hits: 0, misses: 0, puts: 0, evictions: 0, deduplicated: 0 };
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<any>}
+     */
+    function done(request) {
+        return new Promise(function (resolve, reject) {
+            request.onsuccess = function () { resolve(request.result); };
+            request.onerror   = function () { reject(request.error); };
+        });
+    }
+
+    /**
+     * Open the database once and sum the stored image sizes
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDB() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise(function (resolve, reject) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function () {
+                const db = request.result;
+
+                // Version 1 kept a blob per record; it is only a cache, so start over
+                for (const name of Array.from(db.objectStoreNames)) db.deleteObjectStore(name);
+
+                const records = db.createObjectStore(RECORDS, { keyPath: 'key' });
+                records.createIndex('lastAccess', 'lastAccess');
+                records.createIndex('hash', 'hash');
+                db.createObjectStore(IMAGES, { keyPath: 'contentHash' });
+            };
+            request.onsuccess = function () { resolve(request.result); };
+            request.onerror   = function () { reject(request.error); };
+        }).then(async function (db) {
+            totalBytes = 0;
+            const images = await done(db.transaction(IMAGES).objectStore(IMAGES).getAll());
+            for (const image of images) totalBytes += image.bytes || 0;
+            return db;
+        }).catch(function (err) {
+            console.warn('[MugshotStore] IndexedDB unavailable:', err && err.message);
+            dbPromise = null;
+            throw err;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Drop one reference to an image, deleting it when nothing points at it
+     * @param {IDBObjectStore} images
+     * @param {string}         contentHash
+     */
+    async function unref(images, contentHash) {
+        const image = await done(images.get(contentHash));
+        if (!image) return;
+
+        image.refs--;
+        if (image.refs > 0) {
+            await done(images.put(image));
+            return;
+        }
+        await done(images.delete(contentHash));
+        totalBytes -= image.bytes || 0;
+    }
+
+    /**
+     * Delete a record and release its image
+     * @param {IDBDatabase} db
+     * @param {object}      record
+     */
+    async function removeRecord(db, record) {
+        const tx = db.transaction([RECORDS, IMAGES], 'readwrite');
+        await done(tx.objectStore(RECORDS).delete(record.key));
+        await unref(tx.objectStore(IMAGES), record.contentHash);
+    }
+
+    /**
+     * Delete least recently used records until the images fit MaxBytes
+     * @param {IDBDatabase} db
+     */
+    async function evict(db) {
+        while (totalBytes > settings.MaxBytes) {
+            const cursor = await done(
+                db.transaction(RECORDS).objectStore(RECORDS).index('lastAccess').openCursor()
+            );
+            if (!cursor) break;
+
+            await removeRecord(db, cursor.value);
+            counters.evictions++;
+        }
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    window.MugshotStore = {
+
+        /**
+         * Apply Config.Cache.Persistent settings
+         * @param {object} config - { Enabled, MaxBytes, MaxAge }
+         */
+        configure: function (config) {
+            settings = Object.assign({}, settings, config || {});
+        },
+
+        enabled: function () {
+            return settings.Enabled !== false && typeof indexedDB !== 'undefined';
+        },
+
+        /**
+         * Look up a record and mark it as recently used
+         * @param {string} key
+         * @returns {Promise<object|null>} The record plus its `blob`, or null when missing or expired
+         */
+        get: async function (key) {
+            if (!this.enabled()) return null;
+
+            const db     = await openDB();
+            const tx     = db.transaction([RECORDS, IMAGES], 'readwrite');
+            const record = await done(tx.objectStore(RECORDS).get(key));
+            const now    = Date.now();
+
+            if (!record) {
+                counters.misses++;
+                return null;
+            }
+
+            if (settings.MaxAge && now - record.createdAt > settings.MaxAge) {
+                await done(tx.objectStore(RECORDS).delete(key));
+                await unref(tx.objectStore(IMAGES), record.contentHash);
+                counters.misses++;
+                return null;
+            }
+
+            const image = await done(tx.objectStore(IMAGES).get(record.contentHash));
+            if (!image) {
+                await done(tx.objectStore(RECORDS).delete(key));
+                counters.misses++;
+                return null;
+            }
+
+            record.lastAccess = now;
+            await done(tx.objectStore(RECORDS).put(record));
+            counters.hits++;
+            return Object.assign({ blob: image.blob }, record);
+        },
+
+        /**
+         * Store an encoded image
+         * @param {string} key
+         * @param {Blob}   blob
+         * @param {object} [meta] - { hash, options, contentHash, phash }
+         * @returns {Promise<void>}
+         */
+        put: async function (key, blob, meta) {
+            if (!this.enabled() || !blob) return;
+            meta = meta || {};
+
+            const db          = await openDB();
+            const now         = Date.now();
+            const contentHash = meta.contentHash || ('key:' + key);
+
+            const tx       = db.transaction([RECORDS, IMAGES], 'readwrite');
+            const records  = tx.objectStore(RECORDS);
+            const images   = tx.objectStore(IMAGES);
+            const previous = await done(records.get(key));
+
+            if (!previous || previous.contentHash !== contentHash) {
+                const image = await done(images.get(contentHash));
+                if (image) {
+                    image.refs++;
+                    await done(images.put(image));
+                    counters.deduplicated++;
+                } else {
+                    await done(images.put({ contentHash: contentHash, blob: blob, bytes: blob.size, refs: 1 }));
+                    totalBytes += blob.size;
+                }
+                if (previous) await unref(images, previous.contentHash);
+            }
+
+            await done(records.put({
+                key:         key,
+                hash:        meta.hash || null,
+                options:     meta.options || null,
+                contentHash: contentHash,
+                phash:       meta.phash || null,
+                createdAt:   now,
+                lastAccess:  now,
+            }));
+            counters.puts++;
+
+            await evict(db);
+        },
+
+        /**
+         * Remove every record and image
+         * @returns {Promise<void>}
+         */
+        clear: async function () {
+            if (!this.enabled()) return;
+            const db = await openDB();
+            const tx = db.transaction([RECORDS, IMAGES], 'readwrite');
+            await done(tx.objectStore(RECORDS).clear());
+            await done(tx.objectStore(IMAGES).clear());
+            totalBytes = 0;
+        },
+
+        /**
+         * @returns {Promise<{entries: number, images: number, bytes: number, maxBytes: number,
+         *                    hits: number, misses: number, puts: number, evictions: number, deduplicated: number}>}
+         */
+        stats: async function () {
+            if (!this.enabled()) {
+                return Object.assign({ entries: 0, images: 0, bytes: 0, maxBytes: 0 }, counters);
+            }
+            const db      = await openDB();
+            const tx      = db.transaction([RECORDS, IMAGES]);
+            const entries = await done(tx.objectStore(RECORDS).count());
+            const images  = await done(tx.objectStore(IMAGES).count());
+            return Object.assign({ entries: entries, images: images, bytes: totalBytes, maxBytes: settings.MaxBytes }, counters);
+        },
+    };
+
+})();
@@ -0,0 +1,161 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // CHUNKED TRANSFER TO LUA
+    // ============================================================
+    // Results bigger than Config.Transfer.ChunkSize do not travel inline:
+    // the message carries a header { tid, size, count } in place of the
+    // value and the chunks follow as numbered 'transferChunk' callbacks,
+    // each with its CRC32. Lua reassembles them, asks for missing or
+    // corrupt chunks with 'transferResend' and frees them with 'transferDone'.
+
+    let settings = {
+        ChunkSize:  65536,
+        Timeout:    10000,
+        MaxResends: 3,
+    };
+
+    const outgoing = new Map();   // tid -> { value, count, timer }
+    let nextTid    = 0;
+
+    // ============================================================
+    // CRC32
+    // ============================================================
+
+    const CRC_TABLE = (function () {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * CRC32 of a base64 / ASCII string (one byte per char, as Lua sees it)
+     * @param {string} text
+     * @returns {number}
+     */
+    function crc32(text) {
+        let c = 0xffffffff;
+        for (let i = 0; i < text.length; i++) c = CRC_TABLE[(c ^ text.charCodeAt(i)) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
+    // ============================================================
+    // SENDING
+    // ============================================================
+
+    function postJson(name, body) {
+        return fetch('https://' + GetParentResourceName() + '/' + name, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify(body),
+        });
+    }
+
+    /**
+     * Post chunks of an offered value, in order, one callback each
+     * @param {number}   tid
+     * @param {number[]} indices - 1-based chunk numbers
+     */
+    async function sendChunks(tid, indices) {
+        const entry = outgoing.get(tid);
+        if (!entry) return;
+
+        for (const index of indices) {
+            const start = (index - 1) * settings.ChunkSize;
+            const data  = entry.value.slice(start, start + settings.ChunkSize);
+            if (data === '') continue;
+            await postJson('transferChunk', { tid: tid, index: index, data: data, crc: crc32(data) });
+        }
+    }
+
+    /**
+     * Forget a value; Lua has it, gave up, or never asked again
+     * @param {number} tid
+     */
+    function release(tid) {
+        const entry = outgoing.get(tid);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        outgoing.delete(tid);
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    window.Transfer = {
+
+        crc32: crc32,
+
+        /**
+         * Apply Config.Transfer (sent with the init message)
+         * @param {object} config
+         */
+        configure: function (config) {
+            settings = Object.assign({}, settings, config || {});
+        },
+
+        /**
+         * Register a value too big to send inline
+         * @param {string|null} value
+         * @returns {object|null} Header { tid, size, count } to send in its place, null when it fits inline
+         */
+        offer: function (value) {
+            if (typeof value !== 'string' || value.length <= settings.ChunkSize) return null;
+
+            const tid   = ++nextTid;
+            const count = Math.ceil(value.length / settings.ChunkSize);
+
+            // Kept for resends until Lua is done, or as long as Lua would keep asking
+            const timer = setTimeout(function () { release(tid); },
+                settings.Timeout * (settings.MaxResends + 2));
+            outgoing.set(tid, { value: value, count: count, timer: timer });
+
+            return { tid: tid, size: value.length, count: count };
+        },
+
+        /**
+         * Post a message to a NUI callback, then the chunks of every value
+         * offered for it
+         * @param {string}          name    - NUI callback
+         * @param {object}          body
+         * @param {Array<object|null>} [headers] - Results of offer() referenced by body
+         * @returns {Promise<void>}
+         */
+        post: async function (name, body, headers) {
+            await postJson(name, body);
+
+            for (const header of headers || []) {
+                if (!header) continue;
+                const indices = [];
+                for (let i = 1; i <= header.count; i++) indices.push(i);
+                await sendChunks(header.tid, indices);
+            }
+        },
+    };
+
+    // ============================================================
+    // MESSAGES FROM LUA
+    // ============================================================
+
+    window.addEventListener('message', function (event) {
+        const msg = event.data;
+
+        if (msg.action === 'transferResend') {
+            sendChunks(msg.tid, msg.missing || []).catch(function (err) {
+                console.error('[Transfer] Resend failed:', err);
+            });
+            return;
+        }
+
+        if (msg.action === 'transferDone') {
+            release(msg.tid);
+        }
+    });
+
+})();
@@ -0,0 +1,769 @@
+/* global importScripts, OffscreenCanvas, FileReaderSync, ColorKey, Resample, Framing, Composite, Adjust, Matting, Validate,
+          Sheet, GifEncoder, WebPAnim, PerceptualHash, Metadata */
+'use strict';
+
+// ============================================================
+// PIPELINE WORKER
+// ============================================================
+// Runs colour segmentation, alpha matting, validation, framing, colour
+// correction, upscaling, compositing, overlays and image encoding
+// off the NUI main thread, and assembles multi-angle sequences into
+// sheets or animations. Messages are { id, op, payload } and every
+// reply is { id, result } or { id, error, code }, optionally preceded by
+// { id, progress } notes as stages finish.
+
+importScripts(
+    'core/colorkey.js',
+    'core/resample.js',
+    'core/framing.js',
+    'core/composite.js',
+    'core/adjust.js',
+    'core/matting.js',
+    'core/validate.js',
+    'core/sheet.js',
+    'core/gif.js',
+    'core/webpanim.js',
+    'core/phash.js',
+    'core/metadata.js'
+);
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Turn a job source (ImageBitmap or ImageData) into ImageData
+ * @param {object} payload - { bitmap } or { imageData }
+ * @returns {ImageData}
+ */
+function readSource(payload) {
+    if (payload.imageData) return payload.imageData;
+
+    const bitmap = payload.bitmap;
+    if (!bitmap) throw new Error('Job has no image source');
+
+    const w = bitmap.width  || 128;
+    const h = bitmap.height || 128;
+
+    const canvas = new OffscreenCanvas(w, h);
+    const ctx    = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, w, h);
+    bitmap.close();
+
+    return ctx.getImageData(0, 0, w, h);
+}
+
+// Frame side limit when the job does not pass one (Config.Upload.MaxDimension)
+const MAX_FRAME = 4096;
+
+/**
+ * Scale an image into a target frame (aspect-fit or aspect-fill). Sizes
+ * that are not finite are ignored; the frame is scaled down, aspect kept,
+ * until both sides fit maxSize.
+ * @param {ImageData} imageData
+ * @param {object}    frame - { width, height, fit, maxSize }
+ * @returns {ImageData}
+ */
+function resizeToFrame(imageData, frame) {
+    const size = function (value) { return Number.isFinite(value) && value >= 1 ? value : 0; };
+    const rect = Framing.fitRect(imageData.width, imageData.height, {
+        width:  size(frame.width),
+        height: size(frame.height),
+        fit:    frame.fit,
+    });
+
+    const limit = size(frame.maxSize) || MAX_FRAME;
+    const scale = Math.min(1, limit / rect.width, limit / rect.height);
+    if (scale < 1) {
+        rect.width  = Math.max(1, Math.floor(rect.width * scale));
+        rect.height = Math.max(1, Math.floor(rect.height * scale));
+        rect.dx *= scale;
+        rect.dy *= scale;
+        rect.dw *= scale;
+        rect.dh *= scale;
+    }
+
+    if (rect.width === imageData.width && rect.height === imageData.height &&
+        rect.dw === rect.width && rect.dh === rect.height) {
+        return imageData;
+    }
+
+    const src = new OffscreenCanvas(imageData.width, imageData.height);
+    src.getContext('2d').putImageData(imageData, 0, 0);
+
+    const out = new OffscreenCanvas(rect.width, rect.height);
+    const ctx = out.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(src, rect.dx, rect.dy, rect.dw, rect.dh);
+
+    return ctx.getImageData(0, 0, rect.width, rect.height);
+}
+
+// ============================================================
+// RESOURCE IMAGES
+// ============================================================
+
+// Images are only read from whitelisted folders under nui/, by plain file name
+const ASSET_FOLDERS = { backgrounds: true, overlays: true };
+const ASSET_NAME    = /^[\w\- ]+\.(png|jpe?g|webp)$/i;
+const assetCache    = new Map();
+
+/**
+ * Load and cache an image shipped with the resource
+ * @param {string} folder - 'backgrounds' | 'overlays'
+ * @param {string} name   - File name inside nui/<folder>/
+ * @returns {Promise<ImageBitmap>}
+ */
+async function loadAsset(folder, name) {
+    if (!ASSET_FOLDERS[folder] || !ASSET_NAME.test(name || '')) {
+        throw new Error('Invalid ' + folder + ' image: ' + name);
+    }
+
+    const key = folder + '/' + name;
+    if (assetCache.has(key)) return assetCache.get(key);
+
+    const res = await fetch('../' + folder + '/' + encodeURIComponent(name));
+    if (!res.ok) throw new Error('Image not found: ' + key);
+
+    const bitmap = await createImageBitmap(await res.blob());
+    assetCache.set(key, bitmap);
+    return bitmap;
+}
+
+// ============================================================
+// COMPOSITING
+// ============================================================
+
+/**
+ * Fill the canvas with the requested background
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} w
+ * @param {number} h
+ * @param {object} background - { type: 'color'|'gradient'|'image', color, from, to, image, fit }
+ */
+async function paintBackground(ctx, w, h, background) {
+    if (background.type === 'gradient') {
+        const gradient = ctx.createLinearGradient(0, 0, 0, h);
+        gradient.addColorStop(0, background.from || '#ffffff');
+        gradient.addColorStop(1, background.to   || '#000000');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, w, h);
+        return;
+    }
+
+    if (background.type === 'image') {
+        const bitmap = await loadAsset('backgrounds', background.image);
+        const rect   = Framing.fitRect(bitmap.width, bitmap.height, {
+            width:  w,
+            height: h,
+            fit:    background.fit === 'contain' ? 'contain' : 'cover',
+        });
+        ctx.drawImage(bitmap, rect.dx, rect.dy, rect.dw, rect.dh);
+        return;
+    }
+
+    ctx.fillStyle = background.color || '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+}
+
+/**
+ * Put the cut-out subject onto a new background with optional
+ * outline stroke and drop shadow around the alpha mask
+ * @param {ImageData} imageData
+ * @param {object}    layers - { background, shadow, outline }
+ * @returns {Promise<ImageData>}
+ */
+async function composite(imageData, layers) {
+    const w = imageData.width;
+    const h = imageData.height;
+
+    const subject = new OffscreenCanvas(w, h);
+    subject.getContext('2d').putImageData(imageData, 0, 0);
+
+    // Subject layer: tinted, dilated mask underneath the subject itself
+    let layer = subject;
+    if (layers.outline && layers.outline.width > 0) {
+        layer = new OffscreenCanvas(w, h);
+        const lctx = layer.getContext('2d');
+        lctx.putImageData(Composite.dilateAlpha(imageData, layers.outline.width), 0, 0);
+        lctx.globalCompositeOperation = 'source-in';
+        lctx.fillStyle = layers.outline.color || '#ffffff';
+        lctx.fillRect(0, 0, w, h);
+        lctx.globalCompositeOperation = 'source-over';
+        lctx.drawImage(subject, 0, 0);
+    }
+
+    const out = new OffscreenCanvas(w, h);
+    const ctx = out.getContext('2d', { willReadFrequently: true });
+
+    if (layers.background) {
+        await paintBackground(ctx, w, h, layers.background);
+    }
+
+    if (layers.shadow) {
+        ctx.shadowColor   = layers.shadow.color   || 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur    = layers.shadow.blur    || 0;
+        ctx.shadowOffsetX = layers.shadow.offsetX || 0;
+        ctx.shadowOffsetY = layers.shadow.offsetY || 0;
+    }
+    ctx.drawImage(layer, 0, 0);
+
+    return ctx.getImageData(0, 0, w, h);
+}
+
+// ============================================================
+// OVERLAYS
+// ============================================================
+
+/**
+ * Build a canvas font string
+ * @param {object} o - { weight, size, font }
+ * @returns {string}
+ */
+function fontOf(o) {
+    return (o.weight || 'normal') + ' ' + Math.round(o.size || 16) + 'px ' + (o.font || 'Arial');
+}
+
+/**
+ * Draw a line of text; x/y are fractions (0.0 - 1.0) of the canvas size
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} w
+ * @param {number} h
+ * @param {object} o - { text, font, size, weight, color, align, baseline, x, y, stroke, strokeWidth }
+ */
+function drawText(ctx, w, h, o) {
+    const text = String(o.text == null ? '' : o.text);
+    const x    = (o.x == null ? 0.5 : o.x) * w;
+    const y    = (o.y == null ? 0.05 : o.y) * h;
+
+    ctx.font         = fontOf(o);
+    ctx.textAlign    = o.align    || 'center';
+    ctx.textBaseline = o.baseline || 'top';
+
+    if (o.stroke) {
+        ctx.lineWidth   = o.strokeWidth || 2;
+        ctx.strokeStyle = o.stroke;
+        ctx.lineJoin    = 'round';
+        ctx.strokeText(text, x, y);
+    }
+
+    ctx.fillStyle = o.color || '#ffffff';
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * Draw a booking placard board across the top or bottom of the image
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} w
+ * @param {number} h
+ * @param {object} o - { title, name, id, date, charges, position, height, background, color, font }
+ */
+function drawPlacard(ctx, w, h, o) {
+    const charges = Array.isArray(o.charges) ? o.charges : (o.charges ? [o.charges] : []);
+    const date    = o.date || new Date().toISOString().slice(0, 10);
+
+    const lines = [];
+    if (o.title) lines.push({ text: o.title, scale: 0.7, weight: 'bold' });
+    if (o.name)  lines.push({ text: o.name, scale: 1.0, weight: 'bold' });
+    lines.push({ text: (o.id ? 'ID: ' + o.id + '   ' : '') + 'DATE: ' + date, scale: 0.75 });
+    for (const charge of charges) {
+        lines.push({ text: String(charge), scale: 0.7 });
+    }
+
+    const boardH = Math.round(h * Math.max(0.1, Math.min(0.6, o.height || 0.26)));
+    const boardY = (o.position === 'top') ? 0 : h - boardH;
+    const pad    = Math.max(2, Math.round(boardH * 0.06));
+    const lineH  = (boardH - pad * 2) / lines.reduce((sum, l) => sum + l.scale, 0);
+
+    ctx.fillStyle = o.background || '#111111';
+    ctx.fillRect(0, boardY, w, boardH);
+
+    ctx.strokeStyle = o.color || '#ffffff';
+    ctx.lineWidth   = Math.max(1, Math.round(pad / 2));
+    ctx.strokeRect(ctx.lineWidth / 2, boardY + ctx.lineWidth / 2, w - ctx.lineWidth, boardH - ctx.lineWidth);
+
+    ctx.fillStyle    = o.color || '#ffffff';
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+
+    let y = boardY + pad;
+    for (const line of lines) {
+        const height = lineH * line.scale;
+        ctx.font = fontOf({ weight: line.weight, size: height * 0.8, font: o.font });
+        ctx.fillText(line.text, w / 2, y + height / 2, w - pad * 4);
+        y += height;
+    }
+}
+
+/**
+ * Draw a watermark/logo from nui/overlays/
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} w
+ * @param {number} h
+ * @param {object} o - { image, x, y, width, opacity } (x/y/width as fractions)
+ */
+async function drawImageOverlay(ctx, w, h, o) {
+    const bitmap = await loadAsset('overlays', o.image);
+    const dw     = (o.width || 0.25) * w;
+    const dh     = dw * bitmap.height / bitmap.width;
+
+    ctx.globalAlpha = (o.opacity == null) ? 1 : Math.max(0, Math.min(1, o.opacity));
+    ctx.drawImage(bitmap, (o.x || 0) * w, (o.y || 0) * h, dw, dh);
+    ctx.globalAlpha = 1;
+}
+
+const OVERLAY_TYPES = {
+    text:    drawText,
+    placard: drawPlacard,
+    image:   drawImageOverlay,
+};
+
+/**
+ * Render declarative overlays on top of the final image, in array order
+ * @param {ImageData} imageData
+ * @param {object[]}  overlays
+ * @returns {Promise<ImageData>}
+ */
+async function drawOverlays(imageData, overlays) {
+    const w = imageData.width;
+    const h = imageData.height;
+
+    const base = new OffscreenCanvas(w, h);
+    base.getContext('2d').putImageData(imageData, 0, 0);
+
+    const out = new OffscreenCanvas(w, h);
+    const ctx = out.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(base, 0, 0);
+
+    for (const overlay of overlays) {
+        const draw = OVERLAY_TYPES[overlay && overlay.type];
+        if (!draw) throw new Error('Unknown overlay type: ' + (overlay && overlay.type));
+
+        ctx.save();
+        await draw(ctx, w, h, overlay);
+        ctx.restore();
+    }
+
+    return ctx.getImageData(0, 0, w, h);
+}
+
+// ============================================================
+// ENCODING
+// ============================================================
+
+const MIME_TYPES = {
+    png:  'image/png',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+};
+
+/**
+ * Encode ImageData to an image Blob
+ * @param {ImageData} imageData
+ * @param {object}    encode - { format, quality, matte }
+ * @returns {Promise<Blob>}
+ */
+async function encodeImage(imageData, encode) {
+    const type = MIME_TYPES[encode.format] || MIME_TYPES.png;
+
+    let canvas = new OffscreenCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+    // JPEG has no alpha channel: flatten onto the matte colour instead of black
+    if (type === MIME_TYPES.jpeg) {
+        const flat = new OffscreenCanvas(imageData.width, imageData.height);
+        const ctx  = flat.getContext('2d');
+        ctx.fillStyle = encode.matte || '#ffffff';
+        ctx.fillRect(0, 0, flat.width, flat.height);
+        ctx.drawImage(canvas, 0, 0);
+        canvas = flat;
+    }
+
+    const options = { type: type };
+    if (type !== MIME_TYPES.png && typeof encode.quality === 'number') {
+        options.quality = Math.max(0, Math.min(1, encode.quality));
+    }
+
+    return canvas.convertToBlob(options);
+}
+
+/**
+ * Content hash of the encoded bytes, so identical outputs can be deduplicated
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>} Hex SHA-256, or FNV-1a when SubtleCrypto is unavailable
+ */
+async function contentHash(buffer) {
+    if (self.crypto && self.crypto.subtle) {
+        const digest = new Uint8Array(await self.crypto.subtle.digest('SHA-256', buffer));
+        let hex = '';
+        for (let i = 0; i < digest.length; i++) hex += digest[i].toString(16).padStart(2, '0');
+        return hex;
+    }
+
+    const bytes = new Uint8Array(buffer);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        h ^= bytes[i];
+        h = Math.imul(h, 0x01000193);
+    }
+    return 'fnv1a-' + (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// ============================================================
+// TIMING
+// ============================================================
+
+/**
+ * Per-stage stopwatch. lap(name) books the time since the previous lap
+ * under `name` (adding up when a stage runs once per frame) and reports
+ * the stage as done.
+ * @param {function(string)} [report]
+ * @returns {{timings: object, lap: function(string)}}
+ */
+function stopwatch(report) {
+    const timings = {};
+    let last = performance.now();
+
+    return {
+        timings: timings,
+        lap: function (name) {
+            const now = performance.now();
+            timings[name] = Math.round(((timings[name] || 0) + now - last) * 100) / 100;
+            last = now;
+            if (report) report(name);
+        },
+    };
+}
+
+// ============================================================
+// ABORT
+// ============================================================
+// Stages run synchronously, so an 'abort' message is only seen when an
+// operation yields. checkpoint() yields between the expensive stages and
+// stops the operation there if the main thread aborted it.
+
+const running = new Set();   // ids of operations in progress
+const aborted = new Set();   // ids of running operations to stop
+
+/**
+ * @param {number} id - Operation id
+ * @returns {function(): Promise<void>} Rejects with code 'aborted' once the operation is aborted
+ */
+function checkpointFor(id) {
+    return async function () {
+        await new Promise(function (resolve) { setTimeout(resolve, 0); });
+        if (aborted.has(id)) {
+            const err = new Error('Capture aborted');
+            err.code  = 'aborted';
+            throw err;
+        }
+    };
+}
+
+// ============================================================
+// RENDER
+// ============================================================
+
+/**
+ * Run one frame through every stage up to (not including) encoding:
+ * colour key -> refine -> validate -> crop -> adjust -> upscale -> resize -> composite -> overlays
+ * The perceptual hash is taken before compositing, so backgrounds and
+ * overlays (names, dates) do not change it.
+ * @param {object} payload    - See OPS.process
+ * @param {object} watch      - stopwatch()
+ * @param {function(): Promise<void>} checkpoint - checkpointFor(), awaited between stages
+ * @returns {Promise<{imageData: ImageData, phash: string}>}
+ */
+async function renderFrame(payload, watch, checkpoint) {
+    let imageData = readSource(payload);
+    let original  = payload.original || null;
+    watch.lap('decode');
+    await checkpoint();
+
+    if (payload.colorKey) {
+        original  = imageData;
+        imageData = ColorKey.remove(imageData, payload.transparency || {});
+        watch.lap('colorKey');
+    }
+
+    if (payload.transparent && payload.refine && original) {
+        await checkpoint();
+        imageData = Matting.refine(original, imageData, payload.refine);
+        watch.lap('refine');
+    }
+
+    // Reject black, blank or wiped-out frames before spending time on them;
+    // the error code tells Lua to retry instead of caching the result
+    if (payload.validate) {
+        const verdict = Validate.check(imageData, Object.assign({ transparent: payload.transparent }, payload.validate));
+        if (!verdict.ok) {
+            const err = new Error('Capture rejected: ' + verdict.reason);
+            err.code  = verdict.reason;
+            throw err;
+        }
+        watch.lap('validate');
+    }
+
+    const frame = payload.frame || {};
+
+    // Cropping before the upscale keeps the expensive filters on fewer pixels
+    if (payload.transparent && frame.autoCrop) {
+        imageData = Framing.cropToSubject(imageData, frame.padding);
+        watch.lap('crop');
+    }
+
+    // Colour correction before compositing, so only the subject is affected
+    if (payload.adjust) {
+        imageData = Adjust.apply(imageData, payload.adjust);
+        watch.lap('adjust');
+    }
+
+    if (payload.upscale) {
+        await checkpoint();
+        imageData = Resample.upscale(imageData, payload.factor, payload.upscaleConf);
+        watch.lap('upscale');
+    }
+
+    if (frame.width || frame.height) {
+        imageData = resizeToFrame(imageData, frame);
+        watch.lap('resize');
+    }
+
+    const phash = PerceptualHash.compute(imageData);
+    watch.lap('phash');
+
+    // Layers need a cut-out subject; they run at final size so stroke and
+    // shadow widths are in output pixels
+    const layers = payload.layers || {};
+    if (payload.transparent && (layers.background || layers.shadow || layers.outline)) {
+        await checkpoint();
+        imageData = await composite(imageData, layers);
+        watch.lap('composite');
+    }
+
+    if (payload.overlays && payload.overlays.length > 0) {
+        imageData = await drawOverlays(imageData, payload.overlays);
+        watch.lap('overlays');
+    }
+
+    return { imageData: imageData, phash: phash };
+}
+
+/**
+ * Shape the encoded bytes as an op result. With metadata, the fields are
+ * written into the file first, carrying the hash of the bytes without
+ * them; the result's hash is always that of the bytes delivered.
+ * @param {Blob}   blob
+ * @param {string} output     - 'buffer' | 'dataurl'
+ * @param {object} watch
+ * @param {object} [extra]    - Fields merged into the result
+ * @param {object} [metadata] - { identifier, serverId, options, backend }, see Metadata.embed
+ * @returns {Promise<{result: object, transfer?: Transferable[]}>}
+ */
+async function deliver(blob, output, watch, extra, metadata) {
+    let buffer = await blob.arrayBuffer();
+
+    if (metadata) {
+        const bytes = Metadata.embed(new Uint8Array(buffer), Object.assign({}, metadata, {
+            timestamp: metadata.timestamp || new Date().toISOString(),
+            hash:      await contentHash(buffer),
+        }));
+        buffer = bytes.buffer;
+        blob   = new Blob([bytes], { type: blob.type });
+        watch.lap('metadata');
+    }
+
+    const hash = await contentHash(buffer);
+    watch.lap('hash');
+
+    const result = Object.assign({ hash: hash, timings: watch.timings }, extra);
+
+    if (output === 'buffer') {
+        result.buffer = buffer;
+        result.mime   = blob.type;
+        return { result: result, transfer: [buffer] };
+    }
+
+    result.base64 = new FileReaderSync().readAsDataURL(blob);
+    return { result: result };
+}
+
+// ============================================================
+// OPERATIONS
+// ============================================================
+
+const OPS = {
+
+    /**
+     * Colour-keyed background removal
+     * @param {object} payload - { imageData, config }
+     */
+    segment: function (payload) {
+        const result = ColorKey.remove(payload.imageData, payload.config || {});
+        return { result: result, transfer: [result.data.buffer] };
+    },
+
+    /**
+     * Perceptual hash of an image
+     * @param {object} payload - { bitmap|imageData }
+     */
+    phash: function (payload) {
+        return { result: PerceptualHash.compute(readSource(payload)) };
+    },
+
+    /**
+     * Upscale with the configured method + sharpening stage
+     * @param {object} payload - { imageData, factor, config }
+     */
+    upscale: function (payload) {
+        const result = Resample.upscale(payload.imageData, payload.factor, payload.config);
+        return { result: result, transfer: [result.data.buffer] };
+    },
+
+    /**
+     * Full capture pipeline:
+     * colour key -> refine -> validate -> crop -> adjust -> upscale -> resize -> composite -> overlays -> encode
+     * @param {object} payload - { bitmap|imageData, original, transparent, colorKey, transparency,
+     *                             refine, validate, frame, adjust, upscale, factor, upscaleConf,
+     *                             layers, overlays, encode, metadata }
+     *
+     * `original` carries the unsegmented pixels when imageData is an AI result,
+     * so the matting stage can work with real edge colours.
+     *
+     * encode.output 'dataurl' (default) resolves { base64, hash, phash, timings }, 'buffer'
+     * resolves { buffer, mime, hash, phash, timings } with the raw encoded bytes transferred back.
+     * `timings` holds milliseconds per stage that ran.
+     */
+    process: async function (payload, progress, checkpoint) {
+        const watch    = stopwatch(progress);
+        const rendered = await renderFrame(payload, watch, checkpoint);
+        await checkpoint();
+
+        const encode = payload.encode || {};
+        const blob   = await encodeImage(rendered.imageData, encode);
+        watch.lap('encode');
+
+        return deliver(blob, encode.output, watch, { phash: rendered.phash }, payload.metadata);
+    },
+
+    /**
+     * Render several frames with the same settings and assemble them
+     * @param {object} payload - { frames: [{ bitmap|imageData, original, colorKey }], angles,
+     *                             sequence: { layout, frameDelay, columns, gap, loop },
+     *                             ...the process payload fields shared by every frame }
+     *
+     * layout 'sheet' and 'sprite' place the frames on a grid and encode it with
+     * payload.encode; 'sprite' also resolves `frames`, a map of { angle, x, y, width, height }.
+     * 'gif' and 'webp' encode an animation, one frame per angle.
+     * `phash` is the perceptual hash of the first frame.
+     */
+    sequence: async function (payload, progress, checkpoint) {
+        const watch = stopwatch(progress);
+        const seq   = payload.sequence || {};
+
+        const rendered = [];
+        let phash      = null;
+        for (const frame of payload.frames || []) {
+            const out = await renderFrame(Object.assign({}, payload, frame), watch, checkpoint);
+            rendered.push(out.imageData);
+            if (!phash) phash = out.phash;
+        }
+        if (rendered.length === 0) throw new Error('Sequence has no frames');
+        await checkpoint();
+
+        // Every frame gets the size of the largest one, subject centred
+        const cell   = Sheet.cellSize(rendered);
+        const encode = payload.encode || {};
+        const extra  = { phash: phash };
+        let blob;
+
+        if (seq.layout === 'gif' || seq.layout === 'webp') {
+            const frames = rendered.map(function (frame) {
+                return Framing.crop(frame, {
+                    x:      -Math.floor((cell.width  - frame.width)  / 2),
+                    y:      -Math.floor((cell.height - frame.height) / 2),
+                    width:  cell.width,
+                    height: cell.height,
+                });
+            });
+            watch.lap('assemble');
+
+            if (seq.layout === 'gif') {
+                blob = new Blob([GifEncoder.encode(frames, { delay: seq.frameDelay, loop: seq.loop })], { type: 'image/gif' });
+            } else {
+                const stills = [];
+                for (const frame of frames) {
+                    const still = await encodeImage(frame, { format: 'webp', quality: encode.quality });
+                    stills.push(new Uint8Array(await still.arrayBuffer()));
+                }
+                blob = new Blob([WebPAnim.assemble(stills, {
+                    width: cell.width, height: cell.height, delay: seq.frameDelay, loop: seq.loop,
+                })], { type: 'image/webp' });
+            }
+            watch.lap('encode');
+        } else {
+            const grid  = Sheet.layout(rendered.length, cell.width, cell.height, {
+                columns: seq.columns,
+                gap:     seq.layout === 'sprite' ? 0 : seq.gap,
+            });
+            const sheet = Sheet.compose(rendered, grid);
+            watch.lap('assemble');
+
+            blob = await encodeImage(sheet, encode);
+            watch.lap('encode');
+
+            if (seq.layout === 'sprite') {
+                const angles = payload.angles || [];
+                extra.frames = grid.cells.map(function (c, i) {
+                    return { angle: angles[i], x: c.x, y: c.y, width: c.width, height: c.height };
+                });
+            }
+        }
+
+        return deliver(blob, encode.output, watch, extra, payload.metadata);
+    },
+
+    /**
+     * Stop running operations at their next checkpoint; their replies are
+     * errors with code 'aborted', which the main thread no longer waits for
+     * @param {object} payload - { ids }
+     */
+    abort: function (payload) {
+        for (const id of payload.ids || []) {
+            if (running.has(id)) aborted.add(id);
+        }
+        return { result: true };
+    },
+};
+
+// ============================================================
+// MESSAGE HANDLER
+// ============================================================
+
+self.addEventListener('message', async function (event) {
+    const { id, op, payload } = event.data;
+    const handler = OPS[op];
+
+    if (!handler) {
+        self.postMessage({ id: id, error: 'Unknown worker operation: ' + op });
+        return;
+    }
+
+    // Stage progress goes out as { id, progress } ahead of the final reply
+    const progress = function (stage) {
+        self.postMessage({ id: id, progress: stage });
+    };
+
+    running.add(id);
+    try {
+        const out = await handler(payload || {}, progress, checkpointFor(id));
+        self.postMessage({ id: id, result: out.result }, out.transfer || []);
+    } catch (err) {
+        if (!err.code) console.error('[Worker] ' + op + ' failed:', err);
+        self.postMessage({ id: id, error: err.message || String(err), code: err.code || null });
+    } finally {
+        running.delete(id);
+        aborted.delete(id);
+    }
+});
@@ -89,13 +89,15 @@ local function b64decode(data)
     end))
 end
 
---- Save base64 image data to a PNG file
+--- Save base64 image data to an image file (png, webp or jpg), with its
+--- HMAC signature next to it as <file>.sig
 --- @param filename   string
 --- @param base64Data string
+--- @param signature  string|nil
 --- @return boolean success
 --- @return string|nil filePath
 --- @return string|nil error
-local function saveToFile(filename, base64Data)
+local function saveToFile(filename, base64Data, signature)
     if not filename or not base64Data or base64Data == '' then
         return false, nil, 'Invalid input'
     end
@@ -122,6 +124,13 @@ local function saveToFile(filename, base64Data)
     file:write(decoded)
     file:close()
 
+    if signature then
+        local sig = io.open(filePath .. '.sig', 'w')
+        if sig then
+            sig:write(signature)
+            sig:close()
+        end
+    end
 
     return true, filePath, nil
 end
@@ -130,17 +139,18 @@ end
 -- WEBHOOK
 -- ============================================================
 
---- Send a Discord webhook notification
+--- Send a Discord webhook notification with the image attached (server/webhook.js)
 --- @param playerId   number
 --- @param base64Data string
 --- @param identifier string
-local function sendWebhook(playerId, base64Data, identifier)
+--- @param size       table   { width, height } from CheckUpload
+local function sendWebhook(playerId, base64Data, identifier, size)
     if not Config.Webhook or not Config.Webhook.Enabled then return end
     if not Config.Webhook.URL or Config.Webhook.URL == '' then return end
 
     local playerName = GetPlayerName(playerId) or 'Unknown'
 
-    PerformHttpRequest(Config.Webhook.URL, function() end, 'POST', json.encode({
+    exports[GetCurrentResourceName()]:SendMugshotWebhook(playerId, {
         username   = Config.Webhook.Username or 'Mugshot Bot',
         avatar_url = Config.Webhook.Avatar or nil,
         embeds     = {{
@@ -152,42 +162,269 @@ local function sendWebhook(playerId, base64Data, identifier)
                 text = 'ayc-mugshot v3.0.0 | ' .. os.date('%Y-%m-%d %H:%M:%S')
             },
         }},
-    }), { ['Content-Type'] = 'application/json' })
+    }, base64Data, size)
 end
 
 -- ============================================================
--- EVENTS
+-- UPLOAD REQUESTS
 -- ============================================================
 
---- Handle mugshot save request from client
-RegisterNetEvent('ayc-mugshot:server:saveMugshot', function(data)
+--- The identifier the server keeps for a player (Config.Upload.IdentifierType),
+--- or their name when they have none of that type
+--- @param src number
+--- @return string
+local function playerIdentifier(src)
+    local kind = Config.Upload.IdentifierType
+    local identifier = kind and GetPlayerIdentifierByType(tostring(src), kind)
+    return identifier or GetPlayerName(src) or 'Unknown'
+end
+
+--- Register an upload the server asks a client for; see server/upload.js
+--- @param player  number    Client that will upload
+--- @param subject number    Player the mugshot is saved under
+--- @param events  string[]  'saveMugshot' and/or 'captureResult'
+--- @return string requestId
+local function openUploadRequest(player, subject, events)
+    return exports[GetCurrentResourceName()]:OpenUploadRequest(player, playerIdentifier(subject), events)
+end
+
+--- Ask a player's client to capture and upload
+--- @param target  number
+--- @param options table
+--- @return string requestId
+local function requestCapture(target, options)
+    options.requestId = openUploadRequest(target, target, { 'saveMugshot', 'captureResult' })
+    TriggerClientEvent('ayc-mugshot:client:requestCapture', target, options)
+    return options.requestId
+end
+
+-- Request ids handed out to client-side previews; one per player at a time
+local SaveRequests = {}   -- [src] = requestId
+
+AddEventHandler('playerDropped', function()
     local src = source
-    if not data or not data.base64 then
+    if SaveRequests[src] then
+        exports[GetCurrentResourceName()]:CloseUploadRequest(SaveRequests[src])
+        SaveRequests[src] = nil
+    end
+end)
+
+--- A client-side OpenPreview is about to save: issue the request id it has to
+--- carry, to Config.AdminPermission holders only (previews the mugshot command
+--- opens already have one). A new id replaces the player's previous one. The
+--- save still lands under the player's own identifier.
+RegisterNetEvent('ayc-mugshot:server:requestSave', function(nonce)
+    local src = source
+    if not Config.AdminPermission or not IsPlayerAceAllowed(src, Config.AdminPermission) then
+        TriggerClientEvent('ayc-mugshot:client:saveRequest', src, nonce, nil)
+        return
+    end
+
+    if SaveRequests[src] then
+        exports[GetCurrentResourceName()]:CloseUploadRequest(SaveRequests[src])
+    end
+    SaveRequests[src] = openUploadRequest(src, src, { 'saveMugshot' })
+    TriggerClientEvent('ayc-mugshot:client:saveRequest', src, nonce, SaveRequests[src])
+end)
+
+-- ============================================================
+-- EVENTS
+-- ============================================================
+
+--- Handle mugshot save request from client. Only uploads answering a
+--- server request are accepted, and the identifier is the request's.
+--- @param src  number
+--- @param data table  { requestId, base64, error, hash, phash }
+local function saveMugshot(src, data)
+    local upload = exports[GetCurrentResourceName()]:CheckUpload(src, data, 'saveMugshot')
+    if upload.error then
+        if Config.Debug and data and data.base64 then
+            print(('[ayc-mugshot] Upload from %d rejected: %s'):format(src, upload.error))
+        end
         TriggerClientEvent('ayc-mugshot:client:saveResult', src, {
             success = false,
-            error   = 'No data received',
+            error   = upload.error,
         })
         return
     end
 
-    local safeName = string.gsub(data.identifier or GetPlayerName(src) or 'Unknown', '[^%w_%-]', '_')
-    local filename = ('%s_%s.png'):format(safeName, os.date('%Y%m%d_%H%M%S'))
-    local result   = { success = true, base64 = data.base64 }
+    local identifier = upload.identifier or playerIdentifier(src)
+    local safeName  = string.gsub(identifier, '[^%w_%-]', '_')
+    local imageType = string.match(data.base64, '^data:image/(%w+);base64,')
+    local extension = (imageType == 'jpeg') and 'jpg' or imageType
+    local filename  = ('%s_%s.%s'):format(safeName, os.date('%Y%m%d_%H%M%S'), extension)
+    local result    = { success = true, base64 = data.base64, signature = upload.signature }
 
-    -- Save to file if enabled
     if Config.SaveToFile then
-        local ok, path, err = saveToFile(filename, data.base64)
+        local ok, path, err = saveToFile(filename, data.base64, upload.signature)
         result.success  = ok
         result.filePath = path
         if err then result.error = err end
     end
 
+    -- Indexed store with a stable HTTP URL
+    if Config.Store and Config.Store.Enabled then
+        local stored = exports[GetCurrentResourceName()]:StoreMugshot({
+            base64     = data.base64,
+            identifier = identifier,
+            player     = GetPlayerName(src),
+        })
+        if stored.error then
+            result.success = false
+            result.error   = stored.error
+        else
+            result.id  = stored.id
+            result.url = stored.url
+        end
+    end
+
     -- Send webhook if enabled
     if Config.Webhook and Config.Webhook.Enabled then
-        sendWebhook(src, data.base64, data.identifier)
+        sendWebhook(src, data.base64, identifier, { width = upload.width, height = upload.height })
     end
 
     TriggerClientEvent('ayc-mugshot:client:saveResult', src, result)
+end
+
+-- Last time each player had a server job accepted, for Config.ServerProcessing.Cooldown
+local LastProcessed = {}   -- [src] = GetGameTimer()
+
+AddEventHandler('playerDropped', function()
+    LastProcessed[source] = nil
+end)
+
+--- Process a raw headshot uploaded by a processOn = 'server' capture
+--- @param src  number
+--- @param data table  { id, base64, hash, options }
+local function processMugshot(src, data)
+    local settings = Config.ServerProcessing
+
+    local function reply(result)
+        result.id = type(data) == 'table' and data.id or nil
+        TriggerLatentClientEvent('ayc-mugshot:client:processResult', src, settings.Bandwidth, result)
+    end
+
+    if not settings.Enabled then
+        reply({ error = 'Server-side processing is disabled' })
+        return
+    end
+    if type(data) ~= 'table' then
+        reply({ error = 'No data received' })
+        return
+    end
+
+    local now = GetGameTimer()
+    if LastProcessed[src] and now - LastProcessed[src] < settings.Cooldown then
+        reply({ error = 'Server-side processing is cooling down, try again shortly' })
+        return
+    end
+    LastProcessed[src] = now
+
+    -- Clients start these themselves, so there is no request to match; the
+    -- image still has to be a sane PNG before the decoder sees it
+    local upload = exports[GetCurrentResourceName()]:CheckUpload(src, data)
+    if upload.error then
+        reply({ error = upload.error })
+        return
+    end
+    if upload.mime ~= 'image/png' then
+        reply({ error = 'Server-side processing needs a PNG' })
+        return
+    end
+    -- A headshot is small; anything bigger is not one and would only cost memory
+    if upload.width > settings.MaxSource or upload.height > settings.MaxSource then
+        reply({ error = ('Server-side processing takes headshots up to %dpx'):format(settings.MaxSource) })
+        return
+    end
+
+    -- Only per-capture choices come from the client; keying, validation and
+    -- upscale tuning use the server's config, and the factor is capped
+    local options = type(data.options) == 'table' and data.options or {}
+    local upscaleConf = {}
+    for k, v in pairs(Config.Upscale) do upscaleConf[k] = v end
+    if type(options.upscaleMethod) == 'string' then upscaleConf.Method = options.upscaleMethod end
+    if type(options.sharpen) == 'string' then upscaleConf.Sharpen = options.sharpen end
+
+    -- The factor is also held to MaxPixels of output
+    local factor = math.max(1.0, math.min(settings.MaxFactor, tonumber(options.upscaleFactor) or 2))
+    factor = math.max(1.0, math.min(factor, math.sqrt(settings.MaxPixels / (upload.width * upload.height))))
+
+    local job = {
+        image        = data.base64,
+        transparent  = options.transparent == true,
+        transparency = Config.Transparency,
+        refine       = type(options.refine) == 'table' and options.refine or nil,
+        validate     = Config.Validation.Enabled and Config.Validation or nil,
+        autoCrop     = options.autoCrop == true,
+        padding      = tonumber(options.padding) or Config.Framing.Padding,
+        adjust       = type(options.adjust) == 'table' and options.adjust or nil,
+        upscale      = options.upscale == true,
+        factor       = factor,
+        upscaleConf  = upscaleConf,
+        -- Who the image shows comes from the server's records, never the client
+        metadata     = type(data.metadata) == 'table' and {
+            identifier = playerIdentifier(src),
+            serverId   = src,
+            options    = data.metadata.options,
+            backend    = options.transparent == true and 'color' or 'none',
+        } or nil,
+    }
+
+    exports[GetCurrentResourceName()]:ProcessMugshot(job, function(result)
+        if result.error then
+            reply({ error = result.error, reason = result.reason })
+            return
+        end
+
+        -- Not stored: nobody asked for this upload. Captures the server
+        -- requested come back through saveMugshot, which stores them.
+        reply({
+            base64  = result.base64,
+            hash    = result.hash,
+            phash   = result.phash,
+            bytes   = result.bytes,
+            timings = result.timings,
+        })
+    end)
+end
+
+-- Server GetMugshot calls waiting for a player's capture
+local PendingCaptures = {}   -- [requestId] = promise
+
+--- A player's answer to a server capture request
+--- @param src  number
+--- @param data table  { requestId, base64, error, hash, phash }
+local function captureResult(src, data)
+    data = type(data) == 'table' and data or {}
+
+    local upload = exports[GetCurrentResourceName()]:CheckUpload(src, data, 'captureResult')
+    local p = upload.requested and PendingCaptures[data.requestId]
+    if p then
+        PendingCaptures[data.requestId] = nil
+        p:resolve(upload.error and { error = upload.error } or data)
+    end
+end
+
+-- Events that carry an image. Small payloads arrive as the event itself; big
+-- ones arrive in chunks and are reassembled and verified by server/transfer.js
+local ImageEvents = {
+    ['ayc-mugshot:server:saveMugshot']    = saveMugshot,
+    ['ayc-mugshot:server:processMugshot'] = processMugshot,
+    ['ayc-mugshot:server:captureResult']  = captureResult,
+}
+
+for event, handler in pairs(ImageEvents) do
+    RegisterNetEvent(event, function(data)
+        handler(source, data)
+    end)
+end
+
+--- Local only (not a net event): fired by server/transfer.js
+AddEventHandler('ayc-mugshot:server:transferComplete', function(src, event, data)
+    local handler = ImageEvents[event]
+    if handler then
+        handler(src, data)
+    end
 end)
 
 -- ============================================================
@@ -199,6 +436,8 @@ end)
 --- @param options  table|nil  { transparent, removeProps, removeMask, upscale, upscaleFactor }
 --- @return string|nil base64
 --- @return string|nil error
+--- @return string|nil hash   Content hash of the image
+--- @return string|nil phash  Perceptual hash, see CompareMugshotHashes / CompareStoredMugshot
 exports('GetMugshot', function(ped, options)
     if not netId or not DoesEntityExist(ped) then
         return nil, 'Invalid network ID'
@@ -210,26 +449,21 @@ exports('GetMugshot', function(ped, options)
     -- Trigger client-side capture
     if not options then options = {} end
     options.netId = NetworkGetNetworkIdFromEntity(entity)
-    TriggerClientEvent('ayc-mugshot:client:requestCapture', playerId, options or {})
+    local requestId = requestCapture(playerId, options)
 
     -- Listen for result
-    local evtName = ('ayc-mugshot:server:captureResult_%d'):format(playerId)
-    local handler
-    handler = RegisterNetEvent(evtName, function(data)
-        RemoveEventHandler(handler)
-        p:resolve(data or {})
-    end)
+    PendingCaptures[requestId] = p
 
     -- Safety timeout
     SetTimeout(Config.Timeout or 10000, function()
-        pcall(function() RemoveEventHandler(handler) end)
-        if not p.resolved then
+        if PendingCaptures[requestId] == p then
+            PendingCaptures[requestId] = nil
             p:resolve({ error = 'Server-side capture timed out' })
         end
     end)
 
     local result = Citizen.Await(p)
-    return result.base64, result.error
+    return result.base64, result.error, result.hash, result.phash
 end) 
 
 --- Get the path where mugshots are saved
@@ -269,7 +503,19 @@ RegisterCommand('mugshot', function(source, args)
         upscaleFactor = tonumber(args[6]) or 2,
     }
 
-    TriggerClientEvent('ayc-mugshot:client:requestCapture', target, cmdOptions)
+    -- In-game admins get the preview panel; the console captures blind
+    if src ~= 0 and Config.Preview and Config.Preview.Enabled then
+        TriggerClientEvent('ayc-mugshot:client:openPreview', src, {
+            netId      = NetworkGetNetworkIdFromEntity(GetPlayerPed(target)),
+            target     = target,
+            identifier = GetPlayerName(target),
+            requestId  = openUploadRequest(src, target, { 'saveMugshot' }),
+            options    = cmdOptions,
+        })
+        return
+    end
+
+    requestCapture(target, cmdOptions)
 
     local msg = ('Mugshot requested for player %d'):format(target)
     if src == 0 then
@@ -281,11 +527,36 @@ RegisterCommand('mugshot', function(source, args)
     end
 end, false)
 
+--- Preview target was out of the admin's scope: capture on the target's client
+RegisterNetEvent('ayc-mugshot:server:previewFallback', function(target, options)
+    local src = source
+    if Config.AdminPermission and not IsPlayerAceAllowed(src, Config.AdminPermission) then
+        return
+    end
+
+    target = tonumber(target)
+    if not target or not GetPlayerName(target) then return end
+
+    requestCapture(target, type(options) == 'table' and options or {})
+    TriggerClientEvent('chat:addMessage', src, {
+        args = { 'ayc-mugshot', ('Player %d is out of range, captured without preview'):format(target) }
+    })
+end)
+
 -- ============================================================
 -- STARTUP
 -- ============================================================
 
 Citizen.CreateThread(function()
+    exports[GetCurrentResourceName()]:ConfigureStore(Config.Store, Config.Compare)
+    exports[GetCurrentResourceName()]:ConfigureProcessing(Config.ServerProcessing)
+    local transfer = {}
+    for k, v in pairs(Config.Transfer) do transfer[k] = v end
+    transfer.MaxBytes = Config.Upload.MaxBytes
+    exports[GetCurrentResourceName()]:ConfigureTransfer(transfer)
+    exports[GetCurrentResourceName()]:ConfigureUploads(Config.Upload)
+    exports[GetCurrentResourceName()]:ConfigureWebhook(Config.Webhook)
+
     if Config.SaveToFile and Config.SavePath then
         local savePath = joinPath(GetResourcePath(GetCurrentResourceName()), Config.SavePath)
         ensureDirectory(savePath)
@@ -0,0 +1,74 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // CAPTURE METADATA
+    // ============================================================
+    // Reads the metadata that captures made with `metadata = true` carry
+    // (nui/js/core/metadata.js): PNG text chunks, or EXIF in jpeg and webp.
+    // Other resources call ReadMugshotMetadata with a data URL, plain
+    // base64, or the path of an image file inside this resource
+    // (Config.SavePath or Config.Store.Path).
+
+    const fs     = require('fs');
+    const path   = require('path');
+    const crypto = require('crypto');
+
+    const RESOURCE = GetCurrentResourceName();
+
+    const Metadata = require(path.join(GetResourcePath(RESOURCE), 'nui', 'js', 'core', 'metadata.js'));
+
+    const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+    /**
+     * Image bytes from a data URL, base64 or a file in the resource
+     * @param {string} source
+     * @returns {Buffer}
+     */
+    function readSource(source) {
+        if (source.startsWith('data:')) {
+            return Buffer.from(source.slice(source.indexOf(',') + 1), 'base64');
+        }
+
+        if (/\.(png|jpe?g|webp|gif)$/i.test(source)) {
+            const root = path.resolve(GetResourcePath(RESOURCE));
+            const file = path.resolve(root, source);
+            if (!file.startsWith(root + path.sep)) throw new Error('Path is outside the resource');
+            return fs.readFileSync(file);
+        }
+
+        return Buffer.from(source, 'base64');
+    }
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Read capture metadata back from an image
+     * @param {string} source - Data URL, base64, or path relative to the resource folder
+     * @returns {object|null} { identifier, serverId, timestamp, options, backend, hash, software, verified },
+     *                        null when the image has none, { error } when it cannot be read.
+     *                        `verified` is true when the image without its metadata still has `hash`.
+     */
+    exports('ReadMugshotMetadata', function (source) {
+        if (typeof source !== 'string' || source === '') return { error: 'No image given' };
+
+        let bytes;
+        try {
+            bytes = readSource(source);
+        } catch (err) {
+            return { error: err.message };
+        }
+        if (!Metadata.sniff(bytes)) return { error: 'Not a PNG, JPEG or WebP image' };
+
+        const fields = Metadata.read(bytes);
+        if (!fields) return null;
+
+        const image = Metadata.strip(bytes);
+        fields.verified = typeof fields.hash === 'string' && SHA256_PATTERN.test(fields.hash) &&
+            crypto.createHash('sha256').update(image).digest('hex') === fields.hash;
+        return fields;
+    });
+
+})();
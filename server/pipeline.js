@@ -0,0 +1,257 @@
+'use strict';
+
+// ============================================================
+// SERVER PIPELINE
+// ============================================================
+// Runs the NUI core modules (nui/js/core) on the server against a raw
+// headshot PNG. Stages match the worker's renderFrame up to the
+// perceptual hash:
+//     colour key -> refine -> validate -> crop -> adjust -> upscale -> phash -> PNG -> metadata
+// Frame size, layers and overlays need a canvas and stay client-side.
+// shrink() scales images down for webhook attachments (server/webhook.js),
+// phash() hashes stored images (server/store.js).
+// Loaded by server/process.js, either inline or as a worker_threads entry.
+
+const path   = require('path');
+const crypto = require('crypto');
+
+// The core modules allocate through the browser's ImageData
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(a, b, c) {
+            if (typeof a === 'number') {
+                this.width  = a;
+                this.height = b;
+                this.data   = new Uint8ClampedArray(a * b * 4);
+            } else {
+                this.data   = a;
+                this.width  = b;
+                this.height = c || a.length / 4 / b;
+            }
+        }
+    };
+}
+
+const CORE = path.join(__dirname, '..', 'nui', 'js', 'core');
+
+const Png            = require('./png.js');
+const ColorKey       = require(path.join(CORE, 'colorkey.js'));
+const Matting        = require(path.join(CORE, 'matting.js'));
+const Validate       = require(path.join(CORE, 'validate.js'));
+const Framing        = require(path.join(CORE, 'framing.js'));
+const Adjust         = require(path.join(CORE, 'adjust.js'));
+const Resample       = require(path.join(CORE, 'resample.js'));
+const PerceptualHash = require(path.join(CORE, 'phash.js'));
+const Metadata       = require(path.join(CORE, 'metadata.js'));
+
+/**
+ * Same shape as the worker's stopwatch: ms per stage, accumulated
+ * @returns {{timings: object, lap: function(string)}}
+ */
+function stopwatch() {
+    const timings = {};
+    let last = performance.now();
+
+    return {
+        timings: timings,
+        lap: function (name) {
+            const now = performance.now();
+            timings[name] = Math.round(((timings[name] || 0) + now - last) * 100) / 100;
+            last = now;
+        },
+    };
+}
+
+/**
+ * Process one raw headshot
+ * @param {object} job - { image (PNG data URL or base64), transparent, transparency, refine,
+ *                         validate, autoCrop, padding, adjust, upscale, factor, upscaleConf, metadata }
+ * @returns {{base64: string, hash: string, phash: string, bytes: number, timings: object}}
+ *          Throws with err.code set to the reason when validation rejects the frame
+ */
+function run(job) {
+    const watch = stopwatch();
+
+    const source  = String(job.image || '').replace(/^data:image\/png;base64,/, '');
+    const decoded = Png.decode(Buffer.from(source, 'base64'));
+    let imageData = new ImageData(decoded.data, decoded.width, decoded.height);
+    let original  = null;
+    watch.lap('decode');
+
+    if (job.transparent) {
+        original  = imageData;
+        imageData = ColorKey.remove(imageData, job.transparency || {});
+        watch.lap('colorKey');
+
+        if (job.refine) {
+            imageData = Matting.refine(original, imageData, job.refine);
+            watch.lap('refine');
+        }
+    }
+
+    if (job.validate) {
+        const verdict = Validate.check(imageData, Object.assign({ transparent: job.transparent }, job.validate));
+        if (!verdict.ok) {
+            const err = new Error('Capture rejected: ' + verdict.reason);
+            err.code  = verdict.reason;
+            throw err;
+        }
+        watch.lap('validate');
+    }
+
+    if (job.transparent && job.autoCrop) {
+        imageData = Framing.cropToSubject(imageData, job.padding);
+        watch.lap('crop');
+    }
+
+    if (job.adjust) {
+        imageData = Adjust.apply(imageData, job.adjust);
+        watch.lap('adjust');
+    }
+
+    if (job.upscale) {
+        imageData = Resample.upscale(imageData, job.factor, job.upscaleConf);
+        watch.lap('upscale');
+    }
+
+    const phash = PerceptualHash.compute(imageData);
+    watch.lap('phash');
+
+    let png = Png.encode(imageData);
+    watch.lap('encode');
+
+    // Same as the worker: the metadata names the hash of the PNG without it
+    if (job.metadata) {
+        png = Buffer.from(Metadata.embed(png, Object.assign({}, job.metadata, {
+            timestamp: job.metadata.timestamp || new Date().toISOString(),
+            hash:      crypto.createHash('sha256').update(png).digest('hex'),
+        })));
+        watch.lap('metadata');
+    }
+
+    const hash = crypto.createHash('sha256').update(png).digest('hex');
+    watch.lap('hash');
+
+    return {
+        base64:  'data:image/png;base64,' + png.toString('base64'),
+        hash:    hash,
+        phash:   phash,
+        bytes:   png.length,
+        timings: watch.timings,
+    };
+}
+
+/**
+ * Area-average downscale, weighted by alpha so transparent pixels do not
+ * darken the edges
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} src
+ * @param {number} width
+ * @param {number} height
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function areaScale(src, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const sx   = src.width / width;
+    const sy   = src.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * sy), y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * sx), x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+
+            let r = 0, g = 0, b = 0, a = 0, n = 0;
+            for (let yy = y0; yy < y1; yy++) {
+                for (let xx = x0; xx < x1; xx++) {
+                    const i  = (yy * src.width + xx) * 4;
+                    const al = src.data[i + 3];
+                    r += src.data[i] * al;
+                    g += src.data[i + 1] * al;
+                    b += src.data[i + 2] * al;
+                    a += al;
+                    n++;
+                }
+            }
+
+            const o = (y * width + x) * 4;
+            if (a > 0) {
+                data[o]     = r / a;
+                data[o + 1] = g / a;
+                data[o + 2] = b / a;
+            }
+            data[o + 3] = a / n;
+        }
+    }
+
+    return { width: width, height: height, data: data };
+}
+
+/**
+ * Scale a PNG down until it fits maxDimension and maxBytes
+ * @param {object} job - { image (PNG data URL or base64), maxDimension, maxBytes }
+ * @returns {{base64: string|null, bytes: number, timings: object}} base64 is null when
+ *          no size within a few steps fits maxBytes
+ */
+function shrink(job) {
+    const watch = stopwatch();
+
+    const source = String(job.image || '').replace(/^data:image\/png;base64,/, '');
+    const image  = Png.decode(Buffer.from(source, 'base64'));
+    watch.lap('decode');
+
+    let scale = Math.min(1, job.maxDimension / Math.max(image.width, image.height));
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const width  = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        const png    = Png.encode(scale < 1 ? areaScale(image, width, height) : image);
+        watch.lap('shrink');
+
+        if (png.length <= job.maxBytes) {
+            return { base64: 'data:image/png;base64,' + png.toString('base64'), bytes: png.length, timings: watch.timings };
+        }
+        scale *= 0.7;
+    }
+    return { base64: null, bytes: 0, timings: watch.timings };
+}
+
+/**
+ * Perceptual hash of a PNG, computed from its own pixels
+ * @param {object} job - { image (PNG data URL or base64) }
+ * @returns {{phash: string, timings: object}}
+ */
+function phash(job) {
+    const watch = stopwatch();
+
+    const source  = String(job.image || '').replace(/^data:image\/png;base64,/, '');
+    const decoded = Png.decode(Buffer.from(source, 'base64'));
+    watch.lap('decode');
+
+    const result = PerceptualHash.compute(new ImageData(decoded.data, decoded.width, decoded.height));
+    watch.lap('phash');
+
+    return { phash: result, timings: watch.timings };
+}
+
+// ============================================================
+// WORKER ENTRY
+// ============================================================
+// Messages are { id, op, job } with op 'run' (default), 'shrink' or 'phash';
+// replies { id, result } or { id, error, code }, the same protocol as the
+// NUI worker.
+
+const OPS = { run: run, shrink: shrink, phash: phash };
+
+const threads = (function () {
+    try { return require('worker_threads'); } catch (err) { return null; }
+})();
+
+if (threads && !threads.isMainThread && threads.parentPort) {
+    threads.parentPort.on('message', function (msg) {
+        try {
+            threads.parentPort.postMessage({ id: msg.id, result: (OPS[msg.op] || run)(msg.job) });
+        } catch (err) {
+            threads.parentPort.postMessage({ id: msg.id, error: err.message, code: err.code });
+        }
+    });
+}
+
+module.exports = OPS;
@@ -0,0 +1,285 @@
+'use strict';
+
+// ============================================================
+// PNG CODEC
+// ============================================================
+// Minimal PNG decoder/encoder for server-side processing, built on Node's
+// zlib. Decodes non-interlaced 8-bit greyscale, grey+alpha, RGB, RGBA and
+// palette images (what browsers and the NUI produce); always encodes RGBA.
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS  = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// ============================================================
+// CRC32
+// ============================================================
+
+const CRC_TABLE = (function () {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * @param {Buffer|Uint8Array} bytes
+ * @param {number}            [crc] - Running value from a previous call
+ * @returns {number} Unsigned CRC32
+ */
+function crc32(bytes, crc) {
+    let c = (crc === undefined ? 0 : crc) ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// ============================================================
+// FILTERS
+// ============================================================
+
+function paeth(a, b, c) {
+    const p  = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the per-row filters
+ * @param {Buffer} raw    - Inflated IDAT data, one filter byte per row
+ * @param {number} stride - Bytes per row without the filter byte
+ * @param {number} bpp    - Bytes per pixel
+ * @param {number} height
+ * @returns {Uint8Array} Unfiltered rows, back to back
+ */
+function unfilter(raw, stride, bpp, height) {
+    const out = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const type = raw[y * (stride + 1)];
+        const src  = y * (stride + 1) + 1;
+        const row  = y * stride;
+        const prev = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? out[row + x - bpp] : 0;
+            const b = y > 0 ? out[prev + x] : 0;
+            const c = (x >= bpp && y > 0) ? out[prev + x - bpp] : 0;
+            let v = raw[src + x];
+
+            switch (type) {
+                case 0: break;
+                case 1: v += a; break;
+                case 2: v += b; break;
+                case 3: v += (a + b) >> 1; break;
+                case 4: v += paeth(a, b, c); break;
+                default: throw new Error('Unknown PNG filter ' + type);
+            }
+            out[row + x] = v & 0xff;
+        }
+    }
+    return out;
+}
+
+/**
+ * Inflate IDAT data, refusing to produce more than the header's image needs,
+ * so a small file cannot expand into gigabytes
+ * @param {Buffer} data
+ * @param {number} limit - Bytes the filtered rows take: (stride + 1) * height
+ * @returns {Buffer}
+ */
+function inflate(data, limit) {
+    try {
+        return zlib.inflateSync(data, { maxOutputLength: limit });
+    } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE' || err instanceof RangeError) {
+            throw new Error('PNG image data is larger than its header says');
+        }
+        throw new Error('PNG image data is corrupt: ' + err.message);
+    }
+}
+
+// ============================================================
+// DECODE
+// ============================================================
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function decode(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header  = null;
+    let palette = null;
+    let trns    = null;
+    const idat  = [];
+
+    let pos = 8;
+    while (pos + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type   = buffer.toString('latin1', pos + 4, pos + 8);
+        // Length, type, data and CRC must all be inside the file
+        if (length > 0x7fffffff || pos + 12 + length > buffer.length) {
+            throw new Error('PNG chunk ' + JSON.stringify(type) + ' runs past the end of the file');
+        }
+        const data = buffer.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            if (length !== 13) throw new Error('PNG IHDR has the wrong length');
+            header = {
+                width:      data.readUInt32BE(0),
+                height:     data.readUInt32BE(4),
+                depth:      data[8],
+                colorType:  data[9],
+                interlace:  data[12],
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            trns = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG has no IHDR');
+    if (header.width === 0 || header.height === 0) throw new Error('PNG has no pixels');
+    if (idat.length === 0) throw new Error('PNG has no image data');
+    if (header.depth !== 8) throw new Error('Only 8-bit PNGs are supported');
+    if (header.interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+
+    const channels = CHANNELS[header.colorType];
+    if (!channels) throw new Error('Unknown PNG colour type ' + header.colorType);
+    if (header.colorType === 3 && !palette) throw new Error('Palette PNG without PLTE');
+
+    const { width, height } = header;
+    const stride = width * channels;
+    const raw    = inflate(Buffer.concat(idat), (stride + 1) * height);
+    if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+
+    const pixels = unfilter(raw, stride, channels, height);
+    const data   = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0, o = 0; i < width * height; i++, o += 4) {
+        const p = i * channels;
+        switch (header.colorType) {
+            case 0:
+                data[o] = data[o + 1] = data[o + 2] = pixels[p];
+                data[o + 3] = 255;
+                break;
+            case 2:
+                data[o] = pixels[p]; data[o + 1] = pixels[p + 1]; data[o + 2] = pixels[p + 2];
+                data[o + 3] = 255;
+                break;
+            case 3: {
+                const idx = pixels[p];
+                data[o] = palette[idx * 3]; data[o + 1] = palette[idx * 3 + 1]; data[o + 2] = palette[idx * 3 + 2];
+                data[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+                break;
+            }
+            case 4:
+                data[o] = data[o + 1] = data[o + 2] = pixels[p];
+                data[o + 3] = pixels[p + 1];
+                break;
+            case 6:
+                data[o] = pixels[p]; data[o + 1] = pixels[p + 1]; data[o + 2] = pixels[p + 2];
+                data[o + 3] = pixels[p + 3];
+                break;
+        }
+    }
+
+    return { width: width, height: height, data: data };
+}
+
+// ============================================================
+// ENCODE
+// ============================================================
+
+/**
+ * Serialise one chunk with its CRC
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'latin1');
+
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(data, crc32(head.subarray(4))), 0);
+
+    return Buffer.concat([head, data, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG. Each row gets the filter with the smallest
+ * sum of absolute residuals, the usual cheap heuristic.
+ * @param {{width: number, height: number, data: Uint8ClampedArray|Uint8Array}} image
+ * @returns {Buffer}
+ */
+function encode(image) {
+    const { width, height, data } = image;
+    const stride = width * 4;
+    const raw    = Buffer.alloc((stride + 1) * height);
+    const line   = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        const row  = y * stride;
+        const prev = row - stride;
+        let bestSum = Infinity;
+
+        for (let type = 0; type <= 4; type++) {
+            let sum = 0;
+            for (let x = 0; x < stride; x++) {
+                const a = x >= 4 ? data[row + x - 4] : 0;
+                const b = y > 0 ? data[prev + x] : 0;
+                const c = (x >= 4 && y > 0) ? data[prev + x - 4] : 0;
+                let v = data[row + x];
+
+                if (type === 1) v -= a;
+                else if (type === 2) v -= b;
+                else if (type === 3) v -= (a + b) >> 1;
+                else if (type === 4) v -= paeth(a, b, c);
+
+                v &= 0xff;
+                sum += v < 128 ? v : 256 - v;
+                line[x] = v;
+            }
+            if (sum < bestSum) {
+                bestSum = sum;
+                raw[y * (stride + 1)] = type;
+                raw.set(line, y * (stride + 1) + 1);
+            }
+        }
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8]  = 8;   // bit depth
+    ihdr[9]  = 6;   // RGBA
+    ihdr[10] = 0;
+    ihdr[11] = 0;
+    ihdr[12] = 0;
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 6 })),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+module.exports = { decode: decode, encode: encode, crc32: crc32 };
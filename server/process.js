@@ -0,0 +1,171 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // SERVER-SIDE PROCESSING
+    // ============================================================
+    // Runs server/pipeline.js for captures made with processOn = 'server':
+    // the client only shoots and uploads the raw headshot, the server does
+    // transparency and upscaling. Jobs go to a small worker_threads pool so
+    // a 4x upscale never stalls the server tick; without worker_threads they
+    // run inline. Settings come from Config.ServerProcessing, handed over by
+    // server/main.lua through ConfigureProcessing. The same pool scales
+    // webhook attachments down (ShrinkMugshot) and hashes stored images
+    // (HashMugshot), whether or not server processing is enabled.
+
+    const path = require('path');
+
+    const RESOURCE = GetCurrentResourceName();
+    const PIPELINE = path.join(GetResourcePath(RESOURCE), 'server', 'pipeline.js');
+
+    const Pipeline = require(PIPELINE);
+
+    let threads = null;
+    try {
+        threads = require('worker_threads');
+    } catch (err) {
+        console.warn('[Process] worker_threads unavailable, processing inline');
+    }
+
+    let settings = {
+        Enabled:  false,
+        Threads:  1,
+        MaxQueue: 16,
+    };
+
+    const pool  = [];   // { worker, job } per thread; job is null when idle
+    const queue = [];   // { id, op, job, resolve } waiting for a thread
+    let inline  = 0;    // jobs scheduled to run inline (no worker_threads)
+    let nextId  = 0;
+
+    // ============================================================
+    // WORKER POOL
+    // ============================================================
+
+    /**
+     * Start one worker; a crashed worker fails its job and is replaced
+     * @returns {object} Pool slot
+     */
+    function spawn() {
+        const slot = { worker: new threads.Worker(PIPELINE), job: null };
+
+        slot.worker.on('message', function (msg) {
+            const job = slot.job;
+            slot.job  = null;
+            if (job && job.id === msg.id) job.resolve(msg);
+            drain();
+        });
+
+        slot.worker.on('error', function (err) {
+            console.error('[Process] Worker crashed:', err.message);
+            const job = slot.job;
+            slot.job  = null;
+            pool.splice(pool.indexOf(slot), 1);
+            if (job) job.resolve({ id: job.id, error: 'Processing worker crashed' });
+            drain();
+        });
+
+        pool.push(slot);
+        return slot;
+    }
+
+    /**
+     * Hand queued jobs to idle workers, starting workers up to Threads
+     */
+    function drain() {
+        while (queue.length > 0) {
+            let slot = pool.find(function (s) { return s.job === null; });
+            if (!slot && pool.length < Math.max(1, settings.Threads)) slot = spawn();
+            if (!slot) return;
+
+            const entry = queue.shift();
+            slot.job = entry;
+            slot.worker.postMessage({ id: entry.id, op: entry.op, job: entry.job });
+        }
+    }
+
+    /**
+     * @param {object} job - See pipeline.run / pipeline.shrink / pipeline.phash
+     * @param {string} op  - 'run' | 'shrink' | 'phash'
+     * @returns {Promise<object>} { id, result } or { id, error, code }
+     */
+    function submit(job, op) {
+        const id = ++nextId;
+
+        if ((threads ? queue.length : inline) >= settings.MaxQueue) {
+            return Promise.resolve({ id: id, error: 'Processing queue is full' });
+        }
+
+        if (!threads) {
+            inline++;
+            return new Promise(function (resolve) {
+                setImmediate(function () {
+                    inline--;
+                    try {
+                        resolve({ id: id, result: Pipeline[op](job) });
+                    } catch (err) {
+                        resolve({ id: id, error: err.message, code: err.code });
+                    }
+                });
+            });
+        }
+
+        return new Promise(function (resolve) {
+            queue.push({ id: id, op: op, job: job, resolve: resolve });
+            drain();
+        });
+    }
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Apply Config.ServerProcessing (called once by server/main.lua on start)
+     * @param {object} config
+     */
+    exports('ConfigureProcessing', function (config) {
+        settings = Object.assign({}, settings, config || {});
+    });
+
+    /**
+     * Process a raw headshot. Lua cannot await a JS promise, so the result
+     * comes back through a callback.
+     * @param {object}   job - See pipeline.run
+     * @param {function} cb  - cb({ base64, hash, phash, bytes, timings }) or cb({ error, reason })
+     */
+    exports('ProcessMugshot', function (job, cb) {
+        if (!settings.Enabled) {
+            cb({ error: 'Server-side processing is disabled' });
+            return;
+        }
+
+        submit(job || {}, 'run').then(function (msg) {
+            cb(msg.error ? { error: msg.error, reason: msg.code || null } : msg.result);
+        });
+    });
+
+    /**
+     * Scale a PNG down off the server thread (webhook attachments)
+     * @param {object}   job - { image, maxDimension, maxBytes }, see pipeline.shrink
+     * @param {function} cb  - cb({ base64, bytes, timings }) or cb({ error }); base64 is null
+     *                         when no size fits maxBytes
+     */
+    exports('ShrinkMugshot', function (job, cb) {
+        submit(job || {}, 'shrink').then(function (msg) {
+            cb(msg.error ? { error: msg.error } : msg.result);
+        });
+    });
+
+    /**
+     * Perceptual hash of a PNG off the server thread (store records)
+     * @param {object}   job - { image }, see pipeline.phash
+     * @param {function} cb  - cb({ phash, timings }) or cb({ error })
+     */
+    exports('HashMugshot', function (job, cb) {
+        submit(job || {}, 'phash').then(function (msg) {
+            cb(msg.error ? { error: msg.error } : msg.result);
+        });
+    });
+
+})();
@@ -0,0 +1,64 @@
+'use strict';
+
+// ============================================================
+// SIGNING
+// ============================================================
+// HMAC-SHA256 over the bytes of saved and stored images, so a file can be
+// checked later against tampering or swaps. The key is the server convar
+// `ayc_mugshot_secret`; without it a random key is generated once and kept
+// in signing.key in the resource folder. config.lua is shared with clients
+// and must never hold the key.
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const KEY_FILE = path.join(__dirname, '..', 'signing.key');
+
+let key = null;
+
+/**
+ * @returns {Buffer}
+ */
+function signingKey() {
+    if (key) return key;
+
+    const secret = typeof GetConvar === 'function' ? GetConvar('ayc_mugshot_secret', '') : '';
+    if (secret !== '') {
+        key = Buffer.from(secret, 'utf8');
+        return key;
+    }
+
+    try {
+        key = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    if (!key || key.length === 0) {
+        key = crypto.randomBytes(32);
+        fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+        console.log('[Signing] No ayc_mugshot_secret convar, generated ' + KEY_FILE);
+    }
+    return key;
+}
+
+/**
+ * @param {Buffer} bytes
+ * @returns {string} Hex HMAC-SHA256
+ */
+function sign(bytes) {
+    return crypto.createHmac('sha256', signingKey()).update(bytes).digest('hex');
+}
+
+/**
+ * Constant-time check of a signature made by sign()
+ * @param {Buffer} bytes
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function verify(bytes, signature) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) return false;
+    return crypto.timingSafeEqual(Buffer.from(sign(bytes), 'hex'), Buffer.from(signature, 'hex'));
+}
+
+module.exports = { sign: sign, verify: verify };
@@ -0,0 +1,400 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // SERVER MUGSHOT STORE
+    // ============================================================
+    // Stores decoded images on disk with a JSON metadata index and serves
+    // them over the resource's HTTP handler:
+    //     http://<server>/ayc-mugshot/<id>.<ext>
+    // Ids are derived from the image's SHA-256, so storing the same image
+    // twice yields the same id and URL. Perceptual hashes of PNG records are
+    // computed here from the image itself (HashMugshot, on the server/process.js
+    // workers); hashes sent along with an upload are never trusted. Settings
+    // come from Config.Store, handed over by server/main.lua through
+    // ConfigureStore.
+
+    const fs     = require('fs');
+    const path   = require('path');
+    const crypto = require('crypto');
+
+    const RESOURCE = GetCurrentResourceName();
+
+    const Signing = require(path.join(GetResourcePath(RESOURCE), 'server', 'signing.js'));
+
+    const MIME_TYPES = { png: 'image/png', webp: 'image/webp', jpg: 'image/jpeg' };
+    const ID_PATTERN = /^\/([0-9a-f]{20})\.(png|webp|jpg)$/;
+
+    let settings = {
+        Enabled:          false,
+        Path:             'mugshots',
+        MaxAgeDays:       30,
+        MaxPerIdentifier: 10,
+        MaxTotalMB:       512,
+        PruneInterval:    60,
+        PublicUrl:        null,
+    };
+
+    let threshold  = 0.85;    // Config.Compare.Threshold
+    let index      = {};      // id -> record
+    let dirty      = false;
+    let pruneTimer = null;
+
+    // ============================================================
+    // PATHS & INDEX FILE
+    // ============================================================
+
+    function storeDir() {
+        return path.join(GetResourcePath(RESOURCE), settings.Path);
+    }
+
+    function indexFile() {
+        return path.join(storeDir(), 'index.json');
+    }
+
+    function loadIndex() {
+        try {
+            index = JSON.parse(fs.readFileSync(indexFile(), 'utf8')) || {};
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn('[Store] Could not read index, starting empty:', err.message);
+            index = {};
+        }
+    }
+
+    /**
+     * Write the index atomically (temp file + rename), at most once per tick
+     */
+    function saveIndex() {
+        if (dirty) return;
+        dirty = true;
+
+        setImmediate(function () {
+            dirty = false;
+            const tmp = indexFile() + '.tmp';
+            try {
+                fs.writeFileSync(tmp, JSON.stringify(index));
+                fs.renameSync(tmp, indexFile());
+            } catch (err) {
+                console.error('[Store] Failed to write index:', err.message);
+            }
+        });
+    }
+
+    /**
+     * Public URL for a stored image
+     * @param {object} record
+     * @returns {string}
+     */
+    function urlFor(record) {
+        const file = record.id + '.' + record.ext;
+        if (settings.PublicUrl) {
+            return settings.PublicUrl.replace(/\/+$/, '') + '/' + file;
+        }
+        const base = GetConvar('web_baseUrl', '');
+        return (base ? 'https://' + base : '') + '/' + RESOURCE + '/' + file;
+    }
+
+    /**
+     * Copy of a record with its URL, safe to hand to other resources
+     * @param {object} record
+     * @returns {object}
+     */
+    function describe(record) {
+        return Object.assign({ url: urlFor(record) }, record);
+    }
+
+    // ============================================================
+    // STORE / DELETE
+    // ============================================================
+
+    /**
+     * Fill in a PNG record's perceptual hash once the workers computed it
+     * @param {object} record
+     * @param {string} base64
+     */
+    function hashRecord(record, base64) {
+        exports[RESOURCE].HashMugshot({ image: base64 }, function (result) {
+            if (result.error || !isPhash(result.phash) || index[record.id] !== record) return;
+            record.phash = result.phash;
+            saveIndex();
+        });
+    }
+
+    /**
+     * Decode and store a mugshot. Records carry the HMAC signature of the
+     * image (server/signing.js), see VerifyMugshotSignature. PNG records get
+     * their phash shortly after, see hashRecord.
+     * @param {object} data - { base64, identifier, player, options }
+     * @returns {object} Stored record with url, or { error }
+     */
+    function store(data) {
+        if (!settings.Enabled) return { error: 'Store is disabled' };
+        if (!data || typeof data.base64 !== 'string') return { error: 'No image data' };
+
+        const match = /^data:image\/(png|webp|jpeg);base64,/.exec(data.base64);
+        if (!match) return { error: 'Only dataurl output can be stored' };
+
+        const bytes = Buffer.from(data.base64.slice(match[0].length), 'base64');
+        if (bytes.length === 0) return { error: 'Base64 decode failed' };
+
+        const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+        const id   = hash.slice(0, 20);
+        const ext  = match[1] === 'jpeg' ? 'jpg' : match[1];
+        const now  = Date.now();
+
+        const existing = index[id];
+        if (existing) {
+            existing.lastSeen = now;
+            if (!existing.signature) existing.signature = Signing.sign(bytes);
+            saveIndex();
+            if (!existing.phash && ext === 'png') hashRecord(existing, data.base64);
+            return describe(existing);
+        }
+
+        try {
+            fs.mkdirSync(storeDir(), { recursive: true });
+            fs.writeFileSync(path.join(storeDir(), id + '.' + ext), bytes);
+        } catch (err) {
+            return { error: 'Failed to write image: ' + err.message };
+        }
+
+        const record = {
+            id:         id,
+            ext:        ext,
+            bytes:      bytes.length,
+            hash:       hash,
+            identifier: data.identifier || null,
+            player:     data.player || null,
+            options:    data.options || null,
+            phash:      null,
+            signature:  Signing.sign(bytes),
+            createdAt:  now,
+            lastSeen:   now,
+        };
+        index[id] = record;
+        saveIndex();
+        if (ext === 'png') hashRecord(record, data.base64);
+
+        if (data.identifier && settings.MaxPerIdentifier > 0) {
+            pruneIdentifier(data.identifier);
+        }
+
+        return describe(record);
+    }
+
+    /**
+     * Delete a stored image and its index entry
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function remove(id) {
+        const record = index[id];
+        if (!record) return false;
+
+        try {
+            fs.unlinkSync(path.join(storeDir(), record.id + '.' + record.ext));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn('[Store] Could not delete', id + ':', err.message);
+        }
+        delete index[id];
+        saveIndex();
+        return true;
+    }
+
+    // ============================================================
+    // RETENTION
+    // ============================================================
+
+    /**
+     * Keep only the newest MaxPerIdentifier images of one identifier
+     * @param {string} identifier
+     */
+    function pruneIdentifier(identifier) {
+        const records = Object.values(index)
+            .filter(r => r.identifier === identifier)
+            .sort((a, b) => b.lastSeen - a.lastSeen);
+
+        for (const record of records.slice(settings.MaxPerIdentifier)) {
+            remove(record.id);
+        }
+    }
+
+    /**
+     * Apply every retention rule: age, per-identifier count, total size
+     * @returns {number} Number of images removed
+     */
+    function prune() {
+        const before = Object.keys(index).length;
+        const now    = Date.now();
+
+        if (settings.MaxAgeDays > 0) {
+            const maxAge = settings.MaxAgeDays * 24 * 60 * 60 * 1000;
+            for (const record of Object.values(index)) {
+                if (now - record.lastSeen > maxAge) remove(record.id);
+            }
+        }
+
+        if (settings.MaxPerIdentifier > 0) {
+            const identifiers = new Set(Object.values(index).map(r => r.identifier).filter(Boolean));
+            for (const identifier of identifiers) pruneIdentifier(identifier);
+        }
+
+        if (settings.MaxTotalMB > 0) {
+            const limit   = settings.MaxTotalMB * 1024 * 1024;
+            const records = Object.values(index).sort((a, b) => a.lastSeen - b.lastSeen);
+            let total = records.reduce((sum, r) => sum + r.bytes, 0);
+            for (const record of records) {
+                if (total <= limit) break;
+                total -= record.bytes;
+                remove(record.id);
+            }
+        }
+
+        const removed = before - Object.keys(index).length;
+        if (removed > 0) console.log('[Store] Pruned ' + removed + ' mugshot(s)');
+        return removed;
+    }
+
+    // ============================================================
+    // PERCEPTUAL COMPARE
+    // ============================================================
+    // Same hash layout as nui/js/core/phash.js: 16 hex pHash + 16 hex dHash.
+
+    const PHASH_PATTERN = /^[0-9a-fA-F]{32}$/;
+
+    function isPhash(value) {
+        return typeof value === 'string' && PHASH_PATTERN.test(value);
+    }
+
+    function hexDistance(a, b) {
+        let bits = 0;
+        for (let i = 0; i < a.length; i++) {
+            let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (x) { bits += x & 1; x >>= 1; }
+        }
+        return bits;
+    }
+
+    /**
+     * @param {string} a
+     * @param {string} b
+     * @returns {{similarity: number, match: boolean, phash: number, dhash: number}|null}
+     */
+    function comparePhash(a, b) {
+        if (!isPhash(a) || !isPhash(b)) return null;
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+
+        const p = hexDistance(a.slice(0, 16), b.slice(0, 16));
+        const d = hexDistance(a.slice(16), b.slice(16));
+        const similarity = 1 - (p + d) / 128;
+        return { similarity: similarity, match: similarity >= threshold, phash: p, dhash: d };
+    }
+
+    // ============================================================
+    // HTTP HANDLER
+    // ============================================================
+
+    SetHttpHandler(function (req, res) {
+        const match = settings.Enabled && req.method === 'GET' && ID_PATTERN.exec(req.path.split('?')[0]);
+        const record = match && index[match[1]];
+
+        if (!record || record.ext !== match[2]) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.send('Not found');
+            return;
+        }
+
+        fs.readFile(path.join(storeDir(), record.id + '.' + record.ext), function (err, bytes) {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.send('Not found');
+                return;
+            }
+            // Content-addressed: the bytes behind an id never change
+            res.writeHead(200, {
+                'Content-Type':                MIME_TYPES[record.ext],
+                'Content-Length':              String(bytes.length),
+                'Cache-Control':               'public, max-age=31536000, immutable',
+                'Access-Control-Allow-Origin': '*',
+            });
+            res.send(bytes);
+        });
+    });
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Apply Config.Store and Config.Compare (called once by server/main.lua on start)
+     * @param {object} config
+     * @param {object} [compare] - { Threshold }
+     */
+    exports('ConfigureStore', function (config, compare) {
+        settings = Object.assign({}, settings, config || {});
+        if (compare && typeof compare.Threshold === 'number') threshold = compare.Threshold;
+        if (!settings.Enabled) return;
+
+        loadIndex();
+        prune();
+
+        if (pruneTimer) clearInterval(pruneTimer);
+        if (settings.PruneInterval > 0) {
+            pruneTimer = setInterval(prune, settings.PruneInterval * 60 * 1000);
+        }
+    });
+
+    exports('StoreMugshot', store);
+
+    /**
+     * @param {string} id
+     * @returns {object|null} Record with url
+     */
+    exports('GetStoredMugshot', function (id) {
+        return index[id] ? describe(index[id]) : null;
+    });
+
+    /**
+     * List stored mugshots, newest first
+     * @param {object} [filter] - { identifier, limit }
+     * @returns {object[]}
+     */
+    exports('FindStoredMugshots', function (filter) {
+        filter = filter || {};
+        let records = Object.values(index);
+        if (filter.identifier) records = records.filter(r => r.identifier === filter.identifier);
+        records.sort((a, b) => b.lastSeen - a.lastSeen);
+        if (filter.limit > 0) records = records.slice(0, filter.limit);
+        return records.map(describe);
+    });
+
+    /**
+     * Compare a perceptual hash with the newest stored mugshot of an identifier,
+     * e.g. "appearance changed since last booking"
+     * @param {string} identifier
+     * @param {string} phash - As returned with a capture
+     * @returns {object|null} { id, url, similarity, match, phash, dhash }, null when nothing comparable is stored
+     */
+    exports('CompareStoredMugshot', function (identifier, phash) {
+        const last = Object.values(index)
+            .filter(r => r.identifier === identifier && r.phash)
+            .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+        const result = last && comparePhash(phash, last.phash);
+        if (!result) return null;
+        return Object.assign({ id: last.id, url: urlFor(last) }, result);
+    });
+
+    /**
+     * Compare two perceptual hashes
+     * @param {string} a
+     * @param {string} b
+     * @returns {object|null} { similarity, match, phash, dhash }
+     */
+    exports('CompareMugshotHashes', comparePhash);
+
+    exports('DeleteStoredMugshot', remove);
+    exports('PruneStore', prune);
+
+})();
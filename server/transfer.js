@@ -0,0 +1,212 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // CHUNKED UPLOADS
+    // ============================================================
+    // Receiving end of the client's sendToServer for images bigger than
+    // Config.Transfer.ChunkSize: transferBegin announces { tid, event, size,
+    // count, hash, meta }, numbered transferChunk events carry the data with a
+    // CRC32 each, transferEnd asks what is missing. Once every chunk is in,
+    // the image is checked against its SHA-256 and handed to server/main.lua
+    // as the local 'ayc-mugshot:server:transferComplete' event.
+    // Nothing is buffered without an accepted header: the header must name a
+    // SHA-256, stay within Config.Upload.MaxBytes, and each player has at
+    // most MaxOpen transfers open. Chunks that arrive before their header are
+    // dropped and asked for again at transferEnd.
+
+    const path   = require('path');
+    const crypto = require('crypto');
+
+    const RESOURCE = GetCurrentResourceName();
+
+    const Png = require(path.join(GetResourcePath(RESOURCE), 'server', 'png.js'));
+
+    const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+    let settings = {
+        ChunkSize:  65536,
+        Timeout:    10000,
+        MaxResends: 3,
+        MaxOpen:    2,
+        MaxBytes:   8 * 1024 * 1024,
+    };
+
+    const uploads = new Map();   // "<player>:<tid>" -> { player, event, size, count, hash, meta, chunks, received, touched }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    function ack(player, tid, fields) {
+        emitNet('ayc-mugshot:client:transferAck', player, Object.assign({ tid: tid }, fields));
+    }
+
+    function missing(upload) {
+        const list = [];
+        for (let i = 1; i <= upload.count; i++) {
+            if (upload.chunks[i] === undefined) list.push(i);
+        }
+        return list;
+    }
+
+    /**
+     * Largest data URL a transfer may announce: base64 of MaxBytes plus the
+     * "data:image/...;base64," prefix
+     * @returns {number}
+     */
+    function maxSize() {
+        return Math.ceil(settings.MaxBytes * 4 / 3) + 64;
+    }
+
+    /**
+     * @param {number} player
+     * @returns {number} Transfers the player has open
+     */
+    function openCount(player) {
+        let count = 0;
+        for (const upload of uploads.values()) {
+            if (upload.player === player) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Does the reassembled data URL decode to the bytes its SHA-256 names?
+     * @param {string} base64
+     * @param {string} hash
+     * @returns {boolean} false as well when hash is missing or not a SHA-256
+     */
+    function verify(base64, hash) {
+        if (typeof hash !== 'string' || !SHA256_PATTERN.test(hash)) return false;
+
+        const comma = base64.indexOf(',');
+        const bytes = Buffer.from(comma >= 0 ? base64.slice(comma + 1) : base64, 'base64');
+        return crypto.createHash('sha256').update(bytes).digest('hex') === hash;
+    }
+
+    /**
+     * Drop uploads nobody has touched for as long as the client keeps retrying
+     */
+    function sweep() {
+        const limit = settings.Timeout * (settings.MaxResends + 2);
+        const now   = Date.now();
+        for (const [key, upload] of uploads) {
+            if (now - upload.touched > limit) uploads.delete(key);
+        }
+    }
+
+    setInterval(sweep, 30000);
+
+    // ============================================================
+    // NET EVENTS
+    // ============================================================
+
+    onNet('ayc-mugshot:server:transferBegin', function (header) {
+        const player = Number(source);
+        if (!header || typeof header.event !== 'string') return;
+
+        const size  = Number(header.size) || 0;
+        const count = Number(header.count) || 0;
+        if (size <= 0 || count !== Math.ceil(size / settings.ChunkSize)) {
+            ack(player, header.tid, { error: 'Bad transfer header' });
+            return;
+        }
+        if (size > maxSize()) {
+            ack(player, header.tid, { error: 'Transfer is too large' });
+            return;
+        }
+        if (typeof header.hash !== 'string' || !SHA256_PATTERN.test(header.hash)) {
+            ack(player, header.tid, { error: 'Transfer has no SHA-256' });
+            return;
+        }
+
+        // A repeated header replaces its own transfer instead of opening another
+        const key = player + ':' + header.tid;
+        if (!uploads.has(key) && openCount(player) >= settings.MaxOpen) {
+            ack(player, header.tid, { error: 'Too many transfers open' });
+            return;
+        }
+
+        uploads.set(key, {
+            player:   player,
+            event:    header.event,
+            size:     size,
+            count:    count,
+            hash:     header.hash,
+            meta:     header.meta || {},
+            chunks:   {},
+            received: 0,
+            touched:  Date.now(),
+        });
+    });
+
+    onNet('ayc-mugshot:server:transferChunk', function (chunk) {
+        const player = source;
+        if (!chunk || typeof chunk.data !== 'string' || chunk.data.length > settings.ChunkSize) return;
+
+        // No accepted header (yet): dropped, transferEnd asks for it again
+        const upload = uploads.get(player + ':' + chunk.tid);
+        if (!upload) return;
+
+        const index = Number(chunk.index);
+        if (!(index >= 1 && index <= upload.count) || upload.chunks[index] !== undefined) return;
+
+        // A corrupt chunk stays missing and is asked for again at transferEnd
+        if (Png.crc32(Buffer.from(chunk.data, 'latin1')) !== chunk.crc) return;
+
+        upload.chunks[index] = chunk.data;
+        upload.received++;
+        upload.touched = Date.now();
+    });
+
+    onNet('ayc-mugshot:server:transferEnd', function (data) {
+        const player = source;
+        if (!data) return;
+
+        const key    = player + ':' + data.tid;
+        const upload = uploads.get(key);
+        if (!upload) {
+            ack(player, data.tid, { error: 'Unknown transfer' });
+            return;
+        }
+
+        upload.touched = Date.now();
+        if (upload.received < upload.count) {
+            ack(player, data.tid, { missing: missing(upload) });
+            return;
+        }
+
+        uploads.delete(key);
+
+        const parts = [];
+        for (let i = 1; i <= upload.count; i++) parts.push(upload.chunks[i]);
+        const base64 = parts.join('');
+
+        if (base64.length !== upload.size) {
+            ack(player, data.tid, { error: 'Transfer size mismatch' });
+            return;
+        }
+        if (!verify(base64, upload.hash)) {
+            ack(player, data.tid, { error: 'Checksum mismatch' });
+            return;
+        }
+
+        ack(player, data.tid, { missing: [] });
+        emit('ayc-mugshot:server:transferComplete', Number(player), upload.event,
+            Object.assign({}, upload.meta, { base64: base64 }));
+    });
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Apply Config.Transfer (called once by server/main.lua on start)
+     * @param {object} config - Config.Transfer plus MaxBytes from Config.Upload
+     */
+    exports('ConfigureTransfer', function (config) {
+        settings = Object.assign({}, settings, config || {});
+    });
+
+})();
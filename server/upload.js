@@ -0,0 +1,283 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // UPLOAD VALIDATION
+    // ============================================================
+    // Every image a client sends is checked here before server/main.lua
+    // saves, stores or posts it: the bytes must be a well-formed PNG, WebP
+    // or JPEG of the type the data URL claims, within Config.Upload's size
+    // and dimension limits. Saves and capture results must also answer a
+    // request the server made (OpenUploadRequest): the request id is
+    // single use per event, tied to one player, and carries the identifier
+    // the server chose, so clients cannot name whose mugshot they upload.
+
+    const fs     = require('fs');
+    const path   = require('path');
+    const crypto = require('crypto');
+
+    const RESOURCE = GetCurrentResourceName();
+    const ROOT     = path.resolve(GetResourcePath(RESOURCE));
+
+    const Png     = require(path.join(ROOT, 'server', 'png.js'));
+    const Signing = require(path.join(ROOT, 'server', 'signing.js'));
+
+    const MIME_TYPES = { png: 'image/png', webp: 'image/webp', jpeg: 'image/jpeg' };
+
+    let settings = {
+        Formats:          ['png', 'webp', 'jpeg'],
+        MaxBytes:         8 * 1024 * 1024,
+        MaxDimension:     4096,
+        RequestTimeout:   60000,
+        AllowUnsolicited: false,
+    };
+
+    const requests = new Map();   // id -> { player, identifier, events, expires }
+
+    // ============================================================
+    // FORMAT CHECKS
+    // ============================================================
+    // Each returns { width, height } or throws; the decoder is never run on
+    // unchecked bytes.
+
+    function fail(message) {
+        throw new Error(message);
+    }
+
+    /**
+     * Signature, IHDR (first, 13 bytes, valid CRC and fields), IEND last
+     */
+    function checkPng(bytes) {
+        if (bytes.length < 57 || bytes.readUInt32BE(0) !== 0x89504e47 || bytes.readUInt32BE(4) !== 0x0d0a1a0a) {
+            fail('Not a PNG file');
+        }
+        if (bytes.readUInt32BE(8) !== 13 || bytes.toString('latin1', 12, 16) !== 'IHDR') fail('PNG does not start with IHDR');
+        if (Png.crc32(bytes.subarray(12, 29)) !== bytes.readUInt32BE(29)) fail('PNG header CRC mismatch');
+
+        const depth = bytes[24], colour = bytes[25];
+        const depths = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+        if (!depths[colour] || depths[colour].indexOf(depth) < 0) fail('Invalid PNG colour type or bit depth');
+        if (bytes[26] !== 0 || bytes[27] !== 0 || bytes[28] > 1) fail('Invalid PNG compression, filter or interlace method');
+
+        const end = bytes.length - 12;
+        if (bytes.readUInt32BE(end) !== 0 || bytes.toString('latin1', end + 4, end + 8) !== 'IEND') fail('PNG is truncated');
+
+        return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+    }
+
+    /**
+     * RIFF size matches the file, first chunk is VP8, VP8L or VP8X
+     */
+    function checkWebp(bytes) {
+        if (bytes.length < 30 || bytes.toString('latin1', 0, 4) !== 'RIFF' || bytes.toString('latin1', 8, 12) !== 'WEBP') {
+            fail('Not a WebP file');
+        }
+        if (bytes.readUInt32LE(4) + 8 !== bytes.length) fail('WebP size does not match the file');
+
+        const fourcc = bytes.toString('latin1', 12, 16);
+        const data   = 20;
+        if (fourcc === 'VP8X') {
+            return { width: bytes.readUIntLE(data + 4, 3) + 1, height: bytes.readUIntLE(data + 7, 3) + 1 };
+        }
+        if (fourcc === 'VP8L') {
+            if (bytes[data] !== 0x2f) fail('Invalid VP8L signature');
+            const bits = bytes.readUInt32LE(data + 1);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+        }
+        if (fourcc === 'VP8 ') {
+            if (bytes[data + 3] !== 0x9d || bytes[data + 4] !== 0x01 || bytes[data + 5] !== 0x2a) fail('Invalid VP8 start code');
+            return { width: bytes.readUInt16LE(data + 6) & 0x3fff, height: bytes.readUInt16LE(data + 8) & 0x3fff };
+        }
+        return fail('WebP has no image chunk');
+    }
+
+    /**
+     * SOI, marker segments up to a start-of-frame, EOI last
+     */
+    function checkJpeg(bytes) {
+        if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) fail('Not a JPEG file');
+        if (bytes[bytes.length - 2] !== 0xff || bytes[bytes.length - 1] !== 0xd9) fail('JPEG is truncated');
+
+        let pos = 2;
+        while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+            const marker = bytes[pos + 1];
+            const length = bytes.readUInt16BE(pos + 2);
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                if (pos + 9 > bytes.length) break;
+                return { width: bytes.readUInt16BE(pos + 7), height: bytes.readUInt16BE(pos + 5) };
+            }
+            if (marker === 0xda) break;
+            pos += 2 + length;
+        }
+        return fail('JPEG has no frame header');
+    }
+
+    const CHECKS = { png: checkPng, webp: checkWebp, jpeg: checkJpeg };
+
+    /**
+     * Decode a data URL and check the image against Config.Upload
+     * @param {string} base64
+     * @returns {{bytes: Buffer, format: string, mime: string, width: number, height: number}}
+     */
+    function inspect(base64) {
+        const match = /^data:image\/(png|webp|jpeg);base64,/.exec(base64);
+        if (!match) fail('Only png, webp and jpeg data URLs can be uploaded');
+
+        const format = match[1];
+        if (settings.Formats.indexOf(format) < 0) fail('Format not allowed: ' + format);
+
+        // Refuse before decoding: base64 is 4 chars per 3 bytes
+        if ((base64.length - match[0].length) * 3 / 4 > settings.MaxBytes + 2) fail('Image is too large');
+
+        const bytes = Buffer.from(base64.slice(match[0].length), 'base64');
+        if (bytes.length === 0) fail('Base64 decode failed');
+        if (bytes.length > settings.MaxBytes) fail('Image is too large');
+
+        const size = CHECKS[format](bytes);
+        if (!(size.width > 0 && size.height > 0)) fail('Image has no pixels');
+        if (size.width > settings.MaxDimension || size.height > settings.MaxDimension) {
+            fail('Image is ' + size.width + 'x' + size.height + ', limit is ' + settings.MaxDimension);
+        }
+
+        return { bytes: bytes, format: format, mime: MIME_TYPES[format], width: size.width, height: size.height };
+    }
+
+    // ============================================================
+    // PENDING REQUESTS
+    // ============================================================
+
+    /**
+     * Use up `event` of a request; the request goes once every event is used
+     * @param {number} player
+     * @param {string} id
+     * @param {string} event
+     * @returns {object|null} The request, null when there is none for this player and event
+     */
+    function consume(player, id, event) {
+        const request = typeof id === 'string' ? requests.get(id) : null;
+        if (!request || request.player !== player || request.expires < Date.now()) return null;
+
+        const at = request.events.indexOf(event);
+        if (at < 0) return null;
+
+        request.events.splice(at, 1);
+        if (request.events.length === 0) requests.delete(id);
+        return request;
+    }
+
+    setInterval(function () {
+        const now = Date.now();
+        for (const [id, request] of requests) {
+            if (request.expires < now) requests.delete(id);
+        }
+    }, 30000);
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Apply Config.Upload (called once by server/main.lua on start)
+     * @param {object} config
+     */
+    exports('ConfigureUploads', function (config) {
+        settings = Object.assign({}, settings, config || {});
+    });
+
+    /**
+     * Register a capture the server asks a client for
+     * @param {number}   player     - Client that will upload
+     * @param {string}   identifier - Identifier the upload is saved under
+     * @param {string[]} events     - Events the answer arrives as, e.g. { 'saveMugshot', 'captureResult' }
+     * @returns {string} Request id to send along with the request
+     */
+    exports('OpenUploadRequest', function (player, identifier, events) {
+        const id = crypto.randomBytes(16).toString('hex');
+        requests.set(id, {
+            player:     Number(player),
+            identifier: identifier || null,
+            events:     (events || []).slice(),
+            expires:    Date.now() + settings.RequestTimeout,
+        });
+        return id;
+    });
+
+    /**
+     * Drop a request that has not been used up
+     * @param {string} id
+     */
+    exports('CloseUploadRequest', function (id) {
+        requests.delete(id);
+    });
+
+    /**
+     * Check an upload before it is used
+     * @param {number} player
+     * @param {object} data  - { base64, requestId, error }
+     * @param {string} [event] - Request event it answers; omitted for uploads clients may start
+     *                           themselves (server-side processing)
+     * @returns {object} { identifier, requested, mime, width, height, bytes, signature } or
+     *                   { error, identifier, requested }. identifier is the request's, null for
+     *                   unrequested uploads; requested says a pending request was used up.
+     */
+    exports('CheckUpload', function (player, data, event) {
+        player = Number(player);
+        data   = data || {};
+
+        let identifier = null;
+        let requested  = false;
+        if (event) {
+            const request = consume(player, data.requestId, event);
+            if (request) {
+                identifier = request.identifier;
+                requested  = true;
+            } else if (!settings.AllowUnsolicited) {
+                return { error: 'Upload was not requested by the server', identifier: null, requested: false };
+            }
+        }
+
+        if (typeof data.base64 !== 'string' || data.base64 === '') {
+            return { error: data.error || 'No data received', identifier: identifier, requested: requested };
+        }
+
+        try {
+            const image = inspect(data.base64);
+            return {
+                identifier: identifier,
+                requested:  requested,
+                mime:       image.mime,
+                width:      image.width,
+                height:     image.height,
+                bytes:      image.bytes.length,
+                signature:  Signing.sign(image.bytes),
+            };
+        } catch (err) {
+            return { error: 'Rejected upload: ' + err.message, identifier: identifier, requested: requested };
+        }
+    });
+
+    /**
+     * Check an image against its HMAC signature
+     * @param {string} source      - Data URL, or path of a file inside the resource
+     * @param {string} [signature] - Defaults to the file's .sig sidecar (saved files)
+     * @returns {boolean}
+     */
+    exports('VerifyMugshotSignature', function (source, signature) {
+        if (typeof source !== 'string' || source === '') return false;
+
+        try {
+            if (source.startsWith('data:')) {
+                return Signing.verify(Buffer.from(source.slice(source.indexOf(',') + 1), 'base64'), signature);
+            }
+
+            const file = path.resolve(ROOT, source);
+            if (!file.startsWith(ROOT + path.sep)) return false;
+            if (typeof signature !== 'string') signature = fs.readFileSync(file + '.sig', 'utf8').trim();
+            return Signing.verify(fs.readFileSync(file), signature);
+        } catch (err) {
+            return false;
+        }
+    });
+
+})();
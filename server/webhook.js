@@ -0,0 +1,259 @@
+(function () {
+    'use strict';
+
+    // ============================================================
+    // DISCORD WEBHOOK
+    // ============================================================
+    // Posts the "Mugshot Captured" message built by server/main.lua with the
+    // image attached: a multipart/form-data body holding payload_json and
+    // the file, shown by the embed through image.url = attachment://<file>.
+    // PNGs larger than MaxDimension or MaxBytes are scaled down first, on the
+    // server/process.js workers; other formats are dropped when too big.
+    // Each player gets RateLimit messages per RateWindow seconds, and a 429
+    // is retried after the wait Discord asks for. Settings come from
+    // Config.Webhook, handed over by server/main.lua through ConfigureWebhook.
+
+    const crypto = require('crypto');
+
+    const RESOURCE = GetCurrentResourceName();
+
+    const EXTENSIONS = { png: 'png', webp: 'webp', jpeg: 'jpg' };
+
+    let settings = {
+        Enabled:      false,
+        URL:          '',
+        AttachImage:  true,
+        MaxBytes:     8 * 1024 * 1024,
+        MaxDimension: 1024,
+        RateLimit:    5,
+        RateWindow:   60,
+        MaxRetries:   3,
+    };
+
+    const sent = new Map();   // player -> timestamps (ms) of messages in the current window
+
+    // ============================================================
+    // RATE LIMIT
+    // ============================================================
+
+    /**
+     * Count a message for a player, unless they are over the limit
+     * @param {number} player
+     * @returns {boolean} false when the message must be dropped
+     */
+    function allow(player) {
+        if (!(settings.RateLimit > 0)) return true;
+
+        const now   = Date.now();
+        const span  = settings.RateWindow * 1000;
+        const times = (sent.get(player) || []).filter(function (t) { return now - t < span; });
+        if (times.length >= settings.RateLimit) {
+            sent.set(player, times);
+            return false;
+        }
+
+        times.push(now);
+        sent.set(player, times);
+        return true;
+    }
+
+    setInterval(function () {
+        const now = Date.now();
+        for (const [player, times] of sent) {
+            if (times.every(function (t) { return now - t >= settings.RateWindow * 1000; })) sent.delete(player);
+        }
+    }, 60000);
+
+    // ============================================================
+    // IMAGE
+    // ============================================================
+
+    /**
+     * Scale a PNG down on the processing workers (server/process.js), so
+     * big uploads never block the server tick
+     * @param {string} base64
+     * @returns {Promise<Buffer|null>} null when it cannot be made small enough
+     */
+    function shrink(base64) {
+        return new Promise(function (resolve) {
+            exports[RESOURCE].ShrinkMugshot({
+                image:        base64,
+                maxDimension: settings.MaxDimension,
+                maxBytes:     settings.MaxBytes,
+            }, function (result) {
+                if (result.error) console.warn('[Webhook] Could not scale the image:', result.error);
+                resolve(result.base64 ? Buffer.from(result.base64.slice(result.base64.indexOf(',') + 1), 'base64') : null);
+            });
+        });
+    }
+
+    /**
+     * The attachment for a data URL, scaled down to the limits when needed.
+     * Formats other than PNG cannot be scaled and are dropped when too big.
+     * @param {string} base64
+     * @param {{width: number, height: number}} [size] - Dimensions CheckUpload read from the image
+     * @returns {Promise<{bytes: Buffer, filename: string, mime: string}|null>} null when it cannot be attached
+     */
+    async function attachment(base64, size) {
+        const match = /^data:image\/(png|webp|jpeg);base64,/.exec(base64 || '');
+        if (!match) return null;
+
+        const format = match[1];
+        const bytes  = Buffer.from(base64.slice(match[0].length), 'base64');
+        const result = { filename: 'mugshot.' + EXTENSIONS[format], mime: 'image/' + format };
+
+        const wide = size ? Math.max(Number(size.width) || 0, Number(size.height) || 0) > settings.MaxDimension : false;
+        if (!wide && bytes.length <= settings.MaxBytes) {
+            result.bytes = bytes;
+            return result;
+        }
+        if (format !== 'png') return null;
+
+        result.bytes = await shrink(base64);
+        return result.bytes ? result : null;
+    }
+
+    /**
+     * @param {object} payload - Webhook JSON
+     * @param {object} [file]  - attachment()
+     * @returns {{body: Buffer, type: string}}
+     */
+    function multipart(payload, file) {
+        const boundary = '----ayc-mugshot-' + crypto.randomBytes(12).toString('hex');
+        const parts    = [
+            Buffer.from('--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="payload_json"\r\n' +
+                'Content-Type: application/json\r\n\r\n' +
+                JSON.stringify(payload) + '\r\n', 'utf8'),
+        ];
+
+        if (file) {
+            parts.push(Buffer.from('--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="files[0]"; filename="' + file.filename + '"\r\n' +
+                'Content-Type: ' + file.mime + '\r\n\r\n', 'utf8'));
+            parts.push(file.bytes);
+            parts.push(Buffer.from('\r\n', 'utf8'));
+        }
+
+        parts.push(Buffer.from('--' + boundary + '--\r\n', 'utf8'));
+        return { body: Buffer.concat(parts), type: 'multipart/form-data; boundary=' + boundary };
+    }
+
+    // ============================================================
+    // HTTP
+    // ============================================================
+
+    /**
+     * @param {string} url
+     * @param {{body: Buffer, type: string}} form
+     * @returns {Promise<{status: number, headers: object, body: string}>}
+     */
+    function post(url, form) {
+        const target = new URL(url);
+        const client = require(target.protocol === 'http:' ? 'http' : 'https');
+
+        return new Promise(function (resolve, reject) {
+            const req = client.request(target, {
+                method:  'POST',
+                headers: { 'Content-Type': form.type, 'Content-Length': form.body.length },
+            }, function (res) {
+                const chunks = [];
+                res.on('data', function (chunk) { chunks.push(chunk); });
+                res.on('end', function () {
+                    resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') });
+                });
+            });
+            req.setTimeout(30000, function () { req.destroy(new Error('Webhook request timed out')); });
+            req.on('error', reject);
+            req.end(form.body);
+        });
+    }
+
+    /**
+     * Seconds Discord wants us to wait after a 429
+     * @param {{headers: object, body: string}} res
+     * @returns {number}
+     */
+    function retryAfter(res) {
+        try {
+            const parsed = JSON.parse(res.body);
+            if (typeof parsed.retry_after === 'number') return parsed.retry_after;
+        } catch (err) {
+            // Not JSON: fall back to the header
+        }
+        return Number(res.headers['retry-after']) || 1;
+    }
+
+    /**
+     * Post, retrying 429s up to MaxRetries times
+     * @param {{body: Buffer, type: string}} form
+     */
+    async function deliver(form) {
+        for (let attempt = 0; attempt <= settings.MaxRetries; attempt++) {
+            const res = await post(settings.URL, form);
+            if (res.status >= 200 && res.status < 300) return;
+
+            if (res.status !== 429) {
+                throw new Error('Discord answered ' + res.status + ': ' + res.body.slice(0, 200));
+            }
+            if (attempt < settings.MaxRetries) {
+                const wait = retryAfter(res);
+                await new Promise(function (resolve) { setTimeout(resolve, Math.min(wait, 60) * 1000 + 50); });
+            }
+        }
+        throw new Error('Still rate limited after ' + settings.MaxRetries + ' retries');
+    }
+
+    // ============================================================
+    // EXPORTS
+    // ============================================================
+
+    /**
+     * Apply Config.Webhook (called once by server/main.lua on start)
+     * @param {object} config
+     */
+    exports('ConfigureWebhook', function (config) {
+        settings = Object.assign({}, settings, config || {});
+    });
+
+    /**
+     * Post a webhook message with the mugshot attached to its first embed.
+     * Runs in the background; failures are logged.
+     * @param {number} player  - Rate limit bucket
+     * @param {object} payload - Webhook JSON ({ username, embeds, ... })
+     * @param {string} [base64] - Image data URL
+     * @param {{width: number, height: number}} [size] - Image dimensions from CheckUpload
+     * @returns {boolean} false when the player is over the rate limit
+     */
+    exports('SendMugshotWebhook', function (player, payload, base64, size) {
+        if (!settings.Enabled || !settings.URL) return false;
+        if (!allow(Number(player))) {
+            console.warn('[Webhook] Rate limit reached for player ' + player + ', message dropped');
+            return false;
+        }
+
+        (async function () {
+            payload = Object.assign({}, payload);
+            let file = null;
+            if (settings.AttachImage && base64) {
+                try {
+                    file = await attachment(base64, size);
+                } catch (err) {
+                    console.warn('[Webhook] Could not prepare the image:', err.message);
+                }
+            }
+            if (file) {
+                const embeds = (payload.embeds || []).slice();
+                if (embeds[0]) embeds[0] = Object.assign({}, embeds[0], { image: { url: 'attachment://' + file.filename } });
+                payload.embeds      = embeds;
+                payload.attachments = [{ id: 0, filename: file.filename }];
+            }
+
+            await deliver(multipart(payload, file));
+        })().catch(function (err) {
+            console.error('[Webhook] ' + err.message);
+        });
+        return true;
+    });
+
+})();